@@ -0,0 +1,16 @@
+// Mandala Bot Worker
+// Runs computer opponents' move searches off the server's main thread
+//
+// The server posts { id, view, level, options } and gets back { id, action }
+// or { id, error }. Requests are answered one at a time, in order.
+
+import { parentPort } from 'worker_threads';
+import { chooseBotAction } from './bot.js';
+
+parentPort.on('message', ({ id, view, level, options }) => {
+  try {
+    parentPort.postMessage({ id, action: chooseBotAction(view, level, options) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.stack || String(error) });
+  }
+});
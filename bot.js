@@ -0,0 +1,276 @@
+// Mandala Computer Opponent
+// Picks moves from getValidActions, seeing only what getPlayerView shows
+
+import {
+  createDeck,
+  getRules,
+  shuffleDeck,
+  generateSeed,
+  performAction,
+  getValidActions,
+  calculateScore,
+} from './game.js';
+
+// ============================================
+// DIFFICULTY LEVELS
+// ============================================
+
+export const BOT_LEVELS = {
+  easy: { label: 'Easy', choose: chooseRandomAction },
+  medium: { label: 'Medium', choose: chooseGreedyAction },
+  hard: { label: 'Hard', choose: chooseMonteCarloAction },
+};
+
+export const DEFAULT_BOT_LEVEL = 'medium';
+
+/**
+ * Pick an action for the player to move, given that player's view of the game.
+ * Returns an action object accepted by performAction, or null if there is none.
+ * options are passed on to the level's chooser (e.g. timeLimitMs for hard).
+ */
+export function chooseBotAction(view, level = DEFAULT_BOT_LEVEL, options = {}) {
+  const { choose } = BOT_LEVELS[level] || BOT_LEVELS[DEFAULT_BOT_LEVEL];
+  return choose(view, options);
+}
+
+// ============================================
+// ACTION LISTING
+// ============================================
+
+/**
+ * Flatten getValidActions into performAction-ready action objects,
+ * grouped by action type.
+ */
+export function listActionsByType(state) {
+  const valid = getValidActions(state);
+  return [
+    valid.buildMountain.map((a) => ({ type: 'build_mountain', ...a })),
+    valid.growField.map((a) => ({ type: 'grow_field', ...a })),
+    valid.discardRedraw.map((a) => ({ type: 'discard_redraw', ...a })),
+    valid.claimColor.map((color) => ({ type: 'claim_color', color })),
+  ].filter((group) => group.length > 0);
+}
+
+export function listActions(state) {
+  return listActionsByType(state).flat();
+}
+
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+// ============================================
+// EASY: RANDOM LEGAL MOVES
+// ============================================
+
+export function chooseRandomAction(view) {
+  // Pick the action type first so the many discard combinations don't dominate
+  const groups = listActionsByType(view);
+  if (groups.length === 0) {
+    return null;
+  }
+  return pickRandom(pickRandom(groups));
+}
+
+// ============================================
+// MEDIUM: GREEDY HEURISTIC
+// ============================================
+
+// What one more cup card of this color is worth to the player: its river
+// slot value, or a discounted guess at the slot it would take if unclaimed
+function colorValue(player, color) {
+  const riverIndex = player.river.indexOf(color);
+  if (riverIndex !== -1) {
+    return riverIndex + 1;
+  }
+  const emptySlot = player.river.indexOf(null);
+  return emptySlot === -1 ? 0 : (emptySlot + 1) * 0.5;
+}
+
+// Expected claim value of a mountain for the player, given who claims first
+function mountainPotential(state, mandala, playerIndex) {
+  const ownField = mandala.fields[playerIndex].length;
+  if (ownField === 0) {
+    // Claims with an empty field are discarded
+    return 0;
+  }
+  // Compare with the biggest rival field; the share shrinks with more players
+  const otherField = Math.max(...mandala.fields.map((f, i) => (i === playerIndex ? 0 : f.length)));
+  const baseShare = ownField > otherField ? 0.6 : ownField < otherField ? 0.4 : 0.5;
+  const share = (baseShare * 2) / mandala.fields.length;
+
+  const player = state.players[playerIndex];
+  let value = 0;
+  for (const card of mandala.mountain) {
+    value += colorValue(player, card.color);
+  }
+  return value * share;
+}
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Heuristic position value from one player's point of view: lead over the
+ * best opponent's score, plus a discounted share of each mountain and hand
+ * size compared with the average opponent.
+ */
+export function evaluatePosition(state, playerIndex) {
+  const opponents = state.players.map((_, i) => i).filter((i) => i !== playerIndex);
+  let value =
+    calculateScore(state.players[playerIndex]) -
+    Math.max(...opponents.map((i) => calculateScore(state.players[i])));
+
+  if (state.phase === 'ended') {
+    return value;
+  }
+
+  for (const mandala of state.mandalas) {
+    value += 0.5 * mountainPotential(state, mandala, playerIndex);
+    value -= 0.5 * average(opponents.map((i) => mountainPotential(state, mandala, i)));
+  }
+
+  value += 0.3 * (state.players[playerIndex].hand.length -
+    average(opponents.map((i) => state.players[i].hand.length)));
+
+  return value;
+}
+
+export function chooseGreedyAction(view) {
+  const actions = listActions(view);
+  if (actions.length === 0) {
+    return null;
+  }
+
+  const playerIndex = view.currentPlayerIndex;
+  let best = [];
+  let bestValue = -Infinity;
+
+  for (const action of actions) {
+    const result = performAction(view, action);
+    if (!result.success) {
+      continue;
+    }
+    const value = evaluatePosition(result.newState, playerIndex);
+    if (value > bestValue) {
+      bestValue = value;
+      best = [action];
+    } else if (value === bestValue) {
+      best.push(action);
+    }
+  }
+
+  return best.length > 0 ? pickRandom(best) : pickRandom(actions);
+}
+
+// ============================================
+// HARD: MONTE CARLO OVER DETERMINIZED VIEWS
+// ============================================
+
+const HIDDEN = 'hidden';
+
+/**
+ * Fill in the hidden cards of a player view (opponent hand, opponent starting
+ * cup, deck) with a random assignment of the cards not visible to the player.
+ */
+export function determinize(view, playerIndex) {
+  const state = structuredClone(view);
+  const seen = new Set();
+
+  const markSeen = (cards) => cards.forEach((c) => c.id !== HIDDEN && seen.add(c.id));
+  state.players.forEach((p) => {
+    markSeen(p.hand);
+    markSeen(p.cup);
+  });
+  state.mandalas.forEach((m) => {
+    markSeen(m.mountain);
+    m.fields.forEach(markSeen);
+  });
+  markSeen(state.discardPile);
+
+  // River cards are tracked by color only, so the card ids that went there
+  // are gone from every pile. Remove one unseen card of each river color.
+  let unseen = createDeck(getRules(state)).filter((c) => !seen.has(c.id));
+  for (const player of state.players) {
+    for (const color of player.river) {
+      if (!color) continue;
+      const index = unseen.findIndex((c) => c.color === color);
+      if (index !== -1) unseen.splice(index, 1);
+    }
+  }
+  unseen = shuffleDeck(unseen);
+
+  const fill = (cards) => cards.map((c) => (c.id === HIDDEN ? unseen.pop() || c : c));
+  state.players.forEach((opponent, index) => {
+    if (index !== playerIndex) {
+      opponent.hand = fill(opponent.hand);
+      opponent.cup = fill(opponent.cup);
+    }
+  });
+  state.deck = fill(state.deck);
+  // Without the memory helper the discard pile is only a count
+  state.discardPile = fill(state.discardPile);
+
+  // The real seed is hidden from players; reshuffles in the sample use a fresh one
+  state.rngState = generateSeed();
+
+  return state;
+}
+
+// Play the sampled world forward with greedy replies, then score it.
+// Short horizons work best: longer greedy playouts mostly add noise.
+function rollout(state, playerIndex, maxPlies) {
+  let current = state;
+  for (let ply = 0; ply < maxPlies && current.phase !== 'ended'; ply++) {
+    const action = chooseGreedyAction(current);
+    if (!action) break;
+    const result = performAction(current, action);
+    if (!result.success) break;
+    current = result.newState;
+  }
+  return evaluatePosition(current, playerIndex);
+}
+
+/**
+ * Flat Monte Carlo search: sample hidden cards consistent with the view,
+ * try each candidate move in every sample, and keep the best average outcome.
+ */
+export function chooseMonteCarloAction(view, { timeLimitMs = 300, maxPlies = 1, maxCandidates = 12 } = {}) {
+  const actions = listActions(view);
+  if (actions.length <= 1) {
+    return actions[0] || null;
+  }
+
+  const playerIndex = view.currentPlayerIndex;
+
+  // Keep the search affordable: only the most promising moves by the greedy heuristic
+  const candidates = actions
+    .map((action) => {
+      const result = performAction(view, action);
+      return { action, prior: result.success ? evaluatePosition(result.newState, playerIndex) : -Infinity };
+    })
+    .filter((c) => c.prior > -Infinity)
+    .sort((a, b) => b.prior - a.prior)
+    .slice(0, maxCandidates)
+    .map((c) => ({ ...c, total: 0, visits: 0 }));
+
+  const deadline = Date.now() + timeLimitMs;
+  do {
+    for (const candidate of candidates) {
+      const world = determinize(view, playerIndex);
+      const result = performAction(world, candidate.action);
+      if (!result.success) continue;
+      candidate.total += rollout(result.newState, playerIndex, maxPlies);
+      candidate.visits++;
+    }
+  } while (Date.now() < deadline);
+
+  let best = candidates[0];
+  for (const candidate of candidates) {
+    const mean = candidate.visits ? candidate.total / candidate.visits : -Infinity;
+    const bestMean = best.visits ? best.total / best.visits : -Infinity;
+    if (mean > bestMean) {
+      best = candidate;
+    }
+  }
+  return best.action;
+}
@@ -0,0 +1,58 @@
+// Mandala Chat
+// Checks and rate limits for the messages players send each other in a room.
+// The server relays what passes; muting is up to each client.
+
+export const MAX_CHAT_LENGTH = 200;
+
+// Each connection may send CHAT_RATE_LIMIT messages per CHAT_RATE_WINDOW ms
+export const CHAT_RATE_LIMIT = 5;
+export const CHAT_RATE_WINDOW = 10 * 1000;
+
+// One-tap messages for phones: clients send the key, everyone gets the text
+export const QUICK_EMOTES = {
+  nice: 'Nice!',
+  gg: 'Good game',
+  hmm: 'Hmm…',
+  oops: 'Oops!',
+  thanks: 'Thanks!',
+  rematch: 'Rematch?',
+};
+
+/**
+ * Check a chat message (the fields of a 'chat' client message). Returns
+ * { text, emote } or { error }.
+ */
+export function parseChat(message) {
+  if (message.emote !== undefined) {
+    return Object.hasOwn(QUICK_EMOTES, message.emote)
+      ? { text: QUICK_EMOTES[message.emote], emote: message.emote }
+      : { error: 'Unknown emote' };
+  }
+  if (typeof message.text !== 'string') {
+    return { error: 'Message must be text' };
+  }
+  // Control characters could break the chat layout; newlines become spaces
+  const text = message.text.replace(/\p{Cc}/gu, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return { error: 'Message is empty' };
+  }
+  if ([...text].length > MAX_CHAT_LENGTH) {
+    return { error: `Messages are limited to ${MAX_CHAT_LENGTH} characters` };
+  }
+  return { text, emote: null };
+}
+
+/**
+ * Sliding-window rate limit. sentAt holds the connection's recent send times
+ * and is updated in place; returns false if this message is over the limit.
+ */
+export function allowChat(sentAt, now = Date.now()) {
+  while (sentAt.length > 0 && now - sentAt[0] >= CHAT_RATE_WINDOW) {
+    sentAt.shift();
+  }
+  if (sentAt.length >= CHAT_RATE_LIMIT) {
+    return false;
+  }
+  sentAt.push(now);
+  return true;
+}
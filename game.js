@@ -1,4 +1,4 @@
-// Mandala Game Engine - Two Player Version
+// Mandala Game Engine - Two to Four Players
 // Core game logic for the Mandala card game
 
 // ============================================
@@ -12,48 +12,203 @@ export const INITIAL_HAND_SIZE = 6;
 export const INITIAL_CUP_SIZE = 2;
 export const INITIAL_MOUNTAIN_SIZE = 2;
 export const RIVER_SIZE = 6;
+export const MANDALA_COUNT = 2;
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+// ============================================
+// RULES
+// ============================================
+
+/**
+ * The standard rules. createGame stores a full rules object in state.rules,
+ * and the validators, executors and views read it from there, so house rules
+ * travel with the game into saves and replays.
+ */
+export const DEFAULT_RULES = {
+  colors: COLORS,
+  cardsPerColor: CARDS_PER_COLOR,
+  maxHandSize: MAX_HAND_SIZE,
+  initialHandSize: INITIAL_HAND_SIZE,
+  initialCupSize: INITIAL_CUP_SIZE,
+  initialMountainSize: INITIAL_MOUNTAIN_SIZE,
+  riverSize: RIVER_SIZE,
+  mountainDraw: 3, // Build Mountain draws up to this many (hand limit permitting)
+  openCups: false, // Starting cups are dealt face up
+};
+
+// House-rule presets offered in the lobby
+export const RULE_PRESETS = {
+  standard: { label: 'Standard', rules: {} },
+  short: { label: 'Short game (smaller deck)', rules: { cardsPerColor: 10 } },
+  openCups: { label: 'Open cups', rules: { openCups: true } },
+  drawTwo: { label: 'Draw up to 2', rules: { mountainDraw: 2 } },
+  drawFour: { label: 'Draw up to 4', rules: { mountainDraw: 4 } },
+};
+
+export const DEFAULT_RULE_PRESET = 'standard';
+
+function validateRules(rules, playerCount) {
+  const unknown = Object.keys(rules).find((key) => !(key in DEFAULT_RULES));
+  if (unknown) {
+    return `unknown rule ${unknown}`;
+  }
+
+  const { colors } = rules;
+  // Only the standard colors have card art
+  if (!Array.isArray(colors) || colors.length < 2 || new Set(colors).size !== colors.length ||
+      colors.some((color) => !COLORS.includes(color))) {
+    return 'colors must be two or more different standard colors';
+  }
+
+  const counts = [
+    ['cardsPerColor', 1],
+    ['maxHandSize', 1],
+    ['initialHandSize', 1],
+    ['initialCupSize', 0],
+    ['initialMountainSize', 1],
+    ['riverSize', 1],
+    ['mountainDraw', 0],
+  ];
+  for (const [key, min] of counts) {
+    if (!Number.isInteger(rules[key]) || rules[key] < min) {
+      return `${key} must be a whole number of at least ${min}`;
+    }
+  }
+  if (rules.initialHandSize > rules.maxHandSize) {
+    return 'initialHandSize cannot exceed maxHandSize';
+  }
+  if (rules.riverSize > colors.length) {
+    return 'riverSize cannot exceed the number of colors';
+  }
+  const dealt = playerCount * (rules.initialHandSize + rules.initialCupSize) +
+    MANDALA_COUNT * rules.initialMountainSize;
+  if (colors.length * rules.cardsPerColor < dealt) {
+    return `the deck is too small to deal ${playerCount} players in`;
+  }
+  if (typeof rules.openCups !== 'boolean') {
+    return 'openCups must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Build a complete rules object from partial overrides (a preset's rules,
+ * say) on top of the defaults. Throws if the result is not playable with
+ * the given number of players.
+ */
+export function createRules(overrides = {}, playerCount = MIN_PLAYERS) {
+  const rules = { ...DEFAULT_RULES, ...overrides };
+  rules.colors = Array.isArray(rules.colors) ? [...rules.colors] : rules.colors;
+  const error = validateRules(rules, playerCount);
+  if (error) {
+    throw new Error(`Invalid rules: ${error}`);
+  }
+  return rules;
+}
+
+// Games saved before rules were configurable use the defaults
+export function getRules(state) {
+  return state.rules || DEFAULT_RULES;
+}
+
+// ============================================
+// SEEDED RANDOMNESS
+// ============================================
+
+/**
+ * Turn a seed (number or string) into a 32-bit PRNG state.
+ * Strings are hashed so room codes or words can be used as seeds.
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+  // FNV-1a hash of the string form
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Create a deterministic random() function (mulberry32) from a PRNG state.
+ * Call getState() afterwards to store the advanced state back in the game.
+ */
+export function createRandom(rngState) {
+  let s = rngState >>> 0;
+  const random = () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+  random.getState = () => s;
+  return random;
+}
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
-export function createDeck() {
+export function createDeck(rules = DEFAULT_RULES) {
   const deck = [];
   let id = 0;
-  for (const color of COLORS) {
-    for (let i = 0; i < CARDS_PER_COLOR; i++) {
+  for (const color of rules.colors) {
+    for (let i = 0; i < rules.cardsPerColor; i++) {
       deck.push({ id: `${color}-${id++}`, color });
     }
   }
   return deck;
 }
 
-export function shuffleDeck(deck) {
+export function shuffleDeck(deck, random = Math.random) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
+/**
+ * Draw cards from the top of the deck. Running out of deck starts the final
+ * round (endGameTrigger 'deck_exhausted'): the discard pile is reshuffled
+ * into a new deck, and if that is empty too the draw comes up short.
+ * shortfall is how many of the requested cards could not be drawn.
+ */
 export function drawCards(state, count) {
   let newState = { ...state };
   const cards = [];
+  let reshuffled = false;
 
   for (let i = 0; i < count; i++) {
     if (newState.deck.length === 0) {
-      // Reshuffle discard pile
+      newState = {
+        ...newState,
+        endGameTrigger: newState.endGameTrigger || 'deck_exhausted',
+      };
       if (newState.discardPile.length === 0) {
         // No cards left to draw
         break;
       }
+      // Reshuffle discard pile
+      const random = createRandom(newState.rngState);
       newState = {
         ...newState,
-        deck: shuffleDeck([...newState.discardPile]),
+        deck: shuffleDeck([...newState.discardPile], random),
+        rngState: random.getState(),
         discardPile: [],
-        endGameTrigger: newState.endGameTrigger || 'deck_exhausted',
       };
+      reshuffled = true;
     }
     const card = newState.deck[0];
     newState = {
@@ -63,54 +218,72 @@ export function drawCards(state, count) {
     cards.push(card);
   }
 
-  return { cards, newState };
+  return { cards, newState, reshuffled, shortfall: count - cards.length };
 }
 
-function createPlayer(id) {
+function createPlayer(id, rules) {
   return {
     id,
     hand: [],
     cup: [],
-    river: Array(RIVER_SIZE).fill(null),
+    river: Array(rules.riverSize).fill(null),
   };
 }
 
-function createMandala() {
+// One field per player
+function createMandala(playerCount) {
   return {
     mountain: [],
-    fields: [[], []],
+    fields: Array.from({ length: playerCount }, () => []),
   };
 }
 
+// Seats take turns in order, wrapping around
+function nextPlayerIndex(state, playerIndex) {
+  return (playerIndex + 1) % state.players.length;
+}
+
 // ============================================
 // GAME INITIALIZATION
 // ============================================
 
-export function createGame(player1Id, player2Id) {
-  let deck = shuffleDeck(createDeck());
+/**
+ * Start a new game for 2-4 players (seat 0 moves first). Pass options.seed
+ * to make the deal and every later reshuffle reproducible; without one a
+ * random seed is picked and recorded. options.rules overrides any of
+ * DEFAULT_RULES for house-rule games.
+ */
+export function createGame(playerIds, options = {}) {
+  if (!Array.isArray(playerIds) || playerIds.length < MIN_PLAYERS || playerIds.length > MAX_PLAYERS) {
+    throw new Error(`A game needs ${MIN_PLAYERS} to ${MAX_PLAYERS} players`);
+  }
+  const rules = createRules(options.rules, playerIds.length);
+  const seed = options.seed ?? generateSeed();
+  const random = createRandom(normalizeSeed(seed));
+  let deck = shuffleDeck(createDeck(rules), random);
 
   // Create players
-  const players = [createPlayer(player1Id), createPlayer(player2Id)];
+  const players = playerIds.map((id) => createPlayer(id, rules));
 
   // Deal hands
-  for (let p = 0; p < 2; p++) {
-    players[p].hand = deck.slice(0, INITIAL_HAND_SIZE);
-    deck = deck.slice(INITIAL_HAND_SIZE);
+  for (let p = 0; p < players.length; p++) {
+    players[p].hand = deck.slice(0, rules.initialHandSize);
+    deck = deck.slice(rules.initialHandSize);
   }
 
-  // Deal cups (starting cups are hidden from opponent)
-  for (let p = 0; p < 2; p++) {
-    const cupCards = deck.slice(0, INITIAL_CUP_SIZE);
+  // Deal cups (starting cups are hidden from opponents unless cups are open)
+  for (let p = 0; p < players.length; p++) {
+    const cupCards = deck.slice(0, rules.initialCupSize);
     players[p].cup = cupCards;
-    players[p].startingCupCount = INITIAL_CUP_SIZE; // Track how many were dealt face-down
-    deck = deck.slice(INITIAL_CUP_SIZE);
+    players[p].startingCupCount = rules.initialCupSize; // Track how many were dealt face-down
+    deck = deck.slice(rules.initialCupSize);
   }
 
   // Create mandalas with initial mountain cards
-  const mandalas = [createMandala(), createMandala()];
-  for (let m = 0; m < 2; m++) {
-    mandalas[m].mountain = deck.slice(0, INITIAL_MOUNTAIN_SIZE);
-    deck = deck.slice(INITIAL_MOUNTAIN_SIZE);
+  const mandalas = Array.from({ length: MANDALA_COUNT }, () => createMandala(players.length));
+  for (let m = 0; m < MANDALA_COUNT; m++) {
+    mandalas[m].mountain = deck.slice(0, rules.initialMountainSize);
+    deck = deck.slice(rules.initialMountainSize);
   }
 
   return {
@@ -124,6 +297,12 @@ export function createGame(player1Id, player2Id) {
     destruction: null,
     lastMandalaPlayerIndex: null,
     turnNumber: 1,
+    seed,
+    rngState: random.getState(),
+    history: [],
+    rules,
+    // Memory helper off: views withhold the discard pile and opponent cups
+    memoryHelper: options.memoryHelper ?? true,
   };
 }
 
@@ -142,16 +321,13 @@ export function getColorsInField(mandala, playerIndex) {
 export function getColorsInMandala(mandala) {
   const colors = new Set();
   mandala.mountain.forEach((c) => colors.add(c.color));
-  mandala.fields[0].forEach((c) => colors.add(c.color));
-  mandala.fields[1].forEach((c) => colors.add(c.color));
+  mandala.fields.forEach((field) => field.forEach((c) => colors.add(c.color)));
   return colors;
 }
 
 export function canPlayColorToMountain(mandala, color) {
-  // Can't play if color exists in either field
-  const field0Colors = getColorsInField(mandala, 0);
-  const field1Colors = getColorsInField(mandala, 1);
-  if (field0Colors.has(color) || field1Colors.has(color)) {
+  // Can't play if color exists in any field
+  if (mandala.fields.some((_, index) => getColorsInField(mandala, index).has(color))) {
     return false;
   }
   // Can always add to mountain if not in fields (even if already in mountain)
@@ -164,36 +340,57 @@ export function canPlayColorToField(mandala, playerIndex, color) {
   if (mountainColors.has(color)) {
     return false;
   }
-  // Can't play if color exists in opponent's field
-  const opponentIndex = 1 - playerIndex;
-  const opponentFieldColors = getColorsInField(mandala, opponentIndex);
-  if (opponentFieldColors.has(color)) {
+  // Can't play if color exists in any opponent's field
+  const inOpponentField = mandala.fields.some(
+    (_, index) => index !== playerIndex && getColorsInField(mandala, index).has(color)
+  );
+  if (inOpponentField) {
     return false;
   }
-  // Can always add to own field if not in mountain or opponent's field
+  // Can always add to own field if not in mountain or an opponent's field
   return true;
 }
 
-export function getAvailableColorsForMountain(mandala) {
-  return COLORS.filter((color) => canPlayColorToMountain(mandala, color));
+export function getAvailableColorsForMountain(mandala, colors = COLORS) {
+  return colors.filter((color) => canPlayColorToMountain(mandala, color));
 }
 
-export function getAvailableColorsForField(mandala, playerIndex) {
-  return COLORS.filter((color) => canPlayColorToField(mandala, playerIndex, color));
+export function getAvailableColorsForField(mandala, playerIndex, colors = COLORS) {
+  return colors.filter((color) => canPlayColorToField(mandala, playerIndex, color));
 }
 
 // ============================================
 // MANDALA COMPLETION CHECK
 // ============================================
 
-export function isMandalaComplete(mandala) {
-  return getColorsInMandala(mandala).size === 6;
+export function isMandalaComplete(mandala, rules = DEFAULT_RULES) {
+  return getColorsInMandala(mandala).size === rules.colors.length;
 }
 
 // ============================================
 // ACTION VALIDATION
 // ============================================
 
+// Moves arrive from the network, so indexes and id lists are checked before use
+function findMandala(state, mandalaIndex) {
+  return Number.isInteger(mandalaIndex) ? state.mandalas[mandalaIndex] : undefined;
+}
+
+// Check the shape of a list of card ids: a non-empty array of distinct
+// strings. Naming the same card twice would play it twice. Returns an error or null.
+function checkCardIds(cardIds, emptyError) {
+  if (!Array.isArray(cardIds) || cardIds.length === 0) {
+    return emptyError;
+  }
+  if (cardIds.some((id) => typeof id !== 'string')) {
+    return 'Card ids must be strings';
+  }
+  if (new Set(cardIds).size !== cardIds.length) {
+    return 'The same card was chosen twice';
+  }
+  return null;
+}
+
 export function validateBuildMountain(state, cardId, mandalaIndex) {
   if (state.phase !== 'playing') {
     return { valid: false, error: 'Cannot build mountain during this phase' };
@@ -205,7 +402,10 @@ export function validateBuildMountain(state, cardId, mandalaIndex) {
     return { valid: false, error: 'Card not in hand' };
   }
 
-  const mandala = state.mandalas[mandalaIndex];
+  const mandala = findMandala(state, mandalaIndex);
+  if (!mandala) {
+    return { valid: false, error: 'No such mandala' };
+  }
   if (!canPlayColorToMountain(mandala, card.color)) {
     return { valid: false, error: `Cannot play ${card.color} to this mountain (Rule of Color)` };
   }
@@ -218,8 +418,13 @@ export function validateGrowField(state, cardIds, mandalaIndex) {
     return { valid: false, error: 'Cannot grow field during this phase' };
   }
 
-  if (cardIds.length === 0) {
-    return { valid: false, error: 'Must play at least one card' };
+  const idError = checkCardIds(cardIds, 'Must play at least one card');
+  if (idError) {
+    return { valid: false, error: idError };
+  }
+
+  if (!findMandala(state, mandalaIndex)) {
+    return { valid: false, error: 'No such mandala' };
   }
 
   const player = state.players[state.currentPlayerIndex];
@@ -257,8 +462,9 @@ export function validateDiscardRedraw(state, cardIds) {
     return { valid: false, error: 'Cannot discard during this phase' };
   }
 
-  if (cardIds.length === 0) {
-    return { valid: false, error: 'Must discard at least one card' };
+  const idError = checkCardIds(cardIds, 'Must discard at least one card');
+  if (idError) {
+    return { valid: false, error: idError };
   }
 
   const player = state.players[state.currentPlayerIndex];
@@ -300,6 +506,35 @@ export function validateClaimColor(state, color) {
   return { valid: true };
 }
 
+// ============================================
+// ACTION HISTORY
+// ============================================
+
+/**
+ * Append an entry to the (already cloned) state's action history.
+ * Every entry records who acted and on which turn, plus the action's
+ * effects: cards played, drawn, claimed, sent to the cup or discarded.
+ */
+function recordAction(state, playerIndex, entry) {
+  state.history.push({
+    ...entry,
+    playerIndex,
+    turnNumber: state.turnNumber,
+  });
+}
+
+export function getLastAction(state) {
+  return state.history?.length ? state.history[state.history.length - 1] : null;
+}
+
+/**
+ * Whether an action turned up cards nobody had seen before: cards drawn
+ * from the deck, or a new mountain dealt after a destruction.
+ */
+export function revealsHiddenCards(entry) {
+  return entry.drawnCards?.length > 0 || entry.newMountainCards?.length > 0;
+}
+
 // ============================================
 // ACTION EXECUTION
 // ============================================
@@ -325,19 +560,29 @@ export function executeBuildMountain(state, cardId, mandalaIndex) {
   // Track last player to play into a mandala (for tie-breaking)
   newState.lastMandalaPlayerIndex = playerIndex;
 
-  // Draw up to 3 cards (max 8 in hand)
-  const cardsToDraw = Math.min(3, MAX_HAND_SIZE - player.hand.length);
-  const { cards: drawnCards, newState: stateAfterDraw } = drawCards(newState, cardsToDraw);
+  // Draw up to 3 cards (max 8 in hand), or whatever the house rules say
+  const rules = getRules(newState);
+  const cardsToDraw = Math.max(0, Math.min(rules.mountainDraw, rules.maxHandSize - player.hand.length));
+  const { cards: drawnCards, newState: stateAfterDraw, reshuffled, shortfall } = drawCards(newState, cardsToDraw);
   newState = stateAfterDraw;
   player.hand.push(...drawnCards);
 
+  const completed = isMandalaComplete(newState.mandalas[mandalaIndex], getRules(newState));
+  recordAction(newState, playerIndex, {
+    type: 'build_mountain',
+    mandalaIndex,
+    card,
+    drawnCards,
+    reshuffled,
+    shortfall,
+    completedMandala: completed,
+  });
+
   // Check if mandala is complete
-  if (isMandalaComplete(newState.mandalas[mandalaIndex])) {
+  if (completed) {
     newState = startDestruction(newState, mandalaIndex);
   } else {
-    // Switch to next player
-    newState.currentPlayerIndex = 1 - playerIndex;
-    newState.turnNumber++;
+    endTurn(newState, playerIndex);
   }
 
   return { success: true, newState };
@@ -369,13 +614,19 @@ export function executeGrowField(state, cardIds, mandalaIndex) {
 
   // NO DRAW for grow field action
 
+  const completed = isMandalaComplete(newState.mandalas[mandalaIndex], getRules(newState));
+  recordAction(newState, playerIndex, {
+    type: 'grow_field',
+    mandalaIndex,
+    cards: cardsToPlay,
+    completedMandala: completed,
+  });
+
   // Check if mandala is complete
-  if (isMandalaComplete(newState.mandalas[mandalaIndex])) {
+  if (completed) {
     newState = startDestruction(newState, mandalaIndex);
   } else {
-    // Switch to next player
-    newState.currentPlayerIndex = 1 - playerIndex;
-    newState.turnNumber++;
+    endTurn(newState, playerIndex);
   }
 
   return { success: true, newState };
@@ -402,13 +653,20 @@ export function executeDiscardRedraw(state, cardIds) {
   newState.discardPile.push(...discardedCards);
 
   // Draw equal number of cards
-  const { cards: drawnCards, newState: stateAfterDraw } = drawCards(newState, discardedCards.length);
+  const { cards: drawnCards, newState: stateAfterDraw, reshuffled, shortfall } =
+    drawCards(newState, discardedCards.length);
   newState = stateAfterDraw;
   newState.players[playerIndex].hand.push(...drawnCards);
 
-  // Switch to next player
-  newState.currentPlayerIndex = 1 - playerIndex;
-  newState.turnNumber++;
+  recordAction(newState, playerIndex, {
+    type: 'discard_redraw',
+    discardedCards,
+    drawnCards,
+    reshuffled,
+    shortfall,
+  });
+
+  endTurn(newState, playerIndex);
 
   return { success: true, newState };
 }
@@ -421,20 +679,13 @@ function startDestruction(state, mandalaIndex) {
   const newState = structuredClone(state);
   const mandala = newState.mandalas[mandalaIndex];
 
-  // Determine who goes first: player with more cards in their field
-  // If tied, the player who did NOT play the last card goes first
-  const field0Count = mandala.fields[0].length;
-  const field1Count = mandala.fields[1].length;
-
-  let firstClaimer;
-  if (field0Count > field1Count) {
-    firstClaimer = 0;
-  } else if (field1Count > field0Count) {
-    firstClaimer = 1;
-  } else {
-    // Tie - player who did NOT play last goes first
-    firstClaimer = newState.lastMandalaPlayerIndex === 0 ? 1 : 0;
-  }
+  // Claim order: most cards in their field first. Ties are broken in turn
+  // order starting after the player who played the last card, so with two
+  // players the one who did NOT play last goes first. Array sort is stable.
+  const playerCount = newState.players.length;
+  const lastPlayer = newState.lastMandalaPlayerIndex ?? playerCount - 1;
+  const turnOrder = Array.from({ length: playerCount }, (_, k) => (lastPlayer + 1 + k) % playerCount);
+  const claimOrder = turnOrder.sort((a, b) => mandala.fields[b].length - mandala.fields[a].length);
 
   // Get colors in mountain
   const remainingColors = Array.from(getColorsInMountain(mandala));
@@ -442,10 +693,11 @@ function startDestruction(state, mandalaIndex) {
   newState.phase = 'destroying';
   newState.destruction = {
     mandalaIndex,
-    currentClaimerIndex: firstClaimer,
+    claimOrder,
+    currentClaimerIndex: claimOrder[0],
     remainingColors,
   };
-  newState.currentPlayerIndex = firstClaimer;
+  newState.currentPlayerIndex = claimOrder[0];
 
   return newState;
 }
@@ -469,10 +721,14 @@ export function executeClaimColor(state, color) {
 
   // Check if player has cards in their field
   const playerFieldCount = mandala.fields[playerIndex].length;
+  let riverSlot = null;
+  let cupCards = [];
+  let discardedCards = [];
 
   if (playerFieldCount === 0) {
     // Player with no field cards must discard all claimed cards
     newState.discardPile.push(...claimedCards);
+    discardedCards = claimedCards;
   } else {
     // Check if this color is already in player's river
     const riverIndex = player.river.indexOf(color);
@@ -482,23 +738,37 @@ export function executeClaimColor(state, color) {
       const firstEmptyRiverSlot = player.river.indexOf(null);
       if (firstEmptyRiverSlot !== -1) {
         player.river[firstEmptyRiverSlot] = color;
+        riverSlot = firstEmptyRiverSlot;
         // First card goes to river (we don't actually store the card, just the color)
         // Rest go to cup
-        player.cup.push(...claimedCards.slice(1));
-        // Check for 6th river color
-        if (firstEmptyRiverSlot === 5) {
+        cupCards = claimedCards.slice(1);
+        player.cup.push(...cupCards);
+        // Check for 6th river color (the last slot, if the rules shrink the river)
+        if (firstEmptyRiverSlot === player.river.length - 1) {
           newState.endGameTrigger = 'sixth_river_color';
         }
       } else {
         // River is full, all go to cup (shouldn't happen normally)
-        player.cup.push(...claimedCards);
+        cupCards = claimedCards;
+        player.cup.push(...cupCards);
       }
     } else {
       // Color already in river - all cards go to cup
-      player.cup.push(...claimedCards);
+      cupCards = claimedCards;
+      player.cup.push(...cupCards);
     }
   }
 
+  recordAction(newState, playerIndex, {
+    type: 'claim_color',
+    mandalaIndex,
+    color,
+    claimedCards,
+    riverSlot,
+    cupCards,
+    discardedCards,
+  });
+
   // Remove this color from remaining
   destruction.remainingColors = destruction.remainingColors.filter((c) => c !== color);
 
@@ -506,8 +776,11 @@ export function executeClaimColor(state, color) {
   if (destruction.remainingColors.length === 0) {
     newState = finishDestruction(newState);
   } else {
-    // Switch to other player for next claim
-    destruction.currentClaimerIndex = 1 - playerIndex;
+    // Next player in the claim order claims (games saved before claim
+    // orders were recorded are two-player, where claimers alternate)
+    const claimOrder = destruction.claimOrder ?? [playerIndex, 1 - playerIndex];
+    const position = claimOrder.indexOf(playerIndex);
+    destruction.currentClaimerIndex = claimOrder[(position + 1) % claimOrder.length];
     newState.currentPlayerIndex = destruction.currentClaimerIndex;
   }
 
@@ -519,39 +792,180 @@ function finishDestruction(state) {
   const mandalaIndex = newState.destruction.mandalaIndex;
   const mandala = newState.mandalas[mandalaIndex];
 
-  // Discard all cards from both fields
-  newState.discardPile.push(...mandala.fields[0], ...mandala.fields[1]);
-  mandala.fields = [[], []];
+  // Discard all cards from every field
+  const fieldCards = mandala.fields.flat();
+  newState.discardPile.push(...fieldCards);
+  mandala.fields = mandala.fields.map(() => []);
+
+  // The final claim's history entry also records the mandala being cleared
+  const lastEntry = getLastAction(newState);
+  lastEntry.fieldCardsDiscarded = fieldCards;
 
-  // Check for game end
-  if (newState.endGameTrigger) {
+  // A sixth river color ends the game at once; an exhausted deck only
+  // once the final round is over
+  if (newState.endGameTrigger === 'sixth_river_color') {
     newState.phase = 'ended';
     newState.destruction = null;
     return newState;
   }
 
   // Draw 2 new cards for mountain
-  const { cards: mountainCards, newState: stateAfterDraw } = drawCards(newState, INITIAL_MOUNTAIN_SIZE);
+  const { cards: mountainCards, newState: stateAfterDraw, reshuffled } =
+    drawCards(newState, getRules(newState).initialMountainSize);
   newState = stateAfterDraw;
   mandala.mountain = mountainCards;
+  lastEntry.newMountainCards = [...mountainCards];
+  lastEntry.reshuffled = reshuffled;
 
   // Return to playing phase
   newState.phase = 'playing';
   newState.destruction = null;
 
-  // The player who completed the mandala's turn ended, switch to other player
-  newState.currentPlayerIndex = 1 - newState.lastMandalaPlayerIndex;
-  newState.turnNumber++;
+  // The player who completed the mandala's turn ended, switch to the next player
+  endTurn(newState, newState.lastMandalaPlayerIndex);
+
+  return newState;
+}
+
+// ============================================
+// END OF TURN AND GAME END
+// ============================================
+
+/**
+ * Whether the deck has run out and the game is playing its last round.
+ * The round (and the game) ends when the turn would come back to seat 0,
+ * so every player gets the same number of turns.
+ */
+export function isFinalRound(state) {
+  return state.endGameTrigger === 'deck_exhausted' && state.phase !== 'ended';
+}
+
+// A player with no cards in hand has no legal move
+function canMove(state, playerIndex) {
+  return state.players[playerIndex].hand.length > 0;
+}
+
+/**
+ * Pass the turn on from the given player (in the already cloned state).
+ * Players who cannot move are skipped. The game ends instead when the final
+ * round is over, or as a stalemate when nobody can move at all.
+ */
+function endTurn(state, playerIndex) {
+  let next = playerIndex;
+  for (let i = 0; i < state.players.length; i++) {
+    next = nextPlayerIndex(state, next);
+    if (isFinalRound(state) && next === 0) {
+      state.phase = 'ended';
+      return;
+    }
+    if (canMove(state, next)) {
+      state.currentPlayerIndex = next;
+      state.turnNumber++;
+      return;
+    }
+  }
+  state.phase = 'ended';
+  state.endGameTrigger = 'stalemate';
+}
+
+// ============================================
+// FORFEIT
+// ============================================
 
+/**
+ * End the game immediately with the given player losing, e.g. when their
+ * time runs out. Not an action: it is imposed on the game from outside.
+ * With more than two players the others are ranked by score as usual.
+ * The reason is 'timeout', or 'left' for a player who walked away.
+ */
+export function forfeitGame(state, playerIndex, reason = 'timeout') {
+  const newState = structuredClone(state);
+  newState.phase = 'ended';
+  newState.destruction = null;
+  newState.endGameTrigger = 'forfeit';
+  newState.forfeitedBy = playerIndex;
+  newState.forfeitReason = reason;
   return newState;
 }
 
+// ============================================
+// CARD CONSERVATION
+// ============================================
+
+// How many cards the game is played with
+function boxSize(rules) {
+  return rules.colors.length * rules.cardsPerColor;
+}
+
+// Every card in the state, wherever it is. Cards set aside take no part in
+// the game; a normal deal sets none aside.
+function listCards(state) {
+  return [
+    ...state.deck,
+    ...state.discardPile,
+    ...state.players.flatMap((p) => [...p.hand, ...p.cup]),
+    ...state.mandalas.flatMap((m) => [...m.mountain, ...m.fields.flat()]),
+    ...(state.setAside ?? []),
+  ];
+}
+
+// The first card of each color a player claims marks their river and leaves
+// play, so every filled river slot stands for one card no longer listed
+function countCards(state) {
+  const markers = state.players.reduce((sum, p) => sum + p.river.filter(Boolean).length, 0);
+  return listCards(state).length + markers;
+}
+
+/**
+ * Check that every card in the box is in the state exactly once: as many
+ * cards as the rules deal, and no card id in two places. Hidden cards in
+ * player views all share one placeholder id and are only counted.
+ * Returns an error message or null.
+ */
+export function checkCardConservation(state) {
+  const seen = new Set();
+  for (const card of listCards(state)) {
+    if (card.id === 'hidden') {
+      continue;
+    }
+    if (seen.has(card.id)) {
+      return `card ${card.id} is in two places`;
+    }
+    seen.add(card.id);
+  }
+
+  const expected = boxSize(getRules(state));
+  const actual = countCards(state);
+  if (actual !== expected) {
+    return `expected ${expected} cards, found ${actual}`;
+  }
+  return null;
+}
+
 // ============================================
 // MAIN ACTION HANDLER
 // ============================================
 
+/**
+ * Apply an action for the player to move. Returns { success, error, newState };
+ * a rejected action leaves newState as the given state. Every accepted action
+ * is checked for card conservation, so a rules bug can't corrupt a game.
+ */
 export function performAction(state, action) {
-  switch (action.type) {
+  const result = dispatchAction(state, action);
+  if (!result.success) {
+    return result;
+  }
+
+  const problem = checkCardConservation(result.newState);
+  if (problem) {
+    return { success: false, error: `That move would lose track of cards: ${problem}`, newState: state };
+  }
+  return result;
+}
+
+function dispatchAction(state, action) {
+  switch (action?.type) {
     case 'build_mountain':
       return executeBuildMountain(state, action.cardId, action.mandalaIndex);
     case 'grow_field':
@@ -602,7 +1016,7 @@ export function getValidActions(state) {
 
   // Build mountain options
   for (const card of player.hand) {
-    for (const mandalaIndex of [0, 1]) {
+    for (let mandalaIndex = 0; mandalaIndex < state.mandalas.length; mandalaIndex++) {
       if (canPlayColorToMountain(state.mandalas[mandalaIndex], card.color)) {
         result.buildMountain.push({ cardId: card.id, mandalaIndex });
       }
@@ -612,7 +1026,7 @@ export function getValidActions(state) {
   // Grow field options (must keep at least 1 card in hand)
   if (player.hand.length > 1) {
     for (const [color, cards] of handByColor) {
-      for (const mandalaIndex of [0, 1]) {
+      for (let mandalaIndex = 0; mandalaIndex < state.mandalas.length; mandalaIndex++) {
         if (canPlayColorToField(state.mandalas[mandalaIndex], state.currentPlayerIndex, color)) {
           // Can play 1 to (hand.length - 1) cards of this color
           const maxCards = Math.min(cards.length, player.hand.length - 1);
@@ -639,6 +1053,52 @@ export function getValidActions(state) {
   return result;
 }
 
+/**
+ * The mover's options from getValidActions, grouped for a player choosing
+ * cards in the UI, so the client never has to apply the rules itself:
+ *   mandalas[i].mountain   ids of the cards that may build mandala i's mountain
+ *   mandalas[i].field      { color: most cards of that color that may grow the field }
+ *   mandalas[i].blocked    { mountain: { color: reason }, field: { color: reason } }
+ *                          for colors in hand that cannot be played there
+ *   discard                colors that may be discarded (any number of that color)
+ *   claim                  colors that may be claimed from a destroyed mandala
+ * Reasons are the validators' error messages.
+ */
+export function getLegalMoves(state) {
+  const valid = getValidActions(state);
+  const player = state.players[state.currentPlayerIndex];
+  const colorOf = (cardId) => player.hand.find((c) => c.id === cardId).color;
+  const handColors = state.phase === 'playing' ? [...new Set(player.hand.map((c) => c.color))] : [];
+
+  const mandalas = state.mandalas.map((_, mandalaIndex) => {
+    const here = (option) => option.mandalaIndex === mandalaIndex;
+    const field = {};
+    for (const { cardIds } of valid.growField.filter(here)) {
+      const color = colorOf(cardIds[0]);
+      field[color] = Math.max(field[color] ?? 0, cardIds.length);
+    }
+
+    // Ask the validators why, with one card of each color that can't be played
+    const blocked = { mountain: {}, field: {} };
+    const mountain = valid.buildMountain.filter(here).map((option) => option.cardId);
+    for (const color of handColors) {
+      const card = player.hand.find((c) => c.color === color);
+      if (!mountain.includes(card.id)) {
+        blocked.mountain[color] = validateBuildMountain(state, card.id, mandalaIndex).error;
+      }
+      if (!field[color]) {
+        blocked.field[color] = validateGrowField(state, [card.id], mandalaIndex).error;
+      }
+    }
+
+    return { mountain, field, blocked };
+  });
+
+  const discard = [...new Set(valid.discardRedraw.map(({ cardIds }) => colorOf(cardIds[0])))];
+
+  return { mandalas, discard, claim: valid.claimColor };
+}
+
 // ============================================
 // SCORING
 // ============================================
@@ -656,60 +1116,152 @@ export function calculateScore(player) {
   return score;
 }
 
+/**
+ * How a player's score adds up, for the end of the game: one row per filled
+ * river slot with its value, how many cup cards match its color (and how many
+ * of those were starting cards) and the points they make. Cup cards of
+ * colors not in the river score nothing and are counted in unscored. Pass
+ * the game's rules so older saves without startingCupCount use its cup size.
+ */
+export function getScoreBreakdown(player, rules = DEFAULT_RULES) {
+  const startingCount = player.startingCupCount ?? rules.initialCupSize;
+  const rows = [];
+  player.river.forEach((color, index) => {
+    if (!color) {
+      return;
+    }
+    // Starting cards are dealt first, so they lead the cup
+    const positions = player.cup.flatMap((card, position) => (card.color === color ? [position] : []));
+    rows.push({
+      color,
+      value: index + 1,
+      cards: positions.length,
+      startingCards: positions.filter((position) => position < startingCount).length,
+      points: (index + 1) * positions.length,
+    });
+  });
+
+  const unscored = player.cup.filter((card) => !player.river.includes(card.color)).length;
+  return { rows, unscored, total: rows.reduce((sum, row) => sum + row.points, 0) };
+}
+
 export function getWinner(state) {
   if (state.phase !== 'ended') {
     return null;
   }
 
-  const score0 = calculateScore(state.players[0]);
-  const score1 = calculateScore(state.players[1]);
+  const scores = state.players.map((player) => calculateScore(player));
+  const cups = state.players.map((player) => player.cup.length);
 
-  let winnerId;
-  if (score0 > score1) {
-    winnerId = state.players[0].id;
-  } else if (score1 > score0) {
-    winnerId = state.players[1].id;
-  } else {
-    // Tie-breaker: fewer cards in cup wins
-    const cup0 = state.players[0].cup.length;
-    const cup1 = state.players[1].cup.length;
-    winnerId = cup0 < cup1 ? state.players[0].id : state.players[1].id;
+  // A forfeit loses regardless of score
+  const contenders = state.players
+    .map((_, index) => index)
+    .filter((index) => index !== state.forfeitedBy);
+
+  // Highest score wins. Tie-breaker: fewer cards in cup wins, and if that
+  // ties too, the later seat (who moved later in each round) wins.
+  const winnerIndex = contenders.reduce((best, index) => {
+    if (scores[index] !== scores[best]) {
+      return scores[index] > scores[best] ? index : best;
+    }
+    return cups[index] <= cups[best] ? index : best;
+  });
+
+  // Which tie-breaker decided it, if any: 'cup' or 'seat'
+  const tied = contenders.filter((index) => scores[index] === scores[winnerIndex]);
+  let tiebreak = null;
+  if (tied.length > 1) {
+    tiebreak = tied.filter((index) => cups[index] === cups[winnerIndex]).length > 1 ? 'seat' : 'cup';
   }
 
-  return { winnerId, scores: [score0, score1] };
+  return { winnerId: state.players[winnerIndex].id, winnerIndex, scores, tiebreak };
 }
 
 // ============================================
 // STATE FILTERING (for hiding opponent info)
 // ============================================
 
+function hideCards(cards) {
+  return cards.map(() => ({ id: 'hidden', color: 'hidden' }));
+}
+
 /**
- * Create a filtered view of the game state for a specific player.
- * Hides opponent's hand and starting cup cards.
+ * Build a filtered view of the game state in which only the players whose
+ * index passes canSee keep their private information (hand, starting cup,
+ * drawn cards). The deck and the seed are always hidden. With the memory
+ * helper off, the discard pile and unseen players' whole cups are hidden
+ * too, and the history is cut down to the last action. Once the game has
+ * ended nothing is hidden but the deck.
  */
-export function getPlayerView(state, playerIndex) {
+function createView(state, canSeeSeat) {
+  // Everything is revealed once the game is over
+  const canSee = state.phase === 'ended' ? () => true : canSeeSeat;
   const view = structuredClone(state);
-  const opponentIndex = 1 - playerIndex;
-  const opponent = view.players[opponentIndex];
-  
-  // Hide opponent's hand (just show count)
-  opponent.hand = opponent.hand.map(() => ({ id: 'hidden', color: 'hidden' }));
+  const memoryHelper = state.memoryHelper !== false;
+  const rules = getRules(state);
+  view.rules = structuredClone(rules);
   
-  // Hide opponent's starting cup cards (show only cards gained from claiming)
-  const startingCount = opponent.startingCupCount || INITIAL_CUP_SIZE;
-  if (opponent.cup.length <= startingCount) {
-    // All cup cards are starting cards - hide them all
-    opponent.cup = opponent.cup.map(() => ({ id: 'hidden', color: 'hidden' }));
-  } else {
-    // Some claimed cards exist - hide first N (starting) cards, show the rest
-    opponent.cup = [
-      ...opponent.cup.slice(0, startingCount).map(() => ({ id: 'hidden', color: 'hidden' })),
-      ...opponent.cup.slice(startingCount)
+  view.players.forEach((player, index) => {
+    if (canSee(index)) {
+      return;
+    }
+    
+    // Hide hand (just show count)
+    player.hand = hideCards(player.hand);
+    
+    // Hide starting cup cards (show only cards gained from claiming), unless
+    // cups are open. Without the memory helper the whole cup is hidden.
+    let startingCount = rules.openCups ? 0 : player.startingCupCount ?? rules.initialCupSize;
+    if (!memoryHelper) {
+      startingCount = player.cup.length;
+    }
+    player.cup = [
+      ...hideCards(player.cup.slice(0, startingCount)),
+      ...player.cup.slice(startingCount)
     ];
-  }
+  });
   
   // Also hide deck contents
-  view.deck = view.deck.map(() => ({ id: 'hidden', color: 'hidden' }));
+  view.deck = hideCards(view.deck);
+  if (!memoryHelper) {
+    view.discardPile = hideCards(view.discardPile);
+  }
+  
+  // Redact cards drawn by hidden players in the action history
+  view.history = (view.history || []).map((entry) => {
+    if (canSee(entry.playerIndex) || !entry.drawnCards) {
+      return entry;
+    }
+    return { ...entry, drawnCards: hideCards(entry.drawnCards) };
+  });
+  // Earlier actions would let a player rebuild what memory mode hides
+  if (!memoryHelper) {
+    view.history = view.history.slice(-1);
+  }
+  view.lastAction = getLastAction(view);
+  view.finalRound = isFinalRound(state);
+  
+  // The seed would let a player predict the deck, so only reveal it at the end
+  if (view.phase !== 'ended') {
+    delete view.seed;
+  }
+  delete view.rngState;
   
   return view;
 }
+
+/**
+ * Create a filtered view of the game state for a specific player.
+ * Hides opponent's hand, starting cup cards and the cards they drew.
+ */
+export function getPlayerView(state, playerIndex) {
+  return createView(state, (index) => index === playerIndex);
+}
+
+/**
+ * Create a public-information view for spectators: both hands and both
+ * starting cups are hidden, as if watching from across the table.
+ */
+export function getSpectatorView(state) {
+  return createView(state, () => false);
+}
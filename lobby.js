@@ -0,0 +1,113 @@
+// Mandala Lobby
+// Everything before a game starts: display names, the list of open public
+// rooms and the quick-match queue
+
+import { RULE_PRESETS } from './game.js';
+
+// ============================================
+// NAMES
+// ============================================
+
+// Display names: 1-20 letters, digits, spaces and a little punctuation
+export const MAX_NAME_LENGTH = 20;
+const NAME_PATTERN = /^[\p{L}\p{N} _.'-]+$/u;
+
+/**
+ * Check a player-supplied name. Returns { name } with whitespace tidied, or
+ * { error }. A missing name falls back to the given default.
+ */
+export function parsePlayerName(name, fallback) {
+  if (name === undefined || name === null || name === '') {
+    return { name: fallback };
+  }
+  if (typeof name !== 'string') {
+    return { error: 'Name must be text' };
+  }
+  const text = name.trim().replace(/\s+/g, ' ');
+  if (!text) {
+    return { error: 'Name cannot be blank' };
+  }
+  if ([...text].length > MAX_NAME_LENGTH) {
+    return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!NAME_PATTERN.test(text)) {
+    return { error: "Name may only use letters, numbers, spaces and - _ . '" };
+  }
+  return { name: text };
+}
+
+// ============================================
+// PUBLIC ROOMS
+// ============================================
+
+// A public room that hasn't started and still has a free seat
+export function isOpenPublicRoom(room) {
+  return room.public && !room.gameState && room.players.length < room.maxPlayers;
+}
+
+// What the lobby shows about an open room
+export function roomSummary(room) {
+  return {
+    roomCode: room.code,
+    host: room.players[0]?.name,
+    players: room.players.length,
+    maxPlayers: room.maxPlayers,
+    rules: RULE_PRESETS[room.rulesPreset]?.label,
+    timer: room.timer ? { mode: room.timer.mode, seconds: room.timer.seconds } : null,
+    memoryHelper: room.memoryHelper,
+    casual: room.casual,
+  };
+}
+
+// The open public rooms among the given ones, oldest first
+export function publicRoomList(rooms) {
+  return [...rooms]
+    .filter(isOpenPublicRoom)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(roomSummary);
+}
+
+// ============================================
+// QUICK MATCH
+// ============================================
+
+// WebSocket readyState of a connection that can still be sent to
+const OPEN = 1;
+
+/**
+ * Players waiting for a quick match, longest-waiting first. An entry is
+ * anything with the player's ws; the server adds what it needs to seat them.
+ */
+export function createMatchQueue() {
+  const waiting = [];
+
+  function leave(ws) {
+    const index = waiting.findIndex((entry) => entry.ws === ws);
+    if (index !== -1) {
+      waiting.splice(index, 1);
+    }
+  }
+
+  return {
+    leave,
+    /**
+     * Pair the player with whoever has waited longest, skipping anyone whose
+     * connection dropped. Returns that entry, or null if nobody was waiting
+     * and the player now waits instead. Joining again keeps a single place.
+     */
+    join(entry) {
+      leave(entry.ws);
+      while (waiting.length > 0 && waiting[0].ws.readyState !== OPEN) {
+        waiting.shift();
+      }
+      if (waiting.length > 0) {
+        return waiting.shift();
+      }
+      waiting.push(entry);
+      return null;
+    },
+    get size() {
+      return waiting.length;
+    },
+  };
+}
@@ -0,0 +1,210 @@
+// Mandala Player Profiles
+// Lightweight accounts, match history and ratings
+//
+// A profile is a display name plus a secret token the server issues once; the
+// browser keeps the token and signs in with it on every visit. Only a hash of
+// the token is stored. Profiles and finished matches are kept in the server's
+// storage next to the rooms (see storage.js).
+//
+// Ratings are Elo. A game with more than two players counts as a match
+// against each opponent, with the K factor shared between them, so a
+// two-player game is plain Elo.
+
+import { randomBytes, createHash, timingSafeEqual } from 'crypto';
+
+export const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+const RECENT_GAMES = 10;
+const LADDER_SIZE = 50;
+
+// ============================================
+// RATINGS
+// ============================================
+
+// The score a player is expected to take off an opponent, from 0 to 1
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Finishing places for a game result: the winner is 0, everyone else is
+ * placed by score behind them, with equal scores sharing a place. A player
+ * who forfeited (forfeitedBy, or null) comes last whatever their score.
+ */
+export function placements(scores, winnerIndex, forfeitedBy = null) {
+  const placed = (i) => i !== winnerIndex && i !== forfeitedBy;
+  return scores.map((score, index) => {
+    if (index === winnerIndex) {
+      return 0;
+    }
+    if (index === forfeitedBy) {
+      return scores.length - 1;
+    }
+    return 1 + scores.filter((other, i) => placed(i) && other > score).length;
+  });
+}
+
+/**
+ * New ratings after a game, given each player's rating and place (lower is
+ * better). Every pair of players is scored as a win, loss or draw between
+ * them. Returns whole-number ratings in the same order.
+ */
+export function rateGame(ratings, places) {
+  const k = K_FACTOR / Math.max(1, ratings.length - 1);
+  return ratings.map((rating, index) => {
+    let change = 0;
+    ratings.forEach((opponentRating, other) => {
+      if (other === index) {
+        return;
+      }
+      const actual = places[index] < places[other] ? 1 : places[index] === places[other] ? 0.5 : 0;
+      change += k * (actual - expectedScore(rating, opponentRating));
+    });
+    return Math.round(rating + change);
+  });
+}
+
+// ============================================
+// PROFILES
+// ============================================
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// What anyone may see of a profile
+function publicProfile(profile) {
+  const { id, name, rating, games, wins, losses, totalScore, createdAt } = profile;
+  return {
+    id,
+    name,
+    rating,
+    games,
+    wins,
+    losses,
+    averageScore: games > 0 ? Math.round((totalScore / games) * 10) / 10 : null,
+    createdAt,
+  };
+}
+
+/**
+ * Profiles and match history over a storage backend. Everything is loaded
+ * once at startup and written through on every change.
+ */
+export function createProfiles(storage) {
+  const profiles = new Map(storage.loadProfiles().map((profile) => [profile.id, profile]));
+  const matches = storage.loadMatches().sort((a, b) => a.finishedAt - b.finishedAt);
+
+  // A match as it appears in one player's recent games
+  function matchSummary(match, profileId) {
+    const seat = match.players.findIndex((p) => p.profileId === profileId);
+    const { score, rating } = match.players[seat];
+    return {
+      id: match.id,
+      finishedAt: match.finishedAt,
+      rulesPreset: match.rulesPreset,
+      players: match.players.map(({ name, score }) => ({ name, score })),
+      won: seat === match.winnerIndex,
+      score,
+      // Games without another rated player don't move the rating
+      ratingChange: rating ? rating.after - rating.before : 0,
+    };
+  }
+
+  return {
+    // Make a new profile. The token is only ever returned here.
+    create(name) {
+      const token = randomBytes(24).toString('hex');
+      const profile = {
+        id: randomBytes(8).toString('hex'),
+        name,
+        tokenHash: hashToken(token),
+        rating: DEFAULT_RATING,
+        games: 0,
+        wins: 0,
+        losses: 0,
+        totalScore: 0,
+        createdAt: Date.now(),
+      };
+      profiles.set(profile.id, profile);
+      storage.saveProfile(profile);
+      return { profile: publicProfile(profile), token };
+    },
+
+    // The profile for an id and token, or null if they don't match
+    signIn(id, token) {
+      const profile = profiles.get(id);
+      if (!profile || typeof token !== 'string') {
+        return null;
+      }
+      const given = Buffer.from(hashToken(token), 'hex');
+      const stored = Buffer.from(profile.tokenHash, 'hex');
+      return timingSafeEqual(given, stored) ? publicProfile(profile) : null;
+    },
+
+    get(id) {
+      const profile = profiles.get(id);
+      if (!profile) {
+        return null;
+      }
+      const recentGames = matches
+        .filter((match) => match.players.some((p) => p.profileId === id))
+        .slice(-RECENT_GAMES)
+        .reverse()
+        .map((match) => matchSummary(match, id));
+      return { ...publicProfile(profile), recentGames };
+    },
+
+    // Rated players, best first
+    ladder() {
+      return [...profiles.values()]
+        .filter((profile) => profile.games > 0)
+        .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+        .slice(0, LADDER_SIZE)
+        .map(publicProfile);
+    },
+
+    /**
+     * Add a finished game to the history and update the profiles that
+     * played in it. match.players lists every seat as { profileId, name,
+     * bot, score }; seats without a profile are recorded but not rated, and
+     * neither is a profile that sat in two seats. A profile's record counts
+     * every game, but its rating only moves when two or more profiles met.
+     * Returns the saved match, whose players carry { before, after } ratings
+     * where they were rated.
+     */
+    recordMatch(match) {
+      const ids = match.players.map((p) => p.profileId);
+      const rated = match.players
+        .map((p, index) => index)
+        .filter((index) => profiles.has(ids[index]) && ids.indexOf(ids[index]) === ids.lastIndexOf(ids[index]));
+
+      const places = placements(match.players.map((p) => p.score), match.winnerIndex, match.forfeitedBy);
+      const before = rated.map((index) => profiles.get(ids[index]).rating);
+      const after = rated.length > 1 ? rateGame(before, rated.map((index) => places[index])) : before;
+
+      const record = {
+        ...match,
+        id: randomBytes(8).toString('hex'),
+        players: match.players.map((p) => ({ ...p, rating: null })),
+      };
+      rated.forEach((index, n) => {
+        const profile = profiles.get(ids[index]);
+        profile.rating = after[n];
+        profile.games++;
+        profile.totalScore += match.players[index].score;
+        if (index === match.winnerIndex) {
+          profile.wins++;
+        } else {
+          profile.losses++;
+        }
+        storage.saveProfile(profile);
+        record.players[index].rating = { before: before[n], after: after[n] };
+      });
+
+      matches.push(record);
+      storage.saveMatch(record);
+      return record;
+    },
+  };
+}
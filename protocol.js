@@ -0,0 +1,328 @@
+// Mandala WebSocket Protocol
+// Every message type the client and server exchange, with the fields each one
+// carries. The server checks incoming messages against CLIENT_MESSAGES before
+// handling them, and its own messages against SERVER_MESSAGES.
+//
+// Every message is a JSON object with a string `type`; the other fields are
+// listed per type below. Fields not listed are rejected.
+
+import { MANDALA_COUNT } from './game.js';
+import { TOURNAMENT_FORMATS, MIN_PARTICIPANTS, MAX_PARTICIPANTS } from './tournaments.js';
+
+// Bump whenever a message changes shape. Clients say hello with their version
+// first; a mismatch means a cached page is talking to a newer server.
+export const PROTOCOL_VERSION = 6;
+
+// Codes sent as { type: 'error', code, message }. The message is for people;
+// clients branch on the code.
+export const ERROR_CODES = [
+  'bad_json', // not a JSON object with a string type
+  'protocol_mismatch', // no hello, or an old client version: reload the page
+  'unknown_type', // no such message type
+  'invalid_message', // a field is missing, of the wrong type or unexpected
+  'invalid_name',
+  'room_not_found',
+  'room_full',
+  'game_in_progress',
+  'not_in_room',
+  'already_in_room',
+  'not_host',
+  'not_enough_players',
+  'not_a_player', // spectators cannot do this
+  'no_active_game',
+  'not_your_turn',
+  'illegal_action', // the rules engine rejected the move
+  'undo_unavailable',
+  'rematch_unavailable',
+  'invalid_chat',
+  'rate_limited',
+  'game_error', // the room is paused after a server error; see recover_game
+  'server_error',
+  'invalid_profile', // sign_in with an unknown profile or the wrong token
+  'tournament_not_found',
+  'invalid_tournament',
+  'participant_taken', // someone else already joined the tournament as that participant
+];
+
+// ============================================
+// FIELD TYPES
+// ============================================
+
+// A field spec is { type, optional, nullable } plus limits for its type:
+// min/max for integers, maxLength for strings, values for enums, items and
+// minItems/maxItems for arrays, and variants for tagged objects (see ACTIONS).
+
+const string = (limits = {}) => ({ type: 'string', ...limits });
+const integer = (limits = {}) => ({ type: 'integer', ...limits });
+const boolean = () => ({ type: 'boolean' });
+const object = () => ({ type: 'object' });
+const array = (items, limits = {}) => ({ type: 'array', items, ...limits });
+const oneOf = (values) => ({ type: 'enum', values });
+const seed = () => ({ type: ['string', 'number'] });
+const optional = (spec) => ({ ...spec, optional: true });
+const nullable = (spec) => ({ ...spec, nullable: true });
+
+const name = () => string({ maxLength: 100 });
+const roomCode = () => string({ maxLength: 8 });
+const seat = () => integer({ min: 0 });
+const cardIds = () => array(string({ maxLength: 32 }), { minItems: 1, maxItems: 20 });
+const mandalaIndex = () => integer({ min: 0, max: MANDALA_COUNT - 1 });
+
+// ============================================
+// CLIENT TO SERVER
+// ============================================
+
+// The moves of game.js performAction, tagged by their type field
+const ACTIONS = {
+  build_mountain: { cardId: string({ maxLength: 32 }), mandalaIndex: mandalaIndex() },
+  grow_field: { cardIds: cardIds(), mandalaIndex: mandalaIndex() },
+  discard_redraw: { cardIds: cardIds() },
+  claim_color: { color: string({ maxLength: 16 }) },
+};
+
+export const CLIENT_MESSAGES = {
+  // Must be the first message on every connection
+  hello: { version: integer() },
+  create_room: {
+    name: optional(name()),
+    players: optional(integer()),
+    seed: optional(seed()),
+    memoryHelper: optional(boolean()),
+    casual: optional(boolean()),
+    public: optional(boolean()),
+    rules: optional(string({ maxLength: 32 })),
+    timer: optional(string({ maxLength: 32 })),
+    timeoutPolicy: optional(string({ maxLength: 32 })),
+    vsComputer: optional(boolean()),
+    difficulty: optional(string({ maxLength: 32 })),
+  },
+  join_room: { roomCode: roomCode(), name: optional(name()) },
+  rejoin_room: { roomCode: roomCode(), token: string({ maxLength: 64 }) },
+  spectate_room: { roomCode: roomCode(), name: optional(name()) },
+  start_game: {},
+  rename: { name: name() },
+  action: { action: { type: 'variant', variants: ACTIONS } },
+  undo_request: {},
+  undo_response: { accept: boolean() },
+  rematch: {},
+  leave_room: {},
+  watch_lobby: {},
+  unwatch_lobby: {},
+  quick_match: { name: optional(name()) },
+  cancel_match: {},
+  // Either free text or one of the server's quick emotes
+  chat: { text: optional(string({ maxLength: 1000 })), emote: optional(string({ maxLength: 32 })) },
+  // Profiles: create one (the reply carries its token) or sign in with it
+  create_profile: { name: name() },
+  sign_in: { profileId: string({ maxLength: 32 }), token: string({ maxLength: 64 }) },
+  sign_out: {},
+  // Tournaments: participants are names in seed order. Watching with the
+  // token from join_tournament identifies the watcher as their participant.
+  create_tournament: {
+    name: optional(string({ maxLength: 100 })),
+    format: oneOf(Object.keys(TOURNAMENT_FORMATS)),
+    participants: array(name(), { minItems: MIN_PARTICIPANTS, maxItems: MAX_PARTICIPANTS }),
+    rules: optional(string({ maxLength: 32 })),
+    timer: optional(string({ maxLength: 32 })),
+    timeoutPolicy: optional(string({ maxLength: 32 })),
+  },
+  watch_tournament: { code: roomCode(), token: optional(string({ maxLength: 64 })) },
+  join_tournament: { code: roomCode(), participant: integer({ min: 0, max: MAX_PARTICIPANTS - 1 }) },
+  // Resume a game paused by a server error, or give it up
+  recover_game: { choice: oneOf(['retry', 'abort']) },
+  ping: {},
+};
+
+// ============================================
+// SERVER TO CLIENT
+// ============================================
+
+const seatAssignment = {
+  roomCode: roomCode(),
+  playerIndex: seat(),
+  playerId: string(),
+  reconnectToken: string(),
+};
+
+export const SERVER_MESSAGES = {
+  welcome: { version: integer() },
+  error: { code: oneOf(ERROR_CODES), message: string() },
+  room_created: seatAssignment,
+  room_joined: seatAssignment,
+  match_found: seatAssignment,
+  room_rejoined: { ...seatAssignment, inGame: boolean() },
+  rejoin_failed: { message: string() },
+  spectating: { roomCode: roomCode(), playerNames: array(string()), maxPlayers: integer(), inGame: boolean() },
+  lobby_update: {
+    playerIds: array(string()),
+    playerNames: array(string()),
+    maxPlayers: integer(),
+    // Left out for spectators
+    playerIndex: optional(seat()),
+  },
+  game_started: { playerIndex: seat(), playerId: string(), playerNames: array(string()) },
+  game_state: {
+    // getPlayerView or getSpectatorView from game.js
+    state: object(),
+    playerIndex: nullable(seat()),
+    playerId: nullable(string()),
+    spectator: boolean(),
+    roomCode: roomCode(),
+    playerNames: array(string()),
+    spectatorCount: integer(),
+    timer: nullable(object()),
+    undoable: boolean(),
+    // getLegalMoves from game.js for the seat to move, null for everyone else
+    legalMoves: nullable(object()),
+  },
+  game_ended: {
+    winner: string(),
+    winnerIndex: seat(),
+    winnerName: string(),
+    scores: array(integer()),
+    // getScoreBreakdown from game.js for every seat
+    breakdowns: array(object()),
+    tiebreak: nullable(oneOf(['cup', 'seat'])),
+    // Per seat: { before, after } if the seat's profile was rated, else null
+    ratings: array(nullable(object())),
+    playerIds: array(string()),
+    playerNames: array(string()),
+    endGameTrigger: nullable(string()),
+    forfeitedBy: optional(seat()),
+    forfeitReason: optional(oneOf(['timeout', 'left'])),
+    seed: seed(),
+    // The tournament code, for a tournament game
+    tournament: optional(roomCode()),
+    // Players get their own result; spectators get spectator: true instead
+    yourScore: optional(integer()),
+    opponentScore: optional(integer()),
+    youWon: optional(boolean()),
+    spectator: optional(boolean()),
+  },
+  spectators_changed: { count: integer() },
+  undo_requested: { name: string() },
+  undo_answered: { accepted: boolean() },
+  rematch_requested: { name: string() },
+  rematch_started: { playerIndex: seat() },
+  opponent_disconnected: { name: string() },
+  opponent_reconnected: { name: string() },
+  opponent_left: { name: string() },
+  chat: { playerId: string(), name: string(), text: string(), emote: nullable(string()), sentAt: integer() },
+  room_list: { rooms: array(object()) },
+  match_queued: {},
+  match_cancelled: {},
+  // profiles.js public profile; the token only when the profile was just created
+  signed_in: { profile: object(), token: optional(string()) },
+  signed_out: {},
+  tournament_created: { code: roomCode() },
+  tournament_joined: { code: roomCode(), participant: integer(), token: string() },
+  tournament_update: {
+    // See tournamentView in server.js
+    tournament: object(),
+    // Which participant the watcher is, and their game waiting to be played
+    participant: nullable(integer()),
+    yourMatch: nullable(object()),
+  },
+  game_error: { message: string() },
+  game_aborted: {},
+  pong: {},
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Check one value against a field spec. Returns an error string or null.
+function checkField(value, spec, path) {
+  if (value === undefined) {
+    return spec.optional ? null : `${path} is required`;
+  }
+  if (value === null) {
+    return spec.nullable ? null : `${path} cannot be null`;
+  }
+
+  const actual = typeOf(value);
+  switch (spec.type) {
+    case 'enum':
+      return spec.values.includes(value) ? null : `${path} must be one of ${spec.values.join(', ')}`;
+    case 'variant':
+      if (actual !== 'object' || !Object.hasOwn(spec.variants, value.type)) {
+        return `${path}.type must be one of ${Object.keys(spec.variants).join(', ')}`;
+      }
+      return checkFields(value, spec.variants[value.type], path);
+    case 'integer':
+      if (actual !== 'integer') return `${path} must be a whole number`;
+      if (spec.min !== undefined && value < spec.min) return `${path} must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `${path} must be at most ${spec.max}`;
+      return null;
+    case 'string':
+      if (actual !== 'string') return `${path} must be a string`;
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return `${path} must be at most ${spec.maxLength} characters`;
+      }
+      return null;
+    case 'array':
+      if (actual !== 'array') return `${path} must be an array`;
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        return `${path} needs at least ${spec.minItems} item(s)`;
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return `${path} can have at most ${spec.maxItems} items`;
+      }
+      for (let i = 0; i < value.length; i++) {
+        const error = checkField(value[i], spec.items, `${path}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    default: {
+      // Plain types; 'number' accepts integers too
+      const allowed = [spec.type].flat();
+      const matches = (type) => type === actual || (type === 'number' && actual === 'integer');
+      return allowed.some(matches) ? null : `${path} must be ${allowed.join(' or ')}`;
+    }
+  }
+}
+
+// Check an object's fields (other than type) against a field map
+function checkFields(value, fields, path) {
+  for (const key of Object.keys(value)) {
+    if (key !== 'type' && !Object.hasOwn(fields, key)) {
+      return `Unexpected field ${path}.${key}`;
+    }
+  }
+  for (const [key, spec] of Object.entries(fields)) {
+    const error = checkField(value[key], spec, `${path}.${key}`);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Check a message against one direction's schema. Returns { valid: true } or
+ * { valid: false, code, error } with a code from ERROR_CODES.
+ */
+export function validateMessage(schema, message) {
+  if (typeOf(message) !== 'object' || typeof message.type !== 'string') {
+    return { valid: false, code: 'bad_json', error: 'Messages must be objects with a type' };
+  }
+  if (!Object.hasOwn(schema, message.type)) {
+    return { valid: false, code: 'unknown_type', error: `Unknown message type ${message.type}` };
+  }
+  const error = checkFields(message, schema[message.type], message.type);
+  return error ? { valid: false, code: 'invalid_message', error } : { valid: true };
+}
+
+export function validateClientMessage(message) {
+  return validateMessage(CLIENT_MESSAGES, message);
+}
+
+export function validateServerMessage(message) {
+  return validateMessage(SERVER_MESSAGES, message);
+}
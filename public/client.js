@@ -1,17 +1,74 @@
 // Mandala Game Client
 // WebSocket client and game UI logic
 
-const COLORS = ['red', 'orange', 'yellow', 'green', 'purple', 'black'];
-
 // Game state
 let ws = null;
 let gameState = null;
 let playerIndex = null;
-let playerNames = ['Player 1', 'Player 2'];
+let playerId = null; // Our server-assigned id; seats can change, ids don't
+let playerNames = ['Player 1', 'Player 2']; // One name per seat
 let selectedCards = [];
 let roomCode = null;
 let memoryHelperEnabled = true;
+let isSpectator = false; // Spectators watch from seat 0's side without a hand
+let turnTimer = null; // Server timer info from the last game_state
+let turnTimerReceivedAt = 0;
 let lastMove = null; // Track last move for highlighting
+let undoable = false; // Whether the server would let us take back our last action
+let legalMoves = null; // Our options from the server while it's our move (see getLegalMoves in game.js)
+let chatOpen = false;
+let unreadChats = 0;
+const mutedPlayers = new Set(); // Ids of players whose chat we hide
+
+// The server's protocol version, loaded once with the page. Reconnects keep
+// saying hello with the version the page was loaded with, so a server that
+// has moved on since turns them away. Null if the module failed to load.
+const protocolVersion = import('/engine/protocol.js').then(
+  (module) => module.PROTOCOL_VERSION,
+  (error) => {
+    console.error('Could not load the protocol module:', error);
+    return null;
+  }
+);
+
+// Seat reclaim: room code + token survive dropped sockets and page reloads
+const SESSION_KEY = 'mandala-session';
+
+function saveSession(code, token) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ roomCode: code, token }));
+}
+
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// Profile: id + token from create_profile, used to sign in on every visit
+const PROFILE_KEY = 'mandala-profile';
+let profile = null; // Our signed-in public profile, if any
+
+function saveProfileLogin(profileId, token) {
+  localStorage.setItem(PROFILE_KEY, JSON.stringify({ profileId, token }));
+}
+
+function loadProfileLogin() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+function clearProfileLogin() {
+  localStorage.removeItem(PROFILE_KEY);
+}
 
 // DOM Elements
 const screens = {
@@ -24,6 +81,9 @@ const modals = {
   claim: document.getElementById('claim-modal'),
   gameOver: document.getElementById('game-over-modal'),
   disconnect: document.getElementById('disconnect-modal'),
+  undo: document.getElementById('undo-modal'),
+  reload: document.getElementById('reload-modal'),
+  gameError: document.getElementById('game-error-modal'),
 };
 
 // ===== WebSocket Connection =====
@@ -33,8 +93,15 @@ function connect() {
   
   ws = new WebSocket(wsUrl);
   
-  ws.onopen = () => {
+  ws.onopen = async () => {
     console.log('Connected to server');
+    const version = await protocolVersion;
+    // The server won't talk to us without it; a reload fetches it again
+    if (version === null) {
+      showReloadModal();
+      return;
+    }
+    send('hello', { version });
   };
   
   ws.onmessage = (event) => {
@@ -46,7 +113,7 @@ function connect() {
     console.log('Disconnected from server');
     // Try to reconnect after a delay
     setTimeout(() => {
-      if (gameState && gameState.phase !== 'ended') {
+      if (loadSession() || (gameState && gameState.phase !== 'ended')) {
         connect();
       }
     }, 3000);
@@ -66,32 +133,151 @@ function send(type, data = {}) {
 // ===== Message Handlers =====
 function handleMessage(message) {
   switch (message.type) {
+    case 'welcome': {
+      // Sign in first so any seat we take is tied to our profile
+      const login = loadProfileLogin();
+      if (login) {
+        send('sign_in', login);
+      }
+      // Reclaim our seat if we were in a room when the socket dropped
+      const session = loadSession();
+      if (session) {
+        send('rejoin_room', session);
+      } else if (!screens.lobby.classList.contains('hidden')) {
+        send('watch_lobby');
+      }
+      break;
+    }
+      
     case 'room_created':
+    case 'room_joined':
+    case 'match_found':
+      setMatchSearching(false);
       roomCode = message.roomCode;
+      playerIndex = message.playerIndex;
+      playerId = message.playerId;
+      saveSession(roomCode, message.reconnectToken);
       document.getElementById('display-room-code').textContent = roomCode;
       showScreen('waiting');
       break;
       
-    case 'room_joined':
+    case 'lobby_update':
+      if (message.playerIndex !== undefined) {
+        playerIndex = message.playerIndex;
+      }
+      renderWaiting(message.playerNames, message.maxPlayers, message.playerIds);
+      break;
+      
     case 'game_started':
       playerIndex = message.playerIndex;
+      playerId = message.playerId;
+      playerNames = message.playerNames;
       showScreen('game');
       break;
       
+    case 'room_rejoined':
+      roomCode = message.roomCode;
+      playerIndex = message.playerIndex;
+      playerId = message.playerId;
+      saveSession(roomCode, message.reconnectToken);
+      if (message.inGame) {
+        showScreen('game');
+      } else {
+        document.getElementById('display-room-code').textContent = roomCode;
+        showScreen('waiting');
+      }
+      break;
+      
+    case 'rejoin_failed':
+      clearSession();
+      gameState = null;
+      hideAllModals();
+      showScreen('lobby');
+      break;
+      
     case 'game_state':
       gameState = message.state;
-      playerIndex = message.playerIndex;
+      isSpectator = !!message.spectator;
+      playerIndex = isSpectator ? 0 : message.playerIndex;
       playerNames = message.playerNames;
       roomCode = message.roomCode;
+      turnTimer = message.timer;
+      turnTimerReceivedAt = Date.now();
+      // Memory mode is a room setting; the server withholds what it hides
+      memoryHelperEnabled = gameState.memoryHelper !== false;
+      undoable = !!message.undoable;
+      legalMoves = message.legalMoves;
+      // Any new position answers (or outdates) a pending undo request,
+      // and means a paused game is running again
+      modals.undo.classList.add('hidden');
+      modals.gameError.classList.add('hidden');
+      renderSpectatorCount(message.spectatorCount);
+      renderChatControls();
+      if (chatOpen) {
+        renderChatMutes();
+      }
+      if (isSpectator) {
+        // Spectators follow the room into rematches without a rematch_started
+        showScreen('game');
+        if (gameState.phase !== 'ended') {
+          modals.gameOver.classList.add('hidden');
+        }
+      }
       renderGame();
       break;
       
+    case 'spectating':
+      isSpectator = true;
+      roomCode = message.roomCode;
+      if (!message.inGame) {
+        document.getElementById('display-room-code').textContent = roomCode;
+        renderWaiting(message.playerNames, message.maxPlayers);
+        showScreen('waiting');
+      }
+      break;
+      
+    case 'spectators_changed':
+      renderSpectatorCount(message.count);
+      break;
+      
     case 'game_ended':
       showGameOver(message);
       break;
       
+    case 'chat':
+      receiveChat(message);
+      break;
+      
+    case 'room_list':
+      renderPublicRooms(message.rooms);
+      break;
+      
+    case 'match_queued':
+      setMatchSearching(true);
+      break;
+      
+    case 'match_cancelled':
+      setMatchSearching(false);
+      break;
+      
+    case 'undo_requested':
+      document.getElementById('undo-text').textContent = 
+        `${message.name} wants to take back their last move.`;
+      modals.undo.classList.remove('hidden');
+      break;
+      
+    case 'undo_answered':
+      // Someone else may have declined a request we were still deciding on
+      modals.undo.classList.add('hidden');
+      if (!message.accepted) {
+        const undoBtn = document.getElementById('btn-undo');
+        undoBtn.textContent = '↩️ Undo declined';
+        undoBtn.disabled = true;
+      }
+      break;
+      
     case 'rematch_requested':
-      document.getElementById('rematch-status').textContent = 'Opponent wants a rematch!';
+      document.getElementById('rematch-status').textContent = `${message.name} wants a rematch!`;
       break;
       
     case 'rematch_started':
@@ -102,25 +288,91 @@ function handleMessage(message) {
       
     case 'opponent_disconnected':
     case 'opponent_left':
+      document.getElementById('disconnect-text').textContent = message.type === 'opponent_left'
+        ? `${message.name} has left the game.`
+        : `${message.name} has disconnected. Waiting for them to reconnect...`;
       modals.disconnect.classList.remove('hidden');
       break;
       
+    case 'opponent_reconnected':
+      modals.disconnect.classList.add('hidden');
+      break;
+      
+    case 'game_error':
+      showGameError(message.message);
+      break;
+      
+    case 'game_aborted':
+      clearSession();
+      resetChat();
+      hideAllModals();
+      showScreen('lobby');
+      gameState = null;
+      isSpectator = false;
+      selectedCards = [];
+      showError('The game was aborted after an error');
+      break;
+      
+    case 'signed_in':
+      profile = message.profile;
+      // The token only comes with a new profile; it is never sent again
+      if (message.token) {
+        saveProfileLogin(profile.id, message.token);
+      }
+      renderProfile();
+      break;
+      
+    case 'signed_out':
+      profile = null;
+      clearProfileLogin();
+      renderProfile();
+      break;
+      
     case 'error':
-      showError(message.message);
+      if (message.code === 'protocol_mismatch') {
+        showReloadModal();
+      } else if (message.code === 'invalid_profile') {
+        // The stored login no longer works (e.g. the server's data was reset)
+        clearProfileLogin();
+        renderProfile();
+      } else {
+        showError(message.message);
+      }
       break;
   }
 }
 
+// Card colors (and their display order) come from the game's rules
+function gameColors() {
+  return gameState.rules.colors;
+}
+
+// Everyone but the seat we watch from, in turn order starting after it
+function opponentSeats() {
+  const count = gameState.players.length;
+  return Array.from({ length: count - 1 }, (_, i) => (playerIndex + i + 1) % count);
+}
+
 // ===== Screen Management =====
 function showScreen(name) {
   Object.values(screens).forEach(s => s.classList.add('hidden'));
   screens[name].classList.remove('hidden');
+  // The lobby lists open public rooms, kept up to date by the server
+  if (name === 'lobby') {
+    send('watch_lobby');
+  }
 }
 
 function hideAllModals() {
   Object.values(modals).forEach(m => m.classList.add('hidden'));
 }
 
+// This page is out of date with the server, or couldn't load its protocol
+function showReloadModal() {
+  hideAllModals();
+  modals.reload.classList.remove('hidden');
+}
+
 function showError(message) {
   const errorEl = document.getElementById('error-message');
   errorEl.textContent = message;
@@ -130,40 +382,18 @@ function showError(message) {
 }
 
 // ===== Score Calculation =====
-function calculateScore(playerIdx, excludeStartingCards = true) {
+// Score from the cup cards we can see: each one is worth its river slot's value.
+// Hidden starting cards can't be scored until they are revealed at the end.
+function calculateScore(playerIdx) {
   const player = gameState.players[playerIdx];
-  const river = player.river;
-  const cup = player.cup;
-  
-  // Count cards per color in cup
-  const cupCounts = {};
-  cup.forEach(card => {
-    cupCounts[card.color] = (cupCounts[card.color] || 0) + 1;
-  });
-  
-  let score = 0;
-  river.forEach((color, index) => {
-    if (color) {
-      const value = index + 1;
-      const count = cupCounts[color] || 0;
-      score += value * count;
-    }
-  });
-  
-  // Note: Starting cards are already in the cup but we can't identify them
-  // The "excludeStartingCards" is conceptual - in practice we count all cup cards
-  // but users understand the starting 2 are random and don't count morally
-  
-  return score;
+  // indexOf is -1 for colors not in the river, which score nothing
+  return player.cup.reduce((score, card) => score + player.river.indexOf(card.color) + 1, 0);
 }
 
-function getCollectedCupCards(playerIdx) {
-  // Returns cup cards minus the 2 starting cards
-  // We can't know which are starting cards, but we can show cup.length - 2 as "collected"
-  // For display, we'll show all cup cards but note the count properly
-  const cup = gameState.players[playerIdx].cup;
-  // We'll return all cards but the UI can mention "X collected" (cup.length - 2)
-  return cup;
+// A score as shown during play, marked when hidden cards may add to it
+function scoreText(playerIdx) {
+  const hidden = gameState.players[playerIdx].cup.some(card => card.color === 'hidden');
+  return hidden ? `${calculateScore(playerIdx)}+?` : String(calculateScore(playerIdx));
 }
 
 // ===== Game Rendering =====
@@ -171,68 +401,62 @@ function renderGame() {
   if (!gameState) return;
   
   const myIndex = playerIndex;
-  const oppIndex = 1 - playerIndex;
+  const opponents = opponentSeats();
   
-  // Store lastMove from gameState if available
-  if (gameState.lastAction) {
-    lastMove = gameState.lastAction;
-  }
+  // The server derives lastAction from the game's action history
+  lastMove = gameState.lastAction || null;
   
   // Your turn glow
-  const isMyTurn = gameState.currentPlayerIndex === myIndex;
+  const isMyTurn = !isSpectator && gameState.currentPlayerIndex === myIndex;
   const isClaimPhase = gameState.phase === 'destroying';
-  const isMyClaimTurn = isClaimPhase && gameState.destruction?.currentClaimerIndex === myIndex;
+  const isMyClaimTurn = isMyTurn && isClaimPhase && gameState.destruction?.currentClaimerIndex === myIndex;
   screens.game.classList.toggle('your-turn', (isMyTurn && !isClaimPhase) || isMyClaimTurn);
   
-  // Opponent info
-  document.getElementById('opponent-name').textContent = playerNames[oppIndex];
+  // Opponent info (with several opponents, each panel shows its own hand size)
+  const soloOpponent = opponents.length === 1 ? opponents[0] : null;
+  document.getElementById('opponent-name').textContent = 
+    soloOpponent !== null ? playerNames[soloOpponent] : `${opponents.length} opponents`;
   document.getElementById('opponent-hand-count').textContent = 
-    `${gameState.players[oppIndex].hand.length} cards`;
-  document.getElementById('opponent-cup-count').textContent = 
-    gameState.players[oppIndex].cup.length;
+    soloOpponent !== null ? `${gameState.players[soloOpponent].hand.length} cards` : '';
   
   // Update scores display
   renderScores();
   
   // Show/hide memory-dependent elements
-  const discardPile = document.querySelector('.discard-pile');
-  const opponentCupCards = document.getElementById('opponent-cup-cards');
-  const opponentScoreItem = document.getElementById('opponent-score-item');
-  
-  if (memoryHelperEnabled) {
-    discardPile.style.display = 'flex';
-    opponentCupCards.style.display = 'flex';
-    opponentScoreItem.classList.remove('hidden');
-    
-    // Render opponent's cup cards (excluding display of starting 2 - show as "collected")
-    renderOpponentCup();
-  } else {
-    discardPile.style.display = 'none';
-    opponentCupCards.style.display = 'none';
-    opponentScoreItem.classList.add('hidden');
-  }
+  document.querySelector('.discard-pile').style.display = memoryHelperEnabled ? 'flex' : 'none';
+  renderOpponents();
   
-  // Deck count
+  // Deck count, and the final round once the deck has run out
   document.getElementById('deck-count').textContent = `Deck: ${gameState.deck.length}`;
+  document.getElementById('final-round').classList.toggle('hidden', !gameState.finalRound);
   
   // Turn indicator
   const turnIndicator = document.getElementById('turn-indicator');
   const turnText = document.getElementById('turn-text');
   
   turnIndicator.classList.remove('waiting', 'claiming');
-  if (isClaimPhase) {
+  if (isSpectator) {
+    const moverName = playerNames[gameState.currentPlayerIndex];
+    turnIndicator.classList.toggle('claiming', isClaimPhase);
+    turnText.textContent = isClaimPhase ? `${moverName} Claiming` : `${moverName}'s Turn`;
+  } else if (isClaimPhase) {
     turnIndicator.classList.add('claiming');
-    turnText.textContent = isMyClaimTurn ? 'Your Claim!' : 'Opponent Claiming';
+    const claimerName = opponents.length > 1 ? playerNames[gameState.currentPlayerIndex] : 'Opponent';
+    turnText.textContent = isMyClaimTurn ? 'Your Claim!' : `${claimerName} Claiming`;
   } else if (isMyTurn) {
     turnText.textContent = 'Your Turn';
   } else {
     turnIndicator.classList.add('waiting');
-    turnText.textContent = 'Waiting...';
+    turnText.textContent = opponents.length > 1 
+      ? `${playerNames[gameState.currentPlayerIndex]}'s Turn` 
+      : 'Waiting...';
   }
+  renderTurnTimer();
   
-  // Render rivers
-  renderRiver('opponent-river', gameState.players[oppIndex].river, true);
-  renderRiver('your-river', gameState.players[myIndex].river, false);
+  renderSeatLabels(myIndex);
+  
+  // Render your river (opponents' rivers are in their panels)
+  renderRiver(document.getElementById('your-river'), gameState.players[myIndex].river);
   
   // Render cups
   renderCup('your-cup-cards', gameState.players[myIndex].cup);
@@ -245,9 +469,7 @@ function renderGame() {
   renderHand();
   
   // Render mandalas
-  for (let m = 0; m < 2; m++) {
-    renderMandala(m, isMyClaimTurn);
-  }
+  gameState.mandalas.forEach((_, m) => renderMandala(m, isMyClaimTurn));
   
   // Update action buttons
   updateActions();
@@ -256,11 +478,47 @@ function renderGame() {
   modals.claim.classList.add('hidden');
 }
 
-function renderRiver(containerId, river, isOpponent) {
-  const container = document.getElementById(containerId);
+// Spectators see every seat by name instead of "You" and "Opponent"
+function renderSeatLabels(myIndex) {
+  const yourLabel = isSpectator ? playerNames[myIndex] : 'You';
+  
+  document.querySelector('.your-score-item .score-name').textContent = yourLabel;
+  document.querySelector('.hand-title').textContent = 
+    isSpectator ? `${playerNames[myIndex]}'s Hand` : 'Your Hand';
+  document.querySelector('.your-cup .label').textContent = 
+    isSpectator ? `${playerNames[myIndex]}'s Cup:` : 'Your Cup:';
+  document.querySelectorAll('.your-field .field-label').forEach(el => {
+    el.textContent = isSpectator ? `${playerNames[myIndex]}'s Field` : 'Your Field';
+  });
+  document.getElementById('action-bar').classList.toggle('hidden', isSpectator);
+}
+
+// Count down locally from the server's last report; the server decides when time is up
+function renderTurnTimer() {
+  const timerEl = document.getElementById('turn-timer');
+  if (!turnTimer || turnTimer.turnRemainingMs === null || !gameState || gameState.phase === 'ended') {
+    timerEl.textContent = '';
+    return;
+  }
+  
+  const remaining = Math.max(0, turnTimer.turnRemainingMs - (Date.now() - turnTimerReceivedAt));
+  const totalSeconds = Math.ceil(remaining / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  timerEl.textContent = `· ${minutes}:${seconds}`;
+  timerEl.classList.toggle('low', totalSeconds <= 10);
+}
+
+function renderSpectatorCount(count) {
+  const el = document.getElementById('spectator-count');
+  el.textContent = `👁️ ${count || 0}`;
+  el.classList.toggle('hidden', !count);
+}
+
+function renderRiver(container, river) {
   container.innerHTML = '';
   
-  for (let i = 0; i < 6; i++) {
+  for (let i = 0; i < river.length; i++) {
     const slot = document.createElement('div');
     slot.className = 'river-slot' + (river[i] ? ' filled' : '');
     
@@ -285,7 +543,7 @@ function renderCup(containerId, cup) {
   
   // Sort by color for display
   const sorted = [...cup].sort((a, b) => 
-    COLORS.indexOf(a.color) - COLORS.indexOf(b.color)
+    gameColors().indexOf(a.color) - gameColors().indexOf(b.color)
   );
   
   sorted.forEach(card => {
@@ -296,34 +554,73 @@ function renderCup(containerId, cup) {
 }
 
 function renderScores() {
-  const myIndex = playerIndex;
-  const oppIndex = 1 - playerIndex;
+  document.getElementById('your-current-score').textContent = scoreText(playerIndex);
+  
+  const scoresBar = document.getElementById('scores-bar');
+  scoresBar.querySelectorAll('.opponent-score-item').forEach(el => el.remove());
   
-  // Calculate scores
-  const myScore = calculateScore(myIndex);
-  const oppScore = calculateScore(oppIndex);
+  // Opponents' scores come from their cups, which only memory mode shows
+  if (!memoryHelperEnabled) return;
   
-  document.getElementById('your-current-score').textContent = myScore;
-  document.getElementById('opponent-current-score').textContent = oppScore;
-  document.getElementById('opponent-score-name').textContent = playerNames[oppIndex];
+  opponentSeats().forEach(seat => {
+    const item = document.createElement('div');
+    item.className = 'score-item opponent-score-item';
+    
+    const name = document.createElement('span');
+    name.className = 'score-name';
+    name.textContent = playerNames[seat];
+    item.appendChild(name);
+    
+    const score = document.createElement('span');
+    score.className = 'score-current';
+    score.textContent = scoreText(seat);
+    item.appendChild(score);
+    
+    scoresBar.appendChild(item);
+  });
 }
 
-function renderOpponentCup() {
-  const oppIndex = 1 - playerIndex;
-  const container = document.getElementById('opponent-cup-cards');
+// One panel per opponent: river and cup (plus name and hand size when there are several)
+function renderOpponents() {
+  const container = document.getElementById('opponent-area');
   container.innerHTML = '';
   
-  const cup = gameState.players[oppIndex].cup;
-  
-  // Sort by color for display
-  const sorted = [...cup].sort((a, b) => 
-    COLORS.indexOf(a.color) - COLORS.indexOf(b.color)
-  );
-  
-  sorted.forEach(card => {
-    const cardEl = document.createElement('div');
-    cardEl.className = `card small ${card.color}`;
-    container.appendChild(cardEl);
+  const opponents = opponentSeats();
+  opponents.forEach(seat => {
+    const player = gameState.players[seat];
+    const panel = document.createElement('div');
+    panel.className = 'opponent-panel';
+    
+    if (opponents.length > 1) {
+      const name = document.createElement('div');
+      name.className = 'opponent-panel-name';
+      name.textContent = `${playerNames[seat]} · ${player.hand.length} cards`;
+      panel.appendChild(name);
+    }
+    
+    const river = document.createElement('div');
+    river.className = 'opponent-river';
+    renderRiver(river, player.river);
+    panel.appendChild(river);
+    
+    const cup = document.createElement('div');
+    cup.className = 'opponent-cup';
+    cup.innerHTML = `<span class="label">Cup:</span> ${player.cup.length} <span class="label">cards</span>`;
+    
+    // Cup contents are only shown with the memory helper on
+    if (memoryHelperEnabled) {
+      const cupCards = document.createElement('div');
+      cupCards.className = 'cup-cards';
+      sortCards(player.cup).forEach(card => {
+        const cardEl = document.createElement('div');
+        cardEl.className = `card small ${card.color}`;
+        cupCards.appendChild(cardEl);
+      });
+      cup.appendChild(cupCards);
+    }
+    panel.appendChild(cup);
+    
+    container.appendChild(panel);
   });
 }
 
@@ -332,11 +629,11 @@ function renderHand() {
   container.innerHTML = '';
   
   const myHand = gameState.players[playerIndex].hand;
-  const isMyTurn = gameState.currentPlayerIndex === playerIndex && gameState.phase === 'playing';
+  const isMyTurn = !isSpectator && gameState.currentPlayerIndex === playerIndex && gameState.phase === 'playing';
   
   // Sort by color
   const sorted = [...myHand].sort((a, b) => 
-    COLORS.indexOf(a.color) - COLORS.indexOf(b.color)
+    gameColors().indexOf(a.color) - gameColors().indexOf(b.color)
   );
   
   sorted.forEach(card => {
@@ -346,6 +643,7 @@ function renderHand() {
     
     if (isMyTurn) {
       cardEl.classList.add('selectable');
+      cardEl.classList.toggle('playable', canPlaceCard(card));
       if (selectedCards.includes(card.id)) {
         cardEl.classList.add('selected');
       }
@@ -377,7 +675,7 @@ function renderDiscardPile() {
     colorCounts[card.color] = (colorCounts[card.color] || 0) + 1;
   });
   
-  COLORS.forEach(color => {
+  gameColors().forEach(color => {
     const count = colorCounts[color] || 0;
     if (count > 0) {
       const cardEl = document.createElement('div');
@@ -391,7 +689,6 @@ function renderDiscardPile() {
 function renderMandala(mandalaIndex, isMyClaimTurn) {
   const mandala = gameState.mandalas[mandalaIndex];
   const myIndex = playerIndex;
-  const oppIndex = 1 - playerIndex;
   
   // Check if this mandala is being destroyed and it's my turn to claim
   const isThisMandalaClaiming = gameState.phase === 'destroying' && 
@@ -401,16 +698,29 @@ function renderMandala(mandalaIndex, isMyClaimTurn) {
   // Count colors in mandala
   const colors = new Set();
   mandala.mountain.forEach(c => colors.add(c.color));
-  mandala.fields[0].forEach(c => colors.add(c.color));
-  mandala.fields[1].forEach(c => colors.add(c.color));
+  mandala.fields.forEach(field => field.forEach(c => colors.add(c.color)));
   
   document.getElementById(`mandala-${mandalaIndex}-colors`).textContent = 
-    `${colors.size}/6 colors`;
+    `${colors.size}/${gameColors().length} colors`;
   
   // Highlight if destroying
   const mandalaEl = document.getElementById(`mandala-${mandalaIndex}`);
   mandalaEl.classList.toggle('destroying', isThisMandalaClaiming);
   
+  // Highlight the card(s) played here on the last move
+  const lastPlay = lastMove && lastMove.mandalaIndex === mandalaIndex ? lastMove : null;
+  const lastCardIds = new Set();
+  if (lastPlay?.type === 'build_mountain') {
+    lastCardIds.add(lastPlay.card.id);
+  } else if (lastPlay?.type === 'grow_field') {
+    lastPlay.cards.forEach(c => lastCardIds.add(c.id));
+  }
+  const lastFieldOwner = lastPlay?.type === 'grow_field' ? lastPlay.playerIndex : null;
+  document.getElementById(`mandala-${mandalaIndex}-mountain`)
+    .classList.toggle('last-move-area', lastPlay?.type === 'build_mountain');
+  document.getElementById(`mandala-${mandalaIndex}-your-field`)
+    .classList.toggle('last-move-area', lastFieldOwner === myIndex);
+  
   // Render mountain with claimable cards if in claim phase
   const mountainEl = document.getElementById(`mandala-${mandalaIndex}-mountain-cards`);
   mountainEl.innerHTML = '';
@@ -426,11 +736,11 @@ function renderMandala(mandalaIndex, isMyClaimTurn) {
     });
     
     // Render each color group as claimable
-    const remainingColors = gameState.destruction.remainingColors;
-    COLORS.forEach(color => {
+    const claimable = legalMoves?.claim ?? [];
+    gameColors().forEach(color => {
       const cards = colorGroups[color];
       if (cards && cards.length > 0) {
-        const isClaimable = remainingColors.includes(color);
+        const isClaimable = claimable.includes(color);
         cards.forEach((card, i) => {
           const cardEl = document.createElement('div');
           cardEl.className = `card ${card.color}`;
@@ -449,114 +759,130 @@ function renderMandala(mandalaIndex, isMyClaimTurn) {
     sortCards(mandala.mountain).forEach(card => {
       const cardEl = document.createElement('div');
       cardEl.className = `card ${card.color}`;
+      cardEl.classList.toggle('last-move', lastCardIds.has(card.id));
       mountainEl.appendChild(cardEl);
     });
   }
   
   // Render fields
-  // Note: field indices in game state are absolute (0 and 1)
-  // We show opponent's field on top, our field on bottom
-  const oppFieldEl = document.getElementById(`mandala-${mandalaIndex}-field-1`);
-  oppFieldEl.innerHTML = '';
-  sortCards(mandala.fields[oppIndex]).forEach(card => {
-    const cardEl = document.createElement('div');
-    cardEl.className = `card small ${card.color}`;
-    oppFieldEl.appendChild(cardEl);
+  // Note: field indices in game state are absolute (one per seat)
+  // We show opponents' fields on top, our field on bottom
+  const oppFieldsEl = document.getElementById(`mandala-${mandalaIndex}-opponent-fields`);
+  oppFieldsEl.innerHTML = '';
+  opponentSeats().forEach(seat => {
+    const fieldEl = document.createElement('div');
+    fieldEl.className = 'field opponent-field';
+    fieldEl.classList.toggle('last-move-area', lastFieldOwner === seat);
+    
+    const label = document.createElement('div');
+    label.className = 'field-label';
+    label.textContent = isSpectator || gameState.players.length > 2 
+      ? `${playerNames[seat]}'s Field` 
+      : "Opponent's Field";
+    fieldEl.appendChild(label);
+    
+    const cardsRow = document.createElement('div');
+    cardsRow.className = 'cards-row';
+    renderFieldCards(cardsRow, mandala.fields[seat], lastCardIds);
+    fieldEl.appendChild(cardsRow);
+    
+    oppFieldsEl.appendChild(fieldEl);
   });
   
-  const myFieldEl = document.getElementById(`mandala-${mandalaIndex}-field-0`);
-  myFieldEl.innerHTML = '';
-  sortCards(mandala.fields[myIndex]).forEach(card => {
-    const cardEl = document.createElement('div');
-    cardEl.className = `card small ${card.color}`;
-    myFieldEl.appendChild(cardEl);
-  });
+  renderFieldCards(
+    document.getElementById(`mandala-${mandalaIndex}-your-cards`),
+    mandala.fields[myIndex],
+    lastCardIds
+  );
   
   // Render action buttons
   renderMandalaActions(mandalaIndex);
 }
 
+function renderFieldCards(container, cards, lastCardIds) {
+  container.innerHTML = '';
+  sortCards(cards).forEach(card => {
+    const cardEl = document.createElement('div');
+    cardEl.className = `card small ${card.color}`;
+    cardEl.classList.toggle('last-move', lastCardIds.has(card.id));
+    container.appendChild(cardEl);
+  });
+}
+
 function renderMandalaActions(mandalaIndex) {
   const container = document.getElementById(`mandala-${mandalaIndex}-actions`);
   container.innerHTML = '';
   
-  if (gameState.phase !== 'playing' || gameState.currentPlayerIndex !== playerIndex) {
+  if (isSpectator || gameState.phase !== 'playing' || !legalMoves) {
     return;
   }
   
-  const mandala = gameState.mandalas[mandalaIndex];
-  const myHand = gameState.players[playerIndex].hand;
-  const selectedCardObjs = myHand.filter(c => selectedCards.includes(c.id));
-  
-  // Check if all selected are same color
-  const allSameColor = selectedCardObjs.length > 0 && 
-    selectedCardObjs.every(c => c.color === selectedCardObjs[0].color);
-  const selectedColor = allSameColor ? selectedCardObjs[0].color : null;
+  const options = legalMoves.mandalas[mandalaIndex];
+  const color = selectedColor();
+  const count = selectedCards.length;
   
   // Mountain button
-  const canMountain = selectedCardObjs.length === 1 && 
-    canPlayToMountain(mandala, selectedColor);
-  
   const mountainBtn = document.createElement('button');
   mountainBtn.className = 'btn btn-primary';
   mountainBtn.textContent = '⛰️ Mountain';
-  mountainBtn.disabled = !canMountain;
+  mountainBtn.disabled = !(count === 1 && options.mountain.includes(selectedCards[0]));
+  if (count > 1) {
+    mountainBtn.title = 'Select a single card';
+  } else if (color) {
+    mountainBtn.title = options.blocked.mountain[color] || '';
+  }
   mountainBtn.onclick = () => playToMountain(mandalaIndex);
   container.appendChild(mountainBtn);
   
   // Field button
-  const keepOneCard = selectedCardObjs.length < myHand.length;
-  const canField = selectedCardObjs.length >= 1 && allSameColor && keepOneCard &&
-    canPlayToField(mandala, playerIndex, selectedColor);
-  
+  const fieldMax = color ? options.field[color] || 0 : 0;
   const fieldBtn = document.createElement('button');
   fieldBtn.className = 'btn btn-secondary';
   fieldBtn.textContent = '🌱 Field';
-  fieldBtn.disabled = !canField;
+  fieldBtn.disabled = !(count >= 1 && count <= fieldMax);
+  if (color && !fieldMax) {
+    fieldBtn.title = options.blocked.field[color] || '';
+  } else if (count > fieldMax) {
+    fieldBtn.title = `At most ${fieldMax} ${color} card${fieldMax === 1 ? '' : 's'} can go here`;
+  }
   fieldBtn.onclick = () => playToField(mandalaIndex);
   container.appendChild(fieldBtn);
 }
 
 function updateActions() {
-  const myHand = gameState.players[playerIndex].hand;
-  const selectedCardObjs = myHand.filter(c => selectedCards.includes(c.id));
-  const allSameColor = selectedCardObjs.length > 0 && 
-    selectedCardObjs.every(c => c.color === selectedCardObjs[0].color);
-  
   // Discard button
+  const color = selectedColor();
   const discardBtn = document.getElementById('btn-discard');
-  discardBtn.disabled = !(
-    gameState.phase === 'playing' && 
-    gameState.currentPlayerIndex === playerIndex &&
-    selectedCardObjs.length >= 1 && 
-    allSameColor
-  );
+  discardBtn.disabled = !(gameState.phase === 'playing' && color && legalMoves?.discard.includes(color));
+  
+  // Undo button (the server decides whether the last action can be taken back)
+  const undoBtn = document.getElementById('btn-undo');
+  undoBtn.classList.toggle('hidden', !undoable);
+  undoBtn.textContent = '↩️ Undo';
+  undoBtn.disabled = false;
 }
 
 function sortCards(cards) {
   return [...cards].sort((a, b) => 
-    COLORS.indexOf(a.color) - COLORS.indexOf(b.color)
+    gameColors().indexOf(a.color) - gameColors().indexOf(b.color)
   );
 }
 
-// ===== Rule Checking (client-side for UI) =====
-function canPlayToMountain(mandala, color) {
-  if (!color) return false;
-  // Can't play if color exists in either field
-  const field0Colors = new Set(mandala.fields[0].map(c => c.color));
-  const field1Colors = new Set(mandala.fields[1].map(c => c.color));
-  return !field0Colors.has(color) && !field1Colors.has(color);
+// ===== Legal Moves =====
+// The server sends our options with every game_state on our move, so the
+// rules live only in game.js
+
+// The color of the selected cards (a selection is always one color), or null
+function selectedColor() {
+  const first = gameState.players[playerIndex].hand.find(c => c.id === selectedCards[0]);
+  return first ? first.color : null;
 }
 
-function canPlayToField(mandala, playerIdx, color) {
-  if (!color) return false;
-  // Can't play if color in mountain
-  const mountainColors = new Set(mandala.mountain.map(c => c.color));
-  if (mountainColors.has(color)) return false;
-  // Can't play if color in opponent's field
-  const oppIndex = 1 - playerIdx;
-  const oppFieldColors = new Set(mandala.fields[oppIndex].map(c => c.color));
-  return !oppFieldColors.has(color);
+// Whether a card in hand can go to some mountain or field
+function canPlaceCard(card) {
+  return !!legalMoves?.mandalas.some(options =>
+    options.mountain.includes(card.id) || options.field[card.color] > 0
+  );
 }
 
 // ===== Card Selection =====
@@ -638,7 +964,7 @@ function showClaimModal() {
   modals.claim.classList.remove('hidden');
   
   const mandala = gameState.mandalas[gameState.destruction.mandalaIndex];
-  const remainingColors = gameState.destruction.remainingColors;
+  const remainingColors = legalMoves?.claim ?? [];
   
   document.getElementById('claim-subtitle').textContent = 
     `Mandala ${gameState.destruction.mandalaIndex + 1} complete! Choose a color.`;
@@ -675,41 +1001,529 @@ function showClaimModal() {
   });
 }
 
+// ===== Chat =====
+// Keys must match QUICK_EMOTES in server.js, which sends everyone the text
+const QUICK_EMOTES = {
+  nice: '👍 Nice!',
+  gg: '🤝 Good game',
+  hmm: '🤔 Hmm…',
+  oops: '😅 Oops!',
+  thanks: '🙏 Thanks!',
+  rematch: '🔄 Rematch?',
+};
+
+function receiveChat(message) {
+  if (mutedPlayers.has(message.playerId)) {
+    return;
+  }
+  
+  const item = document.createElement('div');
+  const mine = message.playerId === playerId;
+  item.className = `chat-message${mine ? ' chat-mine' : ''}${message.emote ? ' chat-emote' : ''}`;
+  const name = document.createElement('span');
+  name.className = 'chat-name';
+  name.textContent = mine ? 'You' : message.name;
+  item.appendChild(name);
+  item.appendChild(document.createTextNode(message.text));
+  
+  const list = document.getElementById('chat-messages');
+  list.appendChild(item);
+  list.scrollTop = list.scrollHeight;
+  
+  if (!chatOpen && !mine) {
+    unreadChats++;
+    renderUnreadChats();
+  }
+}
+
+function renderUnreadChats() {
+  const badge = document.getElementById('chat-unread');
+  badge.textContent = unreadChats > 9 ? '9+' : unreadChats;
+  badge.classList.toggle('hidden', unreadChats === 0);
+}
+
+// A mute toggle for everyone at the table but us
+function renderChatMutes() {
+  const container = document.getElementById('chat-mutes');
+  container.innerHTML = '';
+  if (!gameState) return;
+  
+  gameState.players.forEach((player, seat) => {
+    if (!isSpectator && seat === playerIndex) return;
+    const muted = mutedPlayers.has(player.id);
+    const btn = document.createElement('button');
+    btn.className = `chat-mute${muted ? ' muted' : ''}`;
+    btn.textContent = `${muted ? '🔇' : '🔊'} ${playerNames[seat]}`;
+    btn.title = muted ? 'Show their messages' : 'Hide their messages';
+    btn.onclick = () => {
+      if (muted) {
+        mutedPlayers.delete(player.id);
+      } else {
+        mutedPlayers.add(player.id);
+      }
+      renderChatMutes();
+    };
+    container.appendChild(btn);
+  });
+}
+
+function toggleChat(open = !chatOpen) {
+  chatOpen = open;
+  document.getElementById('chat-drawer').classList.toggle('hidden', !open);
+  if (open) {
+    unreadChats = 0;
+    renderUnreadChats();
+    renderChatMutes();
+  }
+}
+
+function sendChat() {
+  const input = document.getElementById('chat-input');
+  const text = input.value.trim();
+  if (!text) return;
+  send('chat', { text });
+  input.value = '';
+}
+
+// Spectators can read the chat; only players can write
+function renderChatControls() {
+  document.getElementById('chat-emotes').classList.toggle('hidden', isSpectator);
+  document.getElementById('chat-input-row').classList.toggle('hidden', isSpectator);
+}
+
+function resetChat() {
+  document.getElementById('chat-messages').innerHTML = '';
+  mutedPlayers.clear();
+  unreadChats = 0;
+  renderUnreadChats();
+  toggleChat(false);
+}
+
+Object.entries(QUICK_EMOTES).forEach(([emote, label]) => {
+  const btn = document.createElement('button');
+  btn.className = 'chat-emote-btn';
+  btn.textContent = label;
+  btn.onclick = () => send('chat', { emote });
+  document.getElementById('chat-emotes').appendChild(btn);
+});
+
 // ===== Game Over =====
 function showGameOver(data) {
   modals.gameOver.classList.remove('hidden');
   
   const title = document.getElementById('game-over-title');
-  title.textContent = data.youWon ? '🎉 You Won!' : '😔 You Lost';
-  
-  document.getElementById('your-final-score').textContent = data.yourScore;
-  document.getElementById('opponent-final-score').textContent = data.opponentScore;
-  document.getElementById('opponent-score-label').textContent = playerNames[1 - playerIndex];
+  if (data.spectator) {
+    title.textContent = `🏆 ${data.winnerName} Won!`;
+  } else {
+    title.textContent = data.youWon ? '🎉 You Won!' : '😔 You Lost';
+  }
+  renderFinalScores(data.scores, !!data.spectator);
+  document.getElementById('game-over-tiebreak').textContent = tiebreakReason(data);
+  document.getElementById('game-over-rating').textContent = data.spectator ? '' : ratingChange(data);
+  renderScoreBreakdowns(data.breakdowns, !!data.spectator);
+  renderFinalBoard();
+  
+  // Tournament games count once: no rematch, but a way back to the standings
+  document.getElementById('rematch-btn').classList.toggle('hidden', !!data.spectator || !!data.tournament);
+  const tournamentBtn = document.getElementById('tournament-btn');
+  tournamentBtn.classList.toggle('hidden', !data.tournament);
+  tournamentBtn.href = data.tournament ? `tournament.html?code=${data.tournament}` : 'tournament.html';
   document.getElementById('rematch-status').textContent = '';
+  document.getElementById('game-over-reason').textContent = endGameReason(data);
+  document.getElementById('game-over-seed').textContent = 
+    data.seed !== undefined ? `Seed: ${data.seed}` : '';
+  
+  // Replays are served for finished games by room code
+  document.getElementById('replay-btn').href = `/replay/${roomCode}`;
+  document.getElementById('watch-replay-link').href = `replay.html?room=${roomCode}`;
+}
+
+function endGameReason(data) {
+  switch (data.endGameTrigger) {
+    case 'forfeit':
+      return data.forfeitReason === 'left'
+        ? `🏳️ ${playerNames[data.forfeitedBy]} left the game`
+        : `⏱️ ${playerNames[data.forfeitedBy]} ran out of time`;
+    case 'sixth_river_color':
+      return '🌈 A river was filled with its last color';
+    case 'deck_exhausted':
+      return '🏁 The deck ran out and the final round is over';
+    case 'stalemate':
+      return '🤝 Nobody had a card left to play';
+    default:
+      // A trigger this page doesn't know yet still gets a line
+      return data.endGameTrigger ? `🏁 Game over: ${data.endGameTrigger}` : '';
+  }
+}
+
+// How our rating moved, if the game was rated for us
+function ratingChange(data) {
+  const rating = data.ratings[playerIndex];
+  if (!rating) {
+    return '';
+  }
+  if (profile) {
+    profile.rating = rating.after;
+    renderProfile();
+  }
+  const change = rating.after - rating.before;
+  return `📈 Rating ${rating.after} (${change >= 0 ? '+' : ''}${change})`;
+}
+
+function tiebreakReason(data) {
+  const score = data.scores[data.winnerIndex];
+  switch (data.tiebreak) {
+    case 'cup':
+      return `Tied on ${score} points: ${data.winnerName} wins with fewer cards in their cup`;
+    case 'seat':
+      return `Tied on ${score} points and cup size: ${data.winnerName} wins as the later seat`;
+    default:
+      return '';
+  }
+}
+
+// One column per player: river slot value × matching cup cards = points.
+// Starting cards, dealt face down, are marked now that they are revealed.
+function renderScoreBreakdowns(breakdowns, spectator) {
+  const container = document.getElementById('score-breakdowns');
+  container.innerHTML = '';
+  
+  [playerIndex, ...opponentSeats()].forEach((seat, i) => {
+    const breakdown = breakdowns[seat];
+    const column = document.createElement('div');
+    column.className = `score-breakdown-column ${i === 0 && !spectator ? 'you' : 'opponent'}`;
+    
+    const header = document.createElement('div');
+    header.className = 'breakdown-header';
+    header.textContent = i === 0 && !spectator ? 'You' : playerNames[seat];
+    column.appendChild(header);
+    
+    breakdown.rows.forEach(row => {
+      const cards = Array.from({ length: row.cards }, (_, n) => ({
+        color: row.color,
+        starting: n < row.startingCards,
+      }));
+      column.appendChild(breakdownRow(`${row.value} ×`, cards, row.points));
+    });
+    if (breakdown.unscored > 0) {
+      column.appendChild(breakdownRow('Not in river', [], `${breakdown.unscored} × 0`));
+    }
+    
+    const total = document.createElement('div');
+    total.className = 'score-total-row';
+    total.innerHTML = '<span class="total-label">Total</span><span class="total-value"></span>';
+    total.querySelector('.total-value').textContent = breakdown.total;
+    column.appendChild(total);
+    
+    container.appendChild(column);
+  });
+}
+
+function breakdownRow(label, cards, result) {
+  const row = document.createElement('div');
+  row.className = 'mini-score-row';
+  
+  const value = document.createElement('span');
+  value.className = 'value';
+  value.textContent = label;
+  row.appendChild(value);
+  
+  const cardsEl = document.createElement('div');
+  cardsEl.className = 'cards';
+  cards.forEach(card => {
+    const cardEl = document.createElement('div');
+    cardEl.className = `card mini ${card.color}`;
+    if (card.starting) {
+      cardEl.classList.add('starting-card');
+      cardEl.title = 'Starting card';
+    }
+    cardsEl.appendChild(cardEl);
+  });
+  row.appendChild(cardsEl);
+  
+  const resultEl = document.createElement('span');
+  resultEl.className = 'result';
+  resultEl.textContent = result;
+  row.appendChild(resultEl);
+  return row;
+}
+
+// The board as the game ended: every mandala, and the hands left over
+// (the final game_state reveals them)
+function renderFinalBoard() {
+  const container = document.getElementById('final-board');
+  container.innerHTML = '';
+  const seats = [playerIndex, ...opponentSeats()];
+  const seatName = (seat, i) => (i === 0 && !isSpectator ? 'You' : playerNames[seat]);
+  
+  gameState.mandalas.forEach((mandala, m) => {
+    container.appendChild(boardRow(`Mandala ${m + 1} ⛰️`, mandala.mountain));
+    seats.forEach((seat, i) => {
+      container.appendChild(boardRow(`${seatName(seat, i)} 🌱`, mandala.fields[seat], 'field-row'));
+    });
+  });
+  seats.forEach((seat, i) => {
+    container.appendChild(boardRow(`${seatName(seat, i)} ✋`, gameState.players[seat].hand));
+  });
+}
+
+function boardRow(label, cards, extraClass = '') {
+  const row = document.createElement('div');
+  row.className = `final-board-row ${extraClass}`;
+  
+  const labelEl = document.createElement('span');
+  labelEl.className = 'final-board-label';
+  labelEl.textContent = label;
+  row.appendChild(labelEl);
+  
+  const cardsEl = document.createElement('div');
+  cardsEl.className = 'cards';
+  sortCards(cards).forEach(card => {
+    const cardEl = document.createElement('div');
+    cardEl.className = `card mini ${card.color}`;
+    cardsEl.appendChild(cardEl);
+  });
+  row.appendChild(cardsEl);
+  return row;
+}
+
+// Our score first, then everyone else's in turn order
+function renderFinalScores(scores, spectator) {
+  const container = document.getElementById('final-scores');
+  container.innerHTML = '';
+  
+  [playerIndex, ...opponentSeats()].forEach((seat, i) => {
+    if (i === 1 && scores.length === 2) {
+      const vs = document.createElement('div');
+      vs.className = 'vs';
+      vs.textContent = 'vs';
+      container.appendChild(vs);
+    }
+    
+    const box = document.createElement('div');
+    box.className = `score-box ${i === 0 ? 'your-score' : 'opponent-score'}`;
+    
+    const label = document.createElement('span');
+    label.className = 'score-label';
+    label.textContent = i === 0 && !spectator ? 'You' : playerNames[seat];
+    box.appendChild(label);
+    
+    const value = document.createElement('span');
+    value.className = 'score-value';
+    value.textContent = scores[seat];
+    box.appendChild(value);
+    
+    container.appendChild(box);
+  });
+}
+
+// ===== Waiting Room =====
+// Who has joined a room that hasn't started, and a Start button for the host
+function renderWaiting(names, maxPlayers, ids = []) {
+  document.getElementById('waiting-title').textContent = maxPlayers > 2 
+    ? `Waiting for players... (${names.length}/${maxPlayers})` 
+    : 'Waiting for opponent...';
+  
+  const list = document.getElementById('waiting-players');
+  list.innerHTML = '';
+  names.forEach((name, i) => {
+    const item = document.createElement('li');
+    const tags = [i === 0 && 'host', ids[i] === playerId && 'you'].filter(Boolean);
+    item.textContent = tags.length ? `${name} (${tags.join(', ')})` : name;
+    list.appendChild(item);
+  });
+  
+  // Seated players may change their name until the game starts
+  document.getElementById('rename-section').classList.toggle('hidden', isSpectator);
+  
+  // A full room starts by itself; the host may start early with at least two
+  const canStart = !isSpectator && playerIndex === 0 && names.length >= 2 && names.length < maxPlayers;
+  document.getElementById('start-btn').classList.toggle('hidden', !canStart);
+}
+
+function startGame() {
+  send('start_game');
+}
+
+function renamePlayer() {
+  const input = document.getElementById('rename-input');
+  const name = input.value.trim();
+  if (!name) {
+    showError('Please enter a name');
+    return;
+  }
+  send('rename', { name });
+  document.getElementById('player-name').value = name;
+  input.value = '';
+}
+
+// ===== Profile =====
+// Signed out: a button to make a profile from the name field.
+// Signed in: name, rating and links to the profile page and ladder.
+function renderProfile() {
+  document.getElementById('profile-signed-out').classList.toggle('hidden', !!profile);
+  document.getElementById('profile-signed-in').classList.toggle('hidden', !profile);
+  if (!profile) {
+    return;
+  }
+  document.getElementById('profile-name').textContent = profile.name;
+  document.getElementById('profile-rating').textContent = `⭐ ${profile.rating}`;
+  document.getElementById('profile-link').href = `profile.html?id=${encodeURIComponent(profile.id)}`;
+  // Our own games default to our profile name
+  const nameInput = document.getElementById('player-name');
+  if (!nameInput.value) {
+    nameInput.value = profile.name;
+  }
+}
+
+function createProfile() {
+  const name = playerNameInput();
+  if (!name) {
+    showError('Enter a name for your profile');
+    return;
+  }
+  send('create_profile', { name });
+}
+
+function signOut() {
+  send('sign_out');
 }
 
 // ===== Lobby Actions =====
+// Options the room creator picks in the lobby
+function getRoomOptions() {
+  return {
+    seed: document.getElementById('game-seed').value.trim(),
+    timer: document.getElementById('game-timer').value,
+    timeoutPolicy: document.getElementById('timeout-policy').value,
+    casual: document.getElementById('casual-mode').checked,
+    rules: document.getElementById('game-rules').value,
+    players: Number(document.getElementById('player-count').value),
+    public: document.getElementById('public-room').checked,
+  };
+}
+
+// The name typed in the lobby; left blank, the server picks one for the seat
+function playerNameInput() {
+  return document.getElementById('player-name').value.trim() || undefined;
+}
+
 function createRoom() {
-  const name = document.getElementById('player-name').value.trim() || 'Player 1';
+  const name = playerNameInput();
   memoryHelperEnabled = document.getElementById('memory-helper').checked;
-  send('create_room', { name, memoryHelper: memoryHelperEnabled });
+  send('create_room', { name, memoryHelper: memoryHelperEnabled, ...getRoomOptions() });
+}
+
+function playComputer() {
+  const name = playerNameInput();
+  const difficulty = document.getElementById('bot-difficulty').value;
+  memoryHelperEnabled = document.getElementById('memory-helper').checked;
+  send('create_room', {
+    name,
+    memoryHelper: memoryHelperEnabled,
+    vsComputer: true,
+    difficulty,
+    ...getRoomOptions(),
+  });
 }
 
 function joinRoom() {
-  const name = document.getElementById('player-name').value.trim() || 'Player 2';
+  const name = playerNameInput();
   const code = document.getElementById('room-code').value.trim().toUpperCase();
-  memoryHelperEnabled = document.getElementById('memory-helper').checked;
   
   if (code.length !== 4) {
     showError('Please enter a 4-letter code');
     return;
   }
   
-  send('join_room', { name, roomCode: code, memoryHelper: memoryHelperEnabled });
+  send('join_room', { name, roomCode: code });
+}
+
+function watchRoom() {
+  const name = playerNameInput();
+  const code = document.getElementById('room-code').value.trim().toUpperCase();
+  
+  if (code.length !== 4) {
+    showError('Please enter a 4-letter code');
+    return;
+  }
+  
+  send('spectate_room', { name, roomCode: code });
+}
+
+// Queue for the next player who also wants a quick match, or leave the queue
+let matchSearching = false;
+
+function toggleQuickMatch() {
+  if (matchSearching) {
+    send('cancel_match');
+  } else {
+    send('quick_match', { name: playerNameInput() });
+  }
+}
+
+function setMatchSearching(searching) {
+  matchSearching = searching;
+  document.getElementById('quick-match-btn').textContent = searching 
+    ? '✖ Cancel search' 
+    : '⚡ Quick Match';
+  document.getElementById('match-status').textContent = searching 
+    ? 'Looking for an opponent...' 
+    : '';
+}
+
+// Open public rooms, each with a Join button
+function renderPublicRooms(rooms) {
+  const list = document.getElementById('public-rooms-list');
+  list.innerHTML = '';
+  
+  if (rooms.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'public-rooms-empty';
+    empty.textContent = 'No open games right now';
+    list.appendChild(empty);
+    return;
+  }
+  
+  rooms.forEach((room) => {
+    const item = document.createElement('li');
+    item.className = 'public-room';
+    
+    const info = document.createElement('div');
+    info.className = 'public-room-info';
+    const host = document.createElement('span');
+    host.className = 'public-room-host';
+    host.textContent = `${room.host}'s game`;
+    const details = document.createElement('span');
+    details.className = 'public-room-details';
+    details.textContent = [
+      `${room.players}/${room.maxPlayers} players`,
+      room.rules,
+      room.timer && (room.timer.mode === 'clock' 
+        ? `⏱️ ${room.timer.seconds / 60} min clock` 
+        : `⏱️ ${room.timer.seconds}s per move`),
+      !room.memoryHelper && '🧠 Memory off',
+      room.casual && '🤝 Casual',
+    ].filter(Boolean).join(' · ');
+    info.appendChild(host);
+    info.appendChild(details);
+    
+    const join = document.createElement('button');
+    join.className = 'btn btn-small btn-secondary';
+    join.textContent = 'Join';
+    join.onclick = () => send('join_room', { name: playerNameInput(), roomCode: room.roomCode });
+    
+    item.appendChild(info);
+    item.appendChild(join);
+    list.appendChild(item);
+  });
 }
 
 function cancelWaiting() {
   send('leave_room');
+  clearSession();
+  resetChat();
+  isSpectator = false;
   showScreen('lobby');
 }
 
@@ -724,38 +1538,93 @@ function copyCode() {
 
 function requestRematch() {
   send('rematch');
-  document.getElementById('rematch-status').textContent = 'Waiting for opponent...';
+  document.getElementById('rematch-status').textContent = 
+    gameState.players.length > 2 ? 'Waiting for the other players...' : 'Waiting for opponent...';
+}
+
+function requestUndo() {
+  send('undo_request');
+  const undoBtn = document.getElementById('btn-undo');
+  undoBtn.textContent = '↩️ Waiting...';
+  undoBtn.disabled = true;
+}
+
+function answerUndo(accept) {
+  send('undo_response', { accept });
+  modals.undo.classList.add('hidden');
+}
+
+// The server paused the game after an error; players choose how to go on
+function showGameError(text) {
+  document.getElementById('game-error-text').textContent = isSpectator
+    ? `${text} Waiting for the players to retry or abort...`
+    : text;
+  document.getElementById('game-error-buttons').classList.toggle('hidden', isSpectator);
+  modals.gameError.classList.remove('hidden');
+}
+
+function recoverGame(choice) {
+  send('recover_game', { choice });
 }
 
 function leaveGame() {
   send('leave_room');
+  clearSession();
+  resetChat();
   hideAllModals();
   showScreen('lobby');
   gameState = null;
+  isSpectator = false;
   selectedCards = [];
 }
 
 function returnToLobby() {
+  send('leave_room');
+  clearSession();
+  resetChat();
   hideAllModals();
   showScreen('lobby');
   gameState = null;
+  isSpectator = false;
   selectedCards = [];
 }
 
 // ===== Event Listeners =====
 document.getElementById('create-btn').onclick = createRoom;
 document.getElementById('join-btn').onclick = joinRoom;
+document.getElementById('bot-btn').onclick = playComputer;
+document.getElementById('watch-btn').onclick = watchRoom;
+document.getElementById('quick-match-btn').onclick = toggleQuickMatch;
+document.getElementById('start-btn').onclick = startGame;
+document.getElementById('rename-btn').onclick = renamePlayer;
 document.getElementById('cancel-btn').onclick = cancelWaiting;
 document.getElementById('copy-code-btn').onclick = copyCode;
 document.getElementById('btn-discard').onclick = discardRedraw;
+document.getElementById('btn-undo').onclick = requestUndo;
+document.getElementById('undo-accept-btn').onclick = () => answerUndo(true);
+document.getElementById('undo-decline-btn').onclick = () => answerUndo(false);
 document.getElementById('rematch-btn').onclick = requestRematch;
 document.getElementById('leave-btn').onclick = leaveGame;
 document.getElementById('disconnect-leave-btn').onclick = returnToLobby;
+document.getElementById('reload-btn').onclick = () => window.location.reload();
+document.getElementById('game-error-retry-btn').onclick = () => recoverGame('retry');
+document.getElementById('game-error-abort-btn').onclick = () => recoverGame('abort');
+document.getElementById('chat-toggle').onclick = () => toggleChat();
+document.getElementById('chat-close').onclick = () => toggleChat(false);
+document.getElementById('chat-send').onclick = sendChat;
+document.getElementById('create-profile-btn').onclick = createProfile;
+document.getElementById('sign-out-btn').onclick = signOut;
 
 // Enter key handlers
 document.getElementById('player-name').onkeydown = (e) => {
   if (e.key === 'Enter') createRoom();
 };
+document.getElementById('rename-input').onkeydown = (e) => {
+  if (e.key === 'Enter') renamePlayer();
+};
+document.getElementById('chat-input').onkeydown = (e) => {
+  if (e.key === 'Enter') sendChat();
+};
 document.getElementById('room-code').onkeydown = (e) => {
   if (e.key === 'Enter') joinRoom();
 };
@@ -767,3 +1636,4 @@ document.getElementById('room-code').oninput = (e) => {
 
 // Initialize
 connect();
+setInterval(renderTurnTimer, 500);
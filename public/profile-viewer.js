@@ -0,0 +1,117 @@
+// Mandala Profile Viewer
+// A player's record and recent games, and the rating ladder
+
+const profileId = new URLSearchParams(window.location.search).get('id');
+
+// ===== Loading =====
+async function fetchJson(url) {
+  const response = await fetch(url);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Could not load this page');
+  }
+  return data;
+}
+
+function showError(message) {
+  document.getElementById('profile-error').textContent = message;
+}
+
+// ===== Rendering =====
+// A table cell; text only, since names come from players
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) {
+    td.className = className;
+  }
+  return td;
+}
+
+function emptyRow(tbody, columns, text) {
+  const row = document.createElement('tr');
+  const td = cell(text, 'profile-empty');
+  td.colSpan = columns;
+  row.appendChild(td);
+  tbody.appendChild(row);
+}
+
+function renderProfile(profile) {
+  document.title = `${profile.name} · Mandala`;
+  document.getElementById('profile-title').textContent = `👤 ${profile.name}`;
+
+  const stats = document.getElementById('profile-stats');
+  stats.innerHTML = '';
+  [
+    ['Rating', profile.rating],
+    ['Games', profile.games],
+    ['Won', profile.wins],
+    ['Lost', profile.losses],
+    ['Average score', profile.averageScore ?? '–'],
+  ].forEach(([label, value]) => {
+    const stat = document.createElement('div');
+    stat.className = 'profile-stat';
+    const valueEl = document.createElement('strong');
+    valueEl.textContent = value;
+    const labelEl = document.createElement('span');
+    labelEl.className = 'profile-stat-label';
+    labelEl.textContent = label;
+    stat.append(valueEl, labelEl);
+    stats.appendChild(stat);
+  });
+
+  const tbody = document.getElementById('recent-games');
+  tbody.innerHTML = '';
+  profile.recentGames.forEach((game) => {
+    const row = document.createElement('tr');
+    const change = game.ratingChange;
+    row.append(
+      cell(game.won ? '🏆 Won' : 'Lost'),
+      cell(game.players.map((p) => p.name).join(' vs ')),
+      cell(game.players.map((p) => p.score).join(' – ')),
+      cell(change > 0 ? `+${change}` : String(change), change > 0 ? 'rating-up' : change < 0 ? 'rating-down' : ''),
+      cell(new Date(game.finishedAt).toLocaleDateString()),
+    );
+    tbody.appendChild(row);
+  });
+  if (profile.recentGames.length === 0) {
+    emptyRow(tbody, 5, 'No finished games yet');
+  }
+
+  document.getElementById('profile-main').classList.remove('hidden');
+}
+
+function renderLadder(players) {
+  const tbody = document.getElementById('ladder');
+  tbody.innerHTML = '';
+  players.forEach((player, index) => {
+    const row = document.createElement('tr');
+    if (player.id === profileId) {
+      row.className = 'you';
+    }
+    const nameCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = `profile.html?id=${encodeURIComponent(player.id)}`;
+    link.textContent = player.name;
+    nameCell.appendChild(link);
+    row.append(cell(index + 1), nameCell, cell(player.rating), cell(player.wins), cell(player.losses));
+    tbody.appendChild(row);
+  });
+  if (players.length === 0) {
+    emptyRow(tbody, 5, 'Nobody has finished a game with a profile yet');
+  }
+}
+
+// ===== Init =====
+async function load() {
+  try {
+    if (profileId) {
+      renderProfile(await fetchJson(`/profiles/${encodeURIComponent(profileId)}`));
+    }
+    renderLadder((await fetchJson('/ladder')).players);
+  } catch (e) {
+    showError(e.message);
+  }
+}
+
+load();
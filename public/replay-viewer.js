@@ -0,0 +1,303 @@
+// Mandala Replay Viewer
+// Steps through a replay file using the real game engine
+
+import { getPlayerView, calculateScore, getLastAction, isFinalRound } from '/engine/game.js';
+import { replayStates } from '/engine/replay.js';
+
+// Viewer state
+let replay = null;
+let states = [];
+let step = 0;
+let perspective = 'all';
+
+// ===== Loading =====
+function loadReplay(data) {
+  try {
+    states = replayStates(data);
+  } catch (e) {
+    showError(e.message);
+    return;
+  }
+  replay = data;
+  step = 0;
+
+  // One "view as" option per player, after the omniscient one
+  const viewSelect = document.getElementById('replay-view');
+  viewSelect.length = 1;
+  perspective = 'all';
+  replay.players.forEach((name, index) => {
+    viewSelect.add(new Option(`${name}'s view`, String(index)));
+  });
+
+  // Seat 0 is drawn at the bottom, everyone else above the mandalas
+  const top = document.getElementById('replay-players-top');
+  top.innerHTML = '';
+  replay.players.slice(1).forEach((_, i) => {
+    const playerEl = document.createElement('div');
+    playerEl.className = 'replay-player';
+    playerEl.id = `replay-player-${i + 1}`;
+    top.appendChild(playerEl);
+  });
+
+  const slider = document.getElementById('replay-slider');
+  slider.max = states.length - 1;
+
+  document.getElementById('replay-empty').classList.add('hidden');
+  document.getElementById('replay-main').classList.remove('hidden');
+  render();
+}
+
+function loadFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      loadReplay(JSON.parse(reader.result));
+    } catch (e) {
+      showError('Could not read replay file');
+    }
+  };
+  reader.readAsText(file);
+}
+
+async function loadFromRoom(code) {
+  const response = await fetch(`/replay/${encodeURIComponent(code)}`);
+  const data = await response.json();
+  if (!response.ok) {
+    showError(data.error || 'Could not load replay');
+    return;
+  }
+  loadReplay(data);
+}
+
+function showError(message) {
+  const errorEl = document.getElementById('replay-error');
+  errorEl.textContent = message;
+  setTimeout(() => {
+    errorEl.textContent = '';
+  }, 4000);
+}
+
+// ===== Navigation =====
+function goTo(newStep) {
+  step = Math.max(0, Math.min(states.length - 1, newStep));
+  render();
+}
+
+// ===== Rendering =====
+function currentView() {
+  const state = states[step];
+  return perspective === 'all' ? state : getPlayerView(state, Number(perspective));
+}
+
+function render() {
+  const view = currentView();
+
+  document.getElementById('replay-step').textContent = `${step} / ${states.length - 1}`;
+  document.getElementById('replay-slider').value = step;
+  document.getElementById('replay-description').textContent = describeStep(view);
+
+  view.players.forEach((_, index) => renderPlayer(view, index));
+  renderMandalas(view);
+
+  document.getElementById('replay-deck').textContent = `Deck: ${view.deck.length}`;
+  renderCards(document.getElementById('replay-discard'), view.discardPile, 'small');
+}
+
+function playerName(index) {
+  return replay.players[index];
+}
+
+const END_GAME_REASONS = {
+  sixth_river_color: 'sixth river color',
+  deck_exhausted: 'deck exhausted',
+  stalemate: 'nobody could move',
+  forfeit: 'forfeit',
+};
+
+function describeStep(view) {
+  if (step === 0) {
+    return `Initial deal (seed ${replay.seed}). ${playerName(0)} moves first.`;
+  }
+
+  const entry = getLastAction(view);
+  const who = playerName(entry.playerIndex);
+  let text;
+  switch (entry.type) {
+    case 'build_mountain':
+      text = `${who} played ${entry.card.color} to Mandala ${entry.mandalaIndex + 1}'s mountain` +
+        ` and drew ${entry.drawnCards.length}: ${describeCards(entry.drawnCards)}.`;
+      break;
+    case 'grow_field':
+      text = `${who} grew their field in Mandala ${entry.mandalaIndex + 1}` +
+        ` with ${entry.cards.length} ${entry.cards[0].color}.`;
+      break;
+    case 'discard_redraw':
+      text = `${who} discarded ${entry.discardedCards.length} ${entry.discardedCards[0].color}` +
+        ` and drew ${describeCards(entry.drawnCards)}.`;
+      break;
+    case 'claim_color': {
+      const count = entry.claimedCards.length;
+      if (entry.discardedCards.length > 0) {
+        text = `${who} claimed ${count} ${entry.color} with an empty field, so they were discarded.`;
+      } else if (entry.riverSlot !== null) {
+        text = `${who} claimed ${count} ${entry.color}: river slot ${entry.riverSlot + 1},` +
+          ` ${entry.cupCards.length} to cup.`;
+      } else {
+        text = `${who} claimed ${count} ${entry.color}: ${entry.cupCards.length} to cup.`;
+      }
+      break;
+    }
+    default:
+      text = `${who} played ${entry.type}.`;
+  }
+
+  if (entry.reshuffled) {
+    text += ' The discard pile was reshuffled into the deck.';
+  }
+  if (entry.shortfall > 0) {
+    text += ` ${entry.shortfall} card${entry.shortfall > 1 ? 's' : ''} could not be drawn.`;
+  }
+  if (isFinalRound(states[step]) && !isFinalRound(states[step - 1])) {
+    text += ' The deck has run out: final round.';
+  }
+  if (view.endGameTrigger === 'forfeit') {
+    const forfeit = view.forfeitReason === 'left' ? 'left the game' : 'ran out of time';
+    text += ` ${playerName(view.forfeitedBy)} ${forfeit}.`;
+  }
+  if (view.phase === 'ended') {
+    text += ` Game over (${END_GAME_REASONS[view.endGameTrigger] || view.endGameTrigger}).`;
+  }
+  return text;
+}
+
+function describeCards(cards) {
+  if (cards.length === 0) return 'nothing';
+  return cards.map(c => c.color).join(', ');
+}
+
+function sortCards(cards) {
+  const { colors } = states[0].rules;
+  return [...cards].sort((a, b) =>
+    colors.indexOf(a.color) - colors.indexOf(b.color)
+  );
+}
+
+function renderCards(container, cards, size) {
+  container.innerHTML = '';
+  sortCards(cards).forEach(card => {
+    const cardEl = document.createElement('div');
+    cardEl.className = `card ${size} ${card.color}`;
+    container.appendChild(cardEl);
+  });
+}
+
+function renderPlayer(view, index) {
+  const player = view.players[index];
+  const container = document.getElementById(`replay-player-${index}`);
+  container.innerHTML = '';
+  container.classList.toggle('active', view.phase !== 'ended' && view.currentPlayerIndex === index);
+
+  const header = document.createElement('div');
+  header.className = 'replay-player-header';
+  header.textContent = `${playerName(index)} — ${calculateScore(player)} pts`;
+  container.appendChild(header);
+
+  const river = document.createElement('div');
+  river.className = 'your-river';
+  player.river.forEach((color, i) => {
+    const slot = document.createElement('div');
+    slot.className = 'river-slot' + (color ? ' filled' : '');
+    if (color) {
+      const card = document.createElement('div');
+      card.className = `card small ${color}`;
+      slot.appendChild(card);
+    }
+    const value = document.createElement('div');
+    value.className = 'value';
+    value.textContent = i + 1;
+    slot.appendChild(value);
+    river.appendChild(slot);
+  });
+  container.appendChild(river);
+
+  const rows = [['Cup', player.cup], ['Hand', player.hand]];
+  rows.forEach(([label, cards]) => {
+    const row = document.createElement('div');
+    row.className = 'replay-row';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'label';
+    labelEl.textContent = `${label} (${cards.length}):`;
+    row.appendChild(labelEl);
+    const cardsEl = document.createElement('div');
+    cardsEl.className = 'cup-cards';
+    renderCards(cardsEl, cards, 'small');
+    row.appendChild(cardsEl);
+    container.appendChild(row);
+  });
+}
+
+function renderMandalas(view) {
+  const container = document.getElementById('replay-mandalas');
+  container.innerHTML = '';
+
+  view.mandalas.forEach((mandala, m) => {
+    const mandalaEl = document.createElement('div');
+    mandalaEl.className = 'mandala';
+    mandalaEl.classList.toggle('destroying',
+      view.phase === 'destroying' && view.destruction?.mandalaIndex === m);
+
+    const header = document.createElement('div');
+    header.className = 'mandala-header';
+    header.innerHTML = `<span class="mandala-title">Mandala ${m + 1}</span>`;
+    mandalaEl.appendChild(header);
+
+    // Same layout as the board: later seats' fields above the mountain, seat 0's below
+    const fieldSection = (index) => ['field', `${playerName(index)}'s Field`, mandala.fields[index], 'small'];
+    const sections = [
+      ...mandala.fields.slice(1).map((_, i) => fieldSection(i + 1)),
+      ['mountain', '⛰️ Mountain', mandala.mountain, ''],
+      fieldSection(0),
+    ];
+    sections.forEach(([className, label, cards, size]) => {
+      const section = document.createElement('div');
+      section.className = className;
+      const labelEl = document.createElement('div');
+      labelEl.className = className === 'mountain' ? 'mountain-label' : 'field-label';
+      labelEl.textContent = label;
+      section.appendChild(labelEl);
+      const row = document.createElement('div');
+      row.className = 'cards-row';
+      renderCards(row, cards, size);
+      section.appendChild(row);
+      mandalaEl.appendChild(section);
+    });
+
+    container.appendChild(mandalaEl);
+  });
+}
+
+// ===== Event Listeners =====
+document.getElementById('replay-file').onchange = (e) => {
+  if (e.target.files[0]) loadFile(e.target.files[0]);
+};
+document.getElementById('replay-first').onclick = () => goTo(0);
+document.getElementById('replay-prev').onclick = () => goTo(step - 1);
+document.getElementById('replay-next').onclick = () => goTo(step + 1);
+document.getElementById('replay-last').onclick = () => goTo(states.length - 1);
+document.getElementById('replay-slider').oninput = (e) => goTo(Number(e.target.value));
+document.getElementById('replay-view').onchange = (e) => {
+  perspective = e.target.value;
+  if (replay) render();
+};
+
+document.onkeydown = (e) => {
+  if (!replay) return;
+  if (e.key === 'ArrowLeft') goTo(step - 1);
+  if (e.key === 'ArrowRight') goTo(step + 1);
+};
+
+// Initialize: ?room=CODE loads that room's finished game
+const roomParam = new URLSearchParams(window.location.search).get('room');
+if (roomParam) {
+  loadFromRoom(roomParam);
+}
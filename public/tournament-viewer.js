@@ -0,0 +1,259 @@
+// Mandala Tournament Page
+// Creates tournaments and shows live standings, rounds and your next game
+
+// The version this page was loaded with; a server that has moved on turns it away
+import { PROTOCOL_VERSION } from '/engine/protocol.js';
+
+// The game page rejoins the room stored here on load (see saveSession in client.js)
+const SESSION_KEY = 'mandala-session';
+const PROFILE_KEY = 'mandala-profile';
+
+const code = new URLSearchParams(window.location.search).get('code')?.toUpperCase();
+// Which participant this browser joined as, per tournament
+const tokenKey = `mandala-tournament-${code}`;
+
+let ws = null;
+
+// ===== Connection =====
+function connect() {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  ws = new WebSocket(`${protocol}//${window.location.host}`);
+  ws.onopen = () => send('hello', { version: PROTOCOL_VERSION });
+  ws.onmessage = (event) => handleMessage(JSON.parse(event.data));
+  ws.onclose = () => {
+    // Standings keep updating after a dropped connection
+    if (code) {
+      setTimeout(connect, 3000);
+    }
+  };
+}
+
+function send(type, data = {}) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type, ...data }));
+  }
+}
+
+function handleMessage(message) {
+  switch (message.type) {
+    case 'welcome': {
+      // Signed-in players' tournament games count for their profile
+      const login = JSON.parse(localStorage.getItem(PROFILE_KEY) || 'null');
+      if (login) {
+        send('sign_in', login);
+      }
+      if (code) {
+        send('watch_tournament', { code, token: localStorage.getItem(tokenKey) ?? undefined });
+      }
+      break;
+    }
+
+    case 'tournament_created':
+      window.location.search = `?code=${message.code}`;
+      break;
+
+    case 'tournament_joined':
+      localStorage.setItem(tokenKey, message.token);
+      break;
+
+    case 'tournament_update':
+      render(message);
+      break;
+
+    case 'error':
+      if (message.code === 'protocol_mismatch') {
+        showError('This page is out of date. Please reload it.');
+      } else if (message.code !== 'invalid_profile') {
+        showError(message.message);
+      }
+      break;
+  }
+}
+
+function showError(message) {
+  const errorEl = document.getElementById('tournament-error');
+  errorEl.textContent = message;
+  setTimeout(() => {
+    errorEl.textContent = '';
+  }, 4000);
+}
+
+// ===== Creating =====
+function createTournament() {
+  const participants = document.getElementById('tournament-participants').value
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (participants.length < 2) {
+    showError('List at least two players');
+    return;
+  }
+  send('create_tournament', {
+    name: document.getElementById('tournament-name').value.trim() || undefined,
+    format: document.getElementById('tournament-format').value,
+    participants,
+    rules: document.getElementById('tournament-rules').value,
+    timer: document.getElementById('tournament-timer').value,
+    // Running out of time loses the game, so no pairing can stall the round
+    timeoutPolicy: 'forfeit',
+  });
+}
+
+// ===== Rendering =====
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) {
+    td.className = className;
+  }
+  return td;
+}
+
+function render({ tournament, participant, yourMatch }) {
+  document.title = `${tournament.name} · Mandala`;
+  document.getElementById('tournament-title').textContent = `🎖️ ${tournament.name}`;
+  document.getElementById('tournament-code').textContent = tournament.code;
+
+  const names = tournament.participants.map((p) => p.name);
+  const status = document.getElementById('tournament-status');
+  if (tournament.status === 'finished') {
+    status.textContent = `${tournament.formatLabel} · 🏆 ${names[tournament.champion]} wins!`;
+  } else {
+    const round = tournament.rounds.length;
+    status.textContent = `${tournament.formatLabel} · Round ${round} of ${tournament.totalRounds}`;
+  }
+
+  renderYou(tournament, participant, yourMatch);
+  renderStandings(tournament);
+  renderRounds(tournament, names);
+  document.getElementById('tournament-main').classList.remove('hidden');
+}
+
+// Who you are and your next game, or the players you could join as
+function renderYou(tournament, participant, yourMatch) {
+  const you = document.getElementById('tournament-you');
+  you.innerHTML = '';
+
+  if (participant === null) {
+    if (tournament.status !== 'running') {
+      return;
+    }
+    const open = tournament.participants
+      .map((p, index) => ({ ...p, index }))
+      .filter((p) => !p.joined);
+    if (open.length === 0) {
+      return;
+    }
+    const label = document.createElement('p');
+    label.textContent = 'Playing? Pick your name:';
+    you.appendChild(label);
+    open.forEach((p) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-small';
+      btn.textContent = p.name;
+      btn.onclick = () => send('join_tournament', { code, participant: p.index });
+      you.appendChild(btn);
+    });
+    return;
+  }
+
+  const line = document.createElement('p');
+  const name = tournament.participants[participant].name;
+  if (yourMatch) {
+    line.textContent = `${name}, your game against ${yourMatch.opponent} is ready.`;
+    const play = document.createElement('button');
+    play.className = 'btn btn-primary';
+    play.textContent = '▶️ Play';
+    // The game page takes the seat as if reconnecting to it
+    play.onclick = () => {
+      localStorage.setItem(SESSION_KEY, JSON.stringify({ roomCode: yourMatch.roomCode, token: yourMatch.token }));
+      window.location.href = '/';
+    };
+    you.append(line, play);
+  } else if (tournament.status === 'running') {
+    line.textContent = `You are playing as ${name}. Your next game opens when the round is paired.`;
+    you.appendChild(line);
+  } else {
+    line.textContent = `You played as ${name}.`;
+    you.appendChild(line);
+  }
+}
+
+function renderStandings(tournament) {
+  const swiss = tournament.format === 'swiss';
+  const head = document.getElementById('standings-head');
+  head.innerHTML = '';
+  const headRow = document.createElement('tr');
+  ['#', 'Player', 'Won', 'Lost', 'Byes', 'Points', ...(swiss ? ['Opp. pts'] : []), 'Score'].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  head.appendChild(headRow);
+
+  const tbody = document.getElementById('standings');
+  tbody.innerHTML = '';
+  tournament.standings.forEach((row) => {
+    const tr = document.createElement('tr');
+    if (row.eliminated) {
+      tr.className = 'eliminated';
+    }
+    tr.append(
+      cell(row.rank),
+      cell(row.name),
+      cell(row.wins),
+      cell(row.losses),
+      cell(row.byes),
+      cell(row.points),
+      ...(swiss ? [cell(row.opponentPoints)] : []),
+      cell(row.score),
+    );
+    tbody.appendChild(tr);
+  });
+}
+
+// How a pairing went, e.g. "Ann 14 – 9 Bob" or "Ann has a bye"
+function pairingText(pairing, names) {
+  const [a, b] = pairing.players.map((player) => names[player]);
+  if (pairing.bye) {
+    return `${a} has a bye`;
+  }
+  if (pairing.noShow.length > 0) {
+    const absent = pairing.noShow.map((player) => names[player]).join(' and ');
+    return `${a} vs ${b} · ${absent} didn't show`;
+  }
+  if (pairing.scores) {
+    return `${a} ${pairing.scores[0]} – ${pairing.scores[1]} ${b}`;
+  }
+  return `${a} vs ${b} · room ${pairing.roomCode}`;
+}
+
+function renderRounds(tournament, names) {
+  const container = document.getElementById('tournament-rounds');
+  container.innerHTML = '';
+  // Latest round first
+  tournament.rounds.map((pairings, index) => ({ pairings, index })).reverse().forEach(({ pairings, index }) => {
+    const section = document.createElement('div');
+    section.className = 'tournament-round';
+    const title = document.createElement('h3');
+    title.textContent = `Round ${index + 1}`;
+    const list = document.createElement('ul');
+    pairings.forEach((pairing) => {
+      const item = document.createElement('li');
+      item.textContent = pairingText(pairing, names);
+      if (pairing.winner !== null && !pairing.bye) {
+        item.textContent += ` · ${names[pairing.winner]} wins`;
+      }
+      list.appendChild(item);
+    });
+    section.append(title, list);
+    container.appendChild(section);
+  });
+}
+
+// ===== Init =====
+document.getElementById('tournament-create-btn').onclick = createTournament;
+if (!code) {
+  document.getElementById('tournament-create').classList.remove('hidden');
+}
+connect();
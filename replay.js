@@ -0,0 +1,172 @@
+// Mandala Replays
+// Build and play back replay files from a seed and an action list
+//
+// Replay file format (JSON, version 1):
+//
+//   {
+//     "format": "mandala-replay",
+//     "version": 1,
+//     "seed": 12345,                      // number or string passed to createGame
+//     "players": ["Alice", "Bob"],        // 2-4 player ids, seat 0 moves first
+//     "rules": { "mountainDraw": 4 },     // optional createGame rules; omitted = standard
+//     "actions": [                        // performAction inputs, in order
+//       { "type": "build_mountain", "cardId": "red-3", "mandalaIndex": 0 },
+//       { "type": "grow_field", "cardIds": ["green-60"], "mandalaIndex": 1 },
+//       { "type": "discard_redraw", "cardIds": ["black-90", "black-91"] },
+//       { "type": "claim_color", "color": "red" }
+//     ],
+//     "forfeit": {                        // optional: the seat that lost by timing out
+//       "seat": 1, "reason": "timeout"    // ('timeout') or leaving ('left') after the actions
+//     },
+//     "result": {                         // getWinner of the final state; null if unfinished
+//       "winnerId": "Alice", "winnerIndex": 0, "scores": [31, 24], "tiebreak": null
+//     },
+//     "createdAt": "2026-01-01T12:00:00.000Z"
+//   }
+//
+// Because shuffles are seeded, the seed plus the actions regenerate every
+// intermediate state exactly, including draws and reshuffles.
+
+import { createGame, performAction, forfeitGame, getWinner, MIN_PLAYERS, MAX_PLAYERS } from './game.js';
+
+export const REPLAY_FORMAT = 'mandala-replay';
+export const REPLAY_VERSION = 1;
+
+// Why a player forfeits: their time ran out, or they left the game
+const FORFEIT_REASONS = ['timeout', 'left'];
+
+// ============================================
+// HISTORY -> ACTIONS
+// ============================================
+
+/**
+ * Convert a game history entry back into the action that produced it.
+ */
+export function historyEntryToAction(entry) {
+  switch (entry.type) {
+    case 'build_mountain':
+      return { type: 'build_mountain', cardId: entry.card.id, mandalaIndex: entry.mandalaIndex };
+    case 'grow_field':
+      return { type: 'grow_field', cardIds: entry.cards.map((c) => c.id), mandalaIndex: entry.mandalaIndex };
+    case 'discard_redraw':
+      return { type: 'discard_redraw', cardIds: entry.discardedCards.map((c) => c.id) };
+    case 'claim_color':
+      return { type: 'claim_color', color: entry.color };
+    default:
+      throw new Error(`Unknown history entry type: ${entry.type}`);
+  }
+}
+
+// ============================================
+// BUILDING REPLAYS
+// ============================================
+
+/**
+ * Build a replay from a seed, player ids and either an action list or a
+ * recorded history, plus the forfeit that ended the game, if any. The
+ * actions are played through to check they are legal and to fill in the
+ * result.
+ */
+export function createReplay({ seed, players = ['Player 1', 'Player 2'], rules, actions, history, forfeit }) {
+  const replay = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed,
+    players: [...players],
+    ...(rules ? { rules } : {}),
+    actions: actions ? [...actions] : history.map(historyEntryToAction),
+    ...(forfeit ? { forfeit: { seat: forfeit.seat, reason: forfeit.reason } } : {}),
+    result: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const states = replayStates(replay);
+  replay.result = getWinner(states[states.length - 1]);
+  return replay;
+}
+
+/**
+ * Build a replay for a game in progress or finished, from its state. Replays
+ * list players by display name; without names the player ids are used.
+ */
+export function createReplayFromState(state, playerNames = state.players.map((p) => p.id)) {
+  return createReplay({
+    seed: state.seed,
+    players: playerNames,
+    rules: state.rules,
+    history: state.history,
+    forfeit: state.endGameTrigger === 'forfeit'
+      ? { seat: state.forfeitedBy, reason: state.forfeitReason }
+      : null,
+  });
+}
+
+// ============================================
+// PLAYING REPLAYS
+// ============================================
+
+/**
+ * Check that an object looks like a replay file. Returns { valid, error }.
+ */
+export function validateReplay(replay) {
+  if (!replay || replay.format !== REPLAY_FORMAT) {
+    return { valid: false, error: 'Not a Mandala replay file' };
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    return { valid: false, error: `Unsupported replay version ${replay.version}` };
+  }
+  if (replay.seed === undefined || replay.seed === null) {
+    return { valid: false, error: 'Replay has no seed' };
+  }
+  if (!Array.isArray(replay.players) || replay.players.length < MIN_PLAYERS ||
+      replay.players.length > MAX_PLAYERS) {
+    return { valid: false, error: `Replay must list ${MIN_PLAYERS} to ${MAX_PLAYERS} players` };
+  }
+  if (!Array.isArray(replay.actions)) {
+    return { valid: false, error: 'Replay has no action list' };
+  }
+  if (replay.rules !== undefined && (typeof replay.rules !== 'object' || replay.rules === null)) {
+    return { valid: false, error: 'Replay rules must be an object' };
+  }
+  if (replay.forfeit !== undefined) {
+    const { seat, reason } = replay.forfeit ?? {};
+    if (!Number.isInteger(seat) || seat < 0 || seat >= replay.players.length ||
+        !FORFEIT_REASONS.includes(reason)) {
+      return { valid: false, error: 'Replay forfeit must name a seat and a reason' };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Regenerate every state of a replayed game: index 0 is the initial deal,
+ * index i is the state after the i-th action. A forfeit ends the game in the
+ * last state. Throws on an illegal action.
+ */
+export function replayStates(replay) {
+  const validation = validateReplay(replay);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  let state = createGame(replay.players, { seed: replay.seed, rules: replay.rules });
+  const states = [state];
+
+  replay.actions.forEach((action, index) => {
+    const result = performAction(state, action);
+    if (!result.success) {
+      throw new Error(`Action ${index + 1} (${action.type}) is not legal: ${result.error}`);
+    }
+    state = result.newState;
+    states.push(state);
+  });
+
+  if (replay.forfeit) {
+    if (state.phase === 'ended') {
+      throw new Error('The game was already over before the forfeit');
+    }
+    states[states.length - 1] = forfeitGame(state, replay.forfeit.seat, replay.forfeit.reason);
+  }
+
+  return states;
+}
@@ -1,12 +1,45 @@
 // Mandala Game Server
-// WebSocket server for two-player online games
+// WebSocket server for online games of two to four players
 
 import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
+import { Worker } from 'worker_threads';
+import { randomBytes } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { createGame, performAction, getPlayerView, getWinner } from './game.js';
+import {
+  createGame,
+  performAction,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  getPlayerView,
+  getSpectatorView,
+  getLegalMoves,
+  getWinner,
+  getScoreBreakdown,
+  getRules,
+  getLastAction,
+  revealsHiddenCards,
+  forfeitGame,
+  RULE_PRESETS,
+  DEFAULT_RULE_PRESET,
+} from './game.js';
+import { BOT_LEVELS, DEFAULT_BOT_LEVEL, chooseRandomAction } from './bot.js';
+import { createReplay, createReplayFromState } from './replay.js';
+import { createStorage, toRoomRecord, fromRoomRecord } from './storage.js';
+import { createProfiles } from './profiles.js';
+import { parsePlayerName, publicRoomList, createMatchQueue } from './lobby.js';
+import { parseChat, allowChat } from './chat.js';
+import {
+  TOURNAMENT_FORMATS,
+  createTournament,
+  pendingPairings,
+  recordResult,
+  recordNoShow,
+  getStandings,
+} from './tournaments.js';
+import { PROTOCOL_VERSION, validateClientMessage, validateServerMessage } from './protocol.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,10 +50,75 @@ const wss = new WebSocketServer({ server });
 
 // Serve static files
 app.use(express.static(join(__dirname, 'public')));
+app.use(express.json());
+
+// Share the rules engine with the browser (the replay viewer runs real game
+// logic), and the protocol module, so pages say hello with its PROTOCOL_VERSION
+for (const file of ['game.js', 'replay.js', 'protocol.js', 'tournaments.js']) {
+  app.get(`/engine/${file}`, (req, res) => {
+    res.sendFile(join(__dirname, file));
+  });
+}
 
 // Game rooms storage
 const rooms = new Map();
 
+// Persistent copy of every room, so a restart doesn't end games in progress
+const storage = createStorage(process.env.STORAGE || 'file', {
+  dir: process.env.DATA_DIR || join(__dirname, 'data'),
+});
+
+// Player profiles, ratings and the match history, kept in the same storage
+const profiles = createProfiles(storage);
+
+function saveRoom(room) {
+  try {
+    storage.saveRoom(toRoomRecord(room));
+  } catch (e) {
+    console.error(`Failed to save room ${room.code}:`, e);
+  }
+}
+
+function deleteRoom(code) {
+  const room = rooms.get(code);
+  clearTimeout(room?.timerHandle);
+  clearTimeout(room?.noShowHandle);
+  rooms.delete(code);
+  if (room?.public) {
+    broadcastRoomList();
+  }
+  try {
+    storage.deleteRoom(code);
+  } catch (e) {
+    console.error(`Failed to delete saved room ${code}:`, e);
+  }
+  // A tournament game that closed without a result is played again in a new room
+  if (room?.tournament) {
+    tournamentRoomClosed(room);
+  }
+}
+
+// Reload unfinished rooms saved before the last shutdown
+function restoreRooms() {
+  for (const record of storage.loadRooms()) {
+    if (record.gameState?.phase === 'ended') {
+      storage.deleteRoom(record.code);
+      continue;
+    }
+    const room = fromRoomRecord(record);
+    rooms.set(room.code, room);
+    // Downtime isn't charged to anyone: the current turn starts over
+    if (room.timer) {
+      room.timer.seat = null;
+    }
+    startTurnTimer(room);
+    scheduleBotTurn(room);
+  }
+  if (rooms.size > 0) {
+    console.log(`Restored ${rooms.size} room(s) from storage`);
+  }
+}
+
 // Generate a random 4-letter room code
 function generateRoomCode() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // Removed I and O to avoid confusion
@@ -31,20 +129,96 @@ function generateRoomCode() {
   return code;
 }
 
-// Clean up old rooms (older than 2 hours)
+// Generate a secret token that lets a dropped player reclaim their seat
+function generateSeatToken() {
+  return randomBytes(16).toString('hex');
+}
+
+// Generate a stable id for a seat. Names are only for display and may repeat
+// or change; the game state, results and messages identify players by id.
+function generatePlayerId() {
+  return randomBytes(8).toString('hex');
+}
+
+// A human player's seat; the token lets them reclaim it after a dropped connection.
+// Seats taken by a signed-in player carry their profile id, for ratings.
+function createSeat(ws, name, profileId = null) {
+  return { id: generatePlayerId(), ws, name, token: generateSeatToken(), profileId };
+}
+
+// Seats in a new room: 2 unless the creator asks for a bigger table
+function parsePlayerCount(count) {
+  const n = Number(count);
+  return Number.isInteger(n) && n >= MIN_PLAYERS && n <= MAX_PLAYERS ? n : MIN_PLAYERS;
+}
+
+// Accept a player-supplied seed for reproducible deals (numbers or short strings)
+function parseSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed;
+  }
+  if (typeof seed !== 'string' || !seed.trim()) {
+    return undefined;
+  }
+  const text = seed.trim().slice(0, 32);
+  const number = Number(text);
+  return /^\d+$/.test(text) && Number.isSafeInteger(number) ? number : text;
+}
+
+// Room settings from the options the creator picked in the lobby
+function roomSettings(options) {
+  return {
+    seed: parseSeed(options.seed),
+    maxPlayers: parsePlayerCount(options.players),
+    // Memory mode is the creator's choice and applies to every player
+    memoryHelper: options.memoryHelper !== false,
+    // Casual rooms allow takebacks even after new cards were seen
+    casual: options.casual === true,
+    rulesPreset: RULE_PRESETS[options.rules] ? options.rules : DEFAULT_RULE_PRESET,
+    timer: createTimer(options.timer, options.timeoutPolicy),
+    // Public rooms are listed in the lobby for anyone to join
+    public: options.public === true,
+  };
+}
+
+// Register a new room under a fresh code, with the host in the first seat
+function openRoom(host, settings) {
+  let code;
+  do {
+    code = generateRoomCode();
+  } while (rooms.has(code));
+
+  const room = {
+    code,
+    players: [host],
+    spectators: [],
+    gameState: null,
+    undoStack: [],
+    ...settings,
+    createdAt: Date.now(),
+  };
+  rooms.set(code, room);
+  return room;
+}
+
+// Clean up old rooms (older than 2 hours). A tournament game is kept until
+// it is over, or its pairing would only be opened and played again.
 function cleanupRooms() {
   const now = Date.now();
   const twoHours = 2 * 60 * 60 * 1000;
   
   for (const [code, room] of rooms) {
+    if (room.tournament && room.gameState?.phase !== 'ended') {
+      continue;
+    }
     if (now - room.createdAt > twoHours) {
       // Close any connected sockets
-      room.players.forEach(p => {
+      [...room.players, ...room.spectators].forEach(p => {
         if (p.ws && p.ws.readyState === 1) {
           p.ws.close();
         }
       });
-      rooms.delete(code);
+      deleteRoom(code);
       console.log(`Cleaned up room ${code}`);
     }
   }
@@ -53,64 +227,1096 @@ function cleanupRooms() {
 // Run cleanup every 30 minutes
 setInterval(cleanupRooms, 30 * 60 * 1000);
 
-// Send message to a player
+// Send message to a player. Messages are checked against the protocol
+// schema, so a mismatch shows up in the logs before it confuses a client.
 function send(ws, type, data) {
   if (ws && ws.readyState === 1) {
-    ws.send(JSON.stringify({ type, ...data }));
+    const message = { type, ...data };
+    const check = validateServerMessage(message);
+    if (!check.valid) {
+      console.error(`Outgoing message breaks the protocol: ${check.error}`);
+    }
+    ws.send(JSON.stringify(message));
   }
 }
 
-// Broadcast game state to both players (with appropriate view filtering)
+// Send an error with a code from protocol.js ERROR_CODES and a readable message
+function sendError(ws, code, message) {
+  send(ws, 'error', { code, message });
+}
+
+// Send a message to everyone seated in the room except one seat
+function sendToOthers(room, seat, type, data) {
+  room.players.forEach((player, index) => {
+    if (index !== seat) {
+      send(player.ws, type, data);
+    }
+  });
+}
+
+// Send the game state to one socket, filtered for a seat (null for spectators)
+function sendGameState(room, ws, seat) {
+  const view = seat === null ? getSpectatorView(room.gameState) : getPlayerView(room.gameState, seat);
+  send(ws, 'game_state', {
+    state: view,
+    playerIndex: seat,
+    playerId: seat === null ? null : room.players[seat].id,
+    spectator: seat === null,
+    roomCode: room.code,
+    playerNames: room.players.map(p => p.name),
+    spectatorCount: room.spectators.length,
+    timer: timerView(room),
+    undoable: seat !== null && !undoBlockedReason(room, seat),
+    // The client enables its controls from this rather than the rules
+    legalMoves: seat !== null && isSeatToMove(room.gameState, seat) ? getLegalMoves(room.gameState) : null,
+  });
+  // Whoever arrives while the game is paused needs to know why nothing moves
+  if (room.crashed) {
+    send(ws, 'game_error', { message: GAME_ERROR_MESSAGE });
+  }
+}
+
+// Broadcast game state to every player and any spectators (with appropriate view filtering)
 function broadcastGameState(room) {
   room.players.forEach((player, index) => {
     if (player.ws) {
-      const view = getPlayerView(room.gameState, index);
-      send(player.ws, 'game_state', {
-        state: view,
-        playerIndex: index,
-        roomCode: room.code,
-        playerNames: room.players.map(p => p.name),
-      });
+      sendGameState(room, player.ws, index);
     }
   });
+  room.spectators.forEach((spectator) => {
+    sendGameState(room, spectator.ws, null);
+  });
 }
 
+function removeSpectator(room, ws) {
+  room.spectators = room.spectators.filter(s => s.ws !== ws);
+  notifySpectatorCount(room);
+}
+
+// Tell the players how many people are watching
+function notifySpectatorCount(room) {
+  room.players.forEach((player) => {
+    send(player.ws, 'spectators_changed', { count: room.spectators.length });
+  });
+}
+
+// Whether the given seat moves next, either on its turn or to claim a color
+function isSeatToMove(state, seat) {
+  const isPlayerTurn = state.currentPlayerIndex === seat;
+  const isClaimTurn = state.phase === 'destroying' && state.destruction?.currentClaimerIndex === seat;
+  return isPlayerTurn || isClaimTurn;
+}
+
+// Apply a move for the player in the given seat and broadcast the result.
+// Humans and bots both go through here. Returns an error message or null.
+function applyAction(room, seat, action) {
+  if (!room.gameState) {
+    return 'No active game';
+  }
+
+  if (room.crashed) {
+    return 'The game is paused after an error';
+  }
+
+  if (!isSeatToMove(room.gameState, seat)) {
+    return 'Not your turn';
+  }
+
+  const lastGoodState = room.gameState;
+  try {
+    const result = performAction(room.gameState, action);
+
+    if (!result.success) {
+      return result.error;
+    }
+
+    stopTurnTimer(room);
+    room.undoStack.push(room.gameState);
+    if (room.undoStack.length > MAX_UNDO_STEPS) {
+      room.undoStack.shift();
+    }
+    room.pendingUndo = null;
+    room.gameState = result.newState;
+    startTurnTimer(room);
+    saveRoom(room);
+    
+    // Broadcast updated state
+    broadcastGameState(room);
+
+    // Check for game end
+    if (room.gameState.phase === 'ended') {
+      announceGameEnd(room);
+    } else {
+      scheduleBotTurn(room);
+    }
+  } catch (error) {
+    // The players have been told; the mover doesn't get a separate error
+    crashRoom(room, error, { seat, action, lastGoodState });
+  }
+
+  return null;
+}
+
+// Deal a new game with the room's settings. A null seed picks a random one.
+function startGame(room, seed = room.seed) {
+  room.gameState = createGame(room.players.map(p => p.id), {
+    seed,
+    memoryHelper: room.memoryHelper,
+    rules: RULE_PRESETS[room.rulesPreset]?.rules,
+  });
+  room.gameStartedAt = Date.now();
+  resetTimer(room);
+  clearUndo(room);
+  startTurnTimer(room);
+  saveRoom(room);
+}
+
+// Tell the players waiting for a game who has joined so far
+function broadcastLobby(room) {
+  const update = {
+    playerIds: room.players.map(p => p.id),
+    playerNames: room.players.map(p => p.name),
+    maxPlayers: room.maxPlayers,
+  };
+  room.players.forEach((player, index) => {
+    send(player.ws, 'lobby_update', { ...update, playerIndex: index });
+  });
+  room.spectators.forEach((spectator) => {
+    send(spectator.ws, 'lobby_update', update);
+  });
+  if (room.public) {
+    broadcastRoomList();
+  }
+}
+
+// Deal the first game of a room and move everyone from the lobby to the table
+function launchGame(room) {
+  startGame(room);
+  if (room.public) {
+    broadcastRoomList();
+  }
+  const playerNames = room.players.map(p => p.name);
+  room.players.forEach((player, index) => {
+    send(player.ws, 'game_started', { playerIndex: index, playerId: player.id, playerNames });
+  });
+  broadcastGameState(room);
+  scheduleBotTurn(room);
+}
+
+// Add a finished game to the match history and update the players' ratings.
+// Returns the saved match, or null if it could not be recorded.
+function recordMatch(room, winner) {
+  const state = room.gameState;
+  const finishedAt = Date.now();
+  try {
+    return profiles.recordMatch({
+      roomCode: room.code,
+      seed: state.seed,
+      rulesPreset: room.rulesPreset,
+      rules: getRules(state),
+      startedAt: room.gameStartedAt ?? null,
+      finishedAt,
+      duration: room.gameStartedAt ? finishedAt - room.gameStartedAt : null,
+      turns: state.turnNumber,
+      endGameTrigger: state.endGameTrigger,
+      forfeitedBy: state.forfeitedBy ?? null,
+      winnerIndex: winner.winnerIndex,
+      tiebreak: winner.tiebreak,
+      players: room.players.map((player, index) => ({
+        profileId: player.profileId ?? null,
+        name: player.name,
+        bot: player.bot ?? null,
+        score: winner.scores[index],
+      })),
+    });
+  } catch (e) {
+    console.error(`Failed to record the match in room ${room.code}:`, e);
+    return null;
+  }
+}
+
+// Tell everyone in the room who won
+function announceGameEnd(room) {
+  const winner = getWinner(room.gameState);
+  const match = recordMatch(room, winner);
+  const { seed, endGameTrigger, forfeitedBy, forfeitReason } = room.gameState;
+  // Players are identified by id; names are for display only
+  const result = {
+    winner: winner.winnerId,
+    winnerIndex: winner.winnerIndex,
+    winnerName: room.players[winner.winnerIndex].name,
+    scores: winner.scores,
+    // How each score adds up, and which tie-breaker decided the winner
+    breakdowns: room.gameState.players.map(p => getScoreBreakdown(p, getRules(room.gameState))),
+    tiebreak: winner.tiebreak,
+    // { before, after } for every rated seat, null for the rest
+    ratings: room.players.map((_, index) => match?.players[index].rating ?? null),
+    playerIds: room.gameState.players.map(p => p.id),
+    playerNames: room.players.map(p => p.name),
+    endGameTrigger,
+    forfeitedBy,
+    forfeitReason,
+    seed,
+    tournament: room.tournament?.code,
+  };
+  room.players.forEach((player, index) => {
+    send(player.ws, 'game_ended', {
+      ...result,
+      yourScore: winner.scores[index],
+      // The best score among everyone else
+      opponentScore: Math.max(...winner.scores.filter((_, i) => i !== index)),
+      youWon: winner.winnerId === player.id,
+    });
+  });
+  room.spectators.forEach((spectator) => {
+    send(spectator.ws, 'game_ended', { ...result, spectator: true });
+  });
+  if (room.tournament) {
+    recordTournamentGame(room, winner);
+  }
+}
+
+// A player walked out of a game in progress. Nobody would take their turns,
+// so they lose and the game ends for everyone. Returns whether it did.
+function forfeitLeaver(room, seat) {
+  const state = room.gameState;
+  if (!state || state.phase === 'ended') {
+    return false;
+  }
+  console.log(`${room.players[seat].name} left and forfeited the game in room ${room.code}`);
+  stopTurnTimer(room);
+  room.crashed = null;
+  room.gameState = forfeitGame(state, seat, 'left');
+  saveRoom(room);
+  broadcastGameState(room);
+  announceGameEnd(room);
+  return true;
+}
+
+// ============================================
+// TURN TIMERS
+// ============================================
+
+// Timer options offered in the lobby. 'move' gives every turn (and every
+// claim) a fixed allowance; 'clock' gives each player a total budget that
+// only runs while it is their move, like a chess clock.
+const TIMER_PRESETS = {
+  move30: { mode: 'move', seconds: 30 },
+  move60: { mode: 'move', seconds: 60 },
+  clock5: { mode: 'clock', seconds: 5 * 60 },
+  clock10: { mode: 'clock', seconds: 10 * 60 },
+};
+
+// What happens when time runs out: play a random legal move, or lose
+const TIMEOUT_POLICIES = ['auto', 'forfeit'];
+
+// Build a room's timer from lobby options, or null for untimed rooms
+function createTimer(preset, policy) {
+  const settings = TIMER_PRESETS[preset];
+  if (!settings) {
+    return null;
+  }
+  return {
+    ...settings,
+    policy: TIMEOUT_POLICIES.includes(policy) ? policy : 'auto',
+    remaining: null,
+    seat: null,
+    turnStartedAt: null,
+  };
+}
+
+// Refill every player's clock for a new game
+function resetTimer(room) {
+  if (room.timer) {
+    room.timer.remaining = room.players.map(() => room.timer.seconds * 1000);
+    room.timer.seat = null;
+  }
+}
+
+// Time left in the current turn, in milliseconds
+function turnTimeLeft(timer, now = Date.now()) {
+  const budget = timer.mode === 'clock' ? timer.remaining[timer.seat] : timer.seconds * 1000;
+  return Math.max(0, budget - (now - timer.turnStartedAt));
+}
+
+// Start the countdown for whoever is to move (including claim turns)
+function startTurnTimer(room) {
+  clearTimeout(room.timerHandle);
+  const timer = room.timer;
+  const state = room.gameState;
+  if (!timer || !state || state.phase === 'ended') {
+    return;
+  }
+
+  timer.seat = state.currentPlayerIndex;
+  timer.turnStartedAt = Date.now();
+  room.timerHandle = setTimeout(() => {
+    guardRoom(room, { timeout: timer.seat }, () => handleTimeout(room, state));
+  }, turnTimeLeft(timer));
+}
+
+// Stop the countdown and charge the mover's clock for the time they used
+function stopTurnTimer(room) {
+  clearTimeout(room.timerHandle);
+  const timer = room.timer;
+  if (!timer || timer.seat === null) {
+    return;
+  }
+  if (timer.mode === 'clock') {
+    timer.remaining[timer.seat] = turnTimeLeft(timer);
+  }
+  timer.seat = null;
+}
+
+// Timer info for game_state. Times are relative to now, so client clock skew doesn't matter.
+function timerView(room) {
+  const timer = room.timer;
+  if (!timer) {
+    return null;
+  }
+  const running = timer.seat !== null;
+  return {
+    mode: timer.mode,
+    seconds: timer.seconds,
+    policy: timer.policy,
+    seat: timer.seat,
+    turnRemainingMs: running ? turnTimeLeft(timer) : null,
+    remainingMs: timer.mode === 'clock'
+      ? timer.remaining.map((ms, seat) => (running && seat === timer.seat ? turnTimeLeft(timer) : ms))
+      : null,
+  };
+}
+
+function handleTimeout(room, state) {
+  // The room may have been closed or moved on in the meantime
+  if (rooms.get(room.code) !== room || room.gameState !== state) {
+    return;
+  }
+
+  const seat = state.currentPlayerIndex;
+  console.log(`${room.players[seat].name} ran out of time in room ${room.code}`);
+
+  if (room.timer.policy === 'forfeit') {
+    stopTurnTimer(room);
+    room.gameState = forfeitGame(state, seat);
+    saveRoom(room);
+    broadcastGameState(room);
+    announceGameEnd(room);
+    return;
+  }
+
+  // Out of clock time stays out: later turns are auto-played as soon as they start
+  const action = chooseRandomAction(getPlayerView(state, seat));
+  const error = action ? applyAction(room, seat, action) : 'No legal moves';
+  if (error) {
+    console.error(`Auto-move in room ${room.code} failed: ${error}`);
+  }
+}
+
+// ============================================
+// UNDO
+// ============================================
+
+// How many earlier positions each room keeps for takebacks
+const MAX_UNDO_STEPS = 20;
+
+// Forget takeback history, e.g. when a new game starts
+function clearUndo(room) {
+  room.undoStack = [];
+  room.pendingUndo = null;
+}
+
+// Why this seat may not take back the last action, or null if it may.
+// Outside casual rooms, an action that showed the mover new cards (a draw
+// or a fresh mountain) is final: undoing it would let them peek and retry.
+function undoBlockedReason(room, seat) {
+  const state = room.gameState;
+  if (!state || state.phase === 'ended') {
+    return 'No active game';
+  }
+  const lastAction = getLastAction(state);
+  if (!lastAction || room.undoStack.length === 0) {
+    return 'Nothing to undo';
+  }
+  if (lastAction.playerIndex !== seat) {
+    return 'You can only undo your own last action';
+  }
+  if (!room.casual && revealsHiddenCards(lastAction)) {
+    return 'Cannot undo once new cards have been revealed';
+  }
+  return null;
+}
+
+// Restore the position before the last action
+function undoLastAction(room) {
+  stopTurnTimer(room);
+  room.gameState = room.undoStack.pop();
+  room.pendingUndo = null;
+  startTurnTimer(room);
+  saveRoom(room);
+  broadcastGameState(room);
+  console.log(`Last action undone in room ${room.code}`);
+}
+
+// Ask every other human at the table to approve a takeback. Computer
+// opponents always agree; players who left or lost their connection can't
+// answer, so they aren't asked.
+function requestUndo(room, seat) {
+  const reason = undoBlockedReason(room, seat);
+  if (reason) {
+    return reason;
+  }
+  const approvers = room.players
+    .map((player, index) => (index !== seat && !player.bot && player.ws ? index : null))
+    .filter(index => index !== null);
+  if (approvers.length === 0) {
+    undoLastAction(room);
+    send(room.players[seat].ws, 'undo_answered', { accepted: true });
+    return null;
+  }
+  room.pendingUndo = { seat, turn: room.gameState.history.length, waitingFor: approvers };
+  approvers.forEach((index) => {
+    send(room.players[index].ws, 'undo_requested', { name: room.players[seat].name });
+  });
+  return null;
+}
+
+// One approver's answer. The takeback happens once everyone has agreed;
+// a single refusal cancels it for all.
+function answerUndo(room, seat, accepted) {
+  const pending = room.pendingUndo;
+  if (!pending || !pending.waitingFor.includes(seat)) {
+    return 'No undo request to answer';
+  }
+  // Someone may have moved since the request was made
+  if (pending.turn !== room.gameState?.history.length || undoBlockedReason(room, pending.seat)) {
+    room.pendingUndo = null;
+    return 'The undo request has expired';
+  }
+  pending.waitingFor = pending.waitingFor.filter(index => index !== seat);
+  if (accepted && pending.waitingFor.length > 0) {
+    return null;
+  }
+  room.pendingUndo = null;
+  if (accepted) {
+    undoLastAction(room);
+  } else {
+    // Close the request for anyone who hadn't answered yet
+    pending.waitingFor.forEach((index) => {
+      send(room.players[index].ws, 'undo_answered', { accepted });
+    });
+  }
+  send(room.players[pending.seat].ws, 'undo_answered', { accepted });
+  return null;
+}
+
+// A player who drops out while asked to approve a takeback no longer holds it up
+function withdrawUndoApprover(room, seat) {
+  if (room.pendingUndo?.waitingFor.includes(seat)) {
+    answerUndo(room, seat, true);
+  }
+}
+
+// ============================================
+// COMPUTER OPPONENTS
+// ============================================
+
+// Delay before a computer opponent moves, so humans can follow along
+const BOT_MOVE_DELAY = 800;
+
+// How long a hard computer opponent searches for its move
+const BOT_THINK_TIME = Number(process.env.BOT_THINK_MS) || 300;
+
+// Computer opponents choose their moves in a worker thread, so a hard bot's
+// search doesn't hold up every other room's messages and timers
+let botWorker = null;
+const botRequests = new Map(); // Request id -> { worker, resolve, reject }
+let nextBotRequest = 0;
+
+function startBotWorker() {
+  const worker = new Worker(new URL('./bot-worker.js', import.meta.url));
+  worker.on('message', ({ id, action, error }) => {
+    const request = botRequests.get(id);
+    botRequests.delete(id);
+    if (error) {
+      request?.reject(new Error(error));
+    } else {
+      request?.resolve(action);
+    }
+  });
+  // A worker that dies takes its pending moves with it; the next request starts a new one
+  worker.on('error', (error) => {
+    console.error('Bot worker failed:', error);
+    stopBotWorker(worker, error);
+  });
+  worker.on('exit', (code) => {
+    stopBotWorker(worker, new Error(`Bot worker exited with code ${code}`));
+  });
+  botWorker = worker;
+}
+
+// Fail the moves the worker was still choosing; a newer worker's are left alone
+function stopBotWorker(worker, error) {
+  botRequests.forEach((request, id) => {
+    if (request.worker === worker) {
+      botRequests.delete(id);
+      request.reject(error);
+    }
+  });
+  if (botWorker === worker) {
+    botWorker = null;
+  }
+}
+
+// A computer opponent's move for the given view: resolves to an action, or null if there is none
+function chooseBotMove(view, level) {
+  if (!botWorker) {
+    startBotWorker();
+  }
+  const id = nextBotRequest++;
+  return new Promise((resolve, reject) => {
+    botRequests.set(id, { worker: botWorker, resolve, reject });
+    botWorker.postMessage({ id, view, level, options: { timeLimitMs: BOT_THINK_TIME } });
+  });
+}
+
+// If the player to move is a computer opponent, play its move shortly
+function scheduleBotTurn(room) {
+  const state = room.gameState;
+  if (!state || state.phase === 'ended') {
+    return;
+  }
+  const seat = state.currentPlayerIndex;
+  const bot = room.players[seat];
+  if (!bot?.bot) {
+    return;
+  }
+
+  // The room may have been closed or moved on while the bot waited or thought
+  const stale = () => rooms.get(room.code) !== room || room.gameState !== state || room.crashed;
+
+  setTimeout(async () => {
+    if (stale()) {
+      return;
+    }
+    let action;
+    try {
+      action = await chooseBotMove(getPlayerView(state, seat), bot.bot);
+    } catch (error) {
+      // The worker failed or stopped; retrying asks a fresh one
+      if (!stale()) {
+        crashRoom(room, error, { bot: seat });
+      }
+      return;
+    }
+    if (stale()) {
+      return;
+    }
+    guardRoom(room, { bot: seat, action }, () => {
+      const error = action ? applyAction(room, seat, action) : 'No legal moves';
+      if (error) {
+        console.error(`Bot in room ${room.code} failed to move: ${error}`);
+      }
+    });
+  }, BOT_MOVE_DELAY);
+}
+
+// ============================================
+// ERRORS AND RECOVERY
+// ============================================
+
+// Counts for /health
+const errorStats = { total: 0, last: null };
+
+const GAME_ERROR_MESSAGE = 'The game hit an unexpected error and is paused.';
+
+// Messages refused while a room is paused after an error
+const PAUSABLE_MESSAGES = ['action', 'undo_request', 'undo_response', 'rematch'];
+
+// Log an unexpected exception with enough context to reproduce it: the room,
+// what was being done (message, action, seat) and a snapshot of the state
+function reportError(room, error, context) {
+  errorStats.total++;
+  errorStats.last = { at: new Date().toISOString(), room: room?.code ?? null, message: error.message };
+  console.error(`Error in room ${room?.code ?? '(none)'}:`, error);
+  console.error('Context:', JSON.stringify(context));
+  if (room?.gameState) {
+    console.error('State snapshot:', JSON.stringify(room.gameState));
+  }
+}
+
+// Contain an exception from the game logic to its room. A game in progress
+// is paused and its players are offered to retry from the last good state
+// or abort the game.
+function crashRoom(room, error, { lastGoodState = room.gameState, ...context } = {}) {
+  reportError(room, error, context);
+  if (!lastGoodState || lastGoodState.phase === 'ended') {
+    return;
+  }
+
+  stopTurnTimer(room);
+  room.crashed = { lastGoodState, at: Date.now() };
+  [...room.players, ...room.spectators].forEach((member) => {
+    send(member.ws, 'game_error', { message: GAME_ERROR_MESSAGE });
+  });
+}
+
+// Run game logic outside the message handler (timers, bots) for a room
+function guardRoom(room, context, fn) {
+  try {
+    fn();
+  } catch (error) {
+    crashRoom(room, error, context);
+  }
+}
+
+// Resume a paused game from the position before the error
+function retryRoom(room) {
+  const { lastGoodState } = room.crashed;
+  room.crashed = null;
+  // The failed action may already have been pushed for takeback
+  if (room.undoStack.at(-1) === lastGoodState) {
+    room.undoStack.pop();
+  }
+  room.pendingUndo = null;
+  room.gameState = lastGoodState;
+  guardRoom(room, { retry: true }, () => {
+    startTurnTimer(room);
+    saveRoom(room);
+    broadcastGameState(room);
+    scheduleBotTurn(room);
+  });
+  console.log(`Room ${room.code} resumed after an error`);
+}
+
+// Give up on a paused game: everyone goes back to the lobby
+function abortRoom(room) {
+  [...room.players, ...room.spectators].forEach((member) => {
+    send(member.ws, 'game_aborted', {});
+  });
+  deleteRoom(room.code);
+  console.log(`Room ${room.code} aborted after an error`);
+}
+
+// ============================================
+// CHAT
+// ============================================
+
+// Relay a chat message to every player and spectator in the room
+function broadcastChat(room, chat) {
+  [...room.players, ...room.spectators].forEach((member) => {
+    send(member.ws, 'chat', chat);
+  });
+}
+
+// ============================================
+// PUBLIC LOBBY AND MATCHMAKING
+// ============================================
+
+// Sockets on the lobby screen that want the list of open public rooms
+const lobbyWatchers = new Set();
+
+// Players waiting for a quick match. Each entry is { ws, name, profileId,
+// seat(room, index) }; seat tells the waiting connection where it was placed,
+// since only that connection's handler can update its state.
+const matchQueue = createMatchQueue();
+
+// Send every lobby watcher the current list of open public rooms
+function broadcastRoomList() {
+  if (lobbyWatchers.size === 0) {
+    return;
+  }
+  const list = publicRoomList(rooms.values());
+  lobbyWatchers.forEach((watcher) => {
+    send(watcher, 'room_list', { rooms: list });
+  });
+}
+
+// Pair two queued players in a new two-player room with standard settings
+// and start their game. The player who waited longer moves first.
+function startQuickMatch(waiting, arriving) {
+  const players = [waiting, arriving];
+  const room = openRoom(createSeat(waiting.ws, waiting.name || 'Player 1', waiting.profileId), roomSettings({}));
+  room.players.push(createSeat(arriving.ws, arriving.name || 'Player 2', arriving.profileId));
+  players.forEach((entry, index) => {
+    entry.seat(room, index);
+    send(entry.ws, 'match_found', {
+      roomCode: room.code,
+      playerIndex: index,
+      playerId: room.players[index].id,
+      reconnectToken: room.players[index].token,
+    });
+  });
+  launchGame(room);
+  console.log(`Quick match started in room ${room.code}`);
+}
+
+// ============================================
+// TOURNAMENTS
+// ============================================
+
+// Tournaments by code. Each record wraps a tournament from tournaments.js
+// with what the server needs to run it: the room settings for its games,
+// who has joined as each participant, and the room of every pairing.
+const tournaments = new Map();
+
+// How long a tournament game waits for its players before the absent ones lose
+const NO_SHOW_TIMEOUT = (Number(process.env.NO_SHOW_MINUTES) || 5) * 60 * 1000;
+
+function saveTournament(record) {
+  // Watchers are live sockets; everything else is plain JSON
+  const { watchers, ...data } = record;
+  try {
+    storage.saveTournament(data);
+  } catch (e) {
+    console.error(`Failed to save tournament ${record.code}:`, e);
+  }
+}
+
+function pairingKey(round, pairing) {
+  return `${round}-${pairing}`;
+}
+
+// The open room of a pairing, if any. Codes are reused once a room closes,
+// so the room under the saved code must also be this pairing's.
+function pairingRoom(record, round, pairing) {
+  const room = rooms.get(record.rooms[pairingKey(round, pairing)]);
+  const game = room?.tournament;
+  return game && game.code === record.code && game.round === round && game.pairing === pairing ? room : null;
+}
+
+// Start a tournament and open the rooms for its first round
+function openTournament(name, format, participants, settings) {
+  let code;
+  do {
+    code = generateRoomCode();
+  } while (tournaments.has(code));
+
+  const record = {
+    code,
+    tournament: createTournament({ name, format, participants }),
+    settings,
+    // Per participant: the token of whoever joined as them, and their profile
+    entrants: participants.map(() => ({ token: null, profileId: null })),
+    rooms: {},
+    createdAt: Date.now(),
+    watchers: new Set(),
+  };
+  tournaments.set(code, record);
+  openTournamentRooms(record);
+  return record;
+}
+
+// Open a room for every pairing of the current round that doesn't have one.
+// The seats start empty: players take them with their seat token from the
+// tournament page, the same way a dropped player rejoins.
+function openTournamentRooms(record) {
+  const { tournament } = record;
+  for (const { round, pairing } of pendingPairings(tournament)) {
+    if (pairingRoom(record, round, pairing)) {
+      continue;
+    }
+    const [first, second] = tournament.rounds[round][pairing].players.map((participant) => {
+      const { name } = tournament.participants[participant];
+      return createSeat(null, name, record.entrants[participant].profileId);
+    });
+    const room = openRoom(first, roomSettings(record.settings));
+    room.players.push(second);
+    room.tournament = { code: record.code, round, pairing };
+    record.rooms[pairingKey(round, pairing)] = room.code;
+    saveRoom(room);
+    waitForPlayers(room);
+  }
+  saveTournament(record);
+}
+
+// Give a tournament game's players NO_SHOW_TIMEOUT to take their seats. The
+// clock starts once one of them has joined the tournament or taken their
+// seat, not when the room opens: first-round rooms open before anyone joins.
+function waitForPlayers(room) {
+  const record = tournaments.get(room.tournament.code);
+  if (room.noShowHandle || room.gameState || !record) {
+    return;
+  }
+  const { round, pairing } = room.tournament;
+  const participants = record.tournament.rounds[round][pairing].players;
+  const present = participants.some(p => record.entrants[p].token) || room.players.some(p => p.arrived);
+  if (!present) {
+    return;
+  }
+  room.noShowHandle = setTimeout(() => {
+    guardRoom(room, { noShow: true }, () => resolveNoShow(room));
+  }, NO_SHOW_TIMEOUT);
+}
+
+// A tournament game starts once every seat has been taken
+function startTournamentGame(room) {
+  if (room.gameState || !room.players.every(p => p.arrived)) {
+    return;
+  }
+  clearTimeout(room.noShowHandle);
+  room.noShowHandle = null;
+  launchGame(room);
+  console.log(`Tournament game started in room ${room.code}`);
+}
+
+// Time is up for a game that never started: whoever didn't arrive loses it
+function resolveNoShow(room) {
+  const record = tournaments.get(room.tournament.code);
+  if (rooms.get(room.code) !== room || room.gameState || !record) {
+    return;
+  }
+  const { round, pairing } = room.tournament;
+  const players = record.tournament.rounds[round][pairing].players;
+  const absent = players.filter((_, seat) => !room.players[seat].arrived);
+  if (absent.length === 0) {
+    return;
+  }
+
+  room.players.forEach((player, seat) => {
+    if (player.arrived) {
+      send(player.ws, 'opponent_left', { name: room.players[1 - seat].name });
+    }
+  });
+  const names = absent.map(p => record.tournament.participants[p].name);
+  console.log(`No-show in room ${room.code}: ${names.join(', ')}`);
+  recordNoShow(record.tournament, round, pairing, absent);
+  deleteRoom(room.code);
+  tournamentChanged(record);
+}
+
+// Report a finished tournament game to its tournament
+function recordTournamentGame(room, winner) {
+  const record = tournaments.get(room.tournament.code);
+  const { round, pairing } = room.tournament;
+  const recorded = record && recordResult(record.tournament, round, pairing, {
+    winnerSeat: winner.winnerIndex,
+    scores: winner.scores,
+  });
+  if (recorded) {
+    tournamentChanged(record);
+  }
+}
+
+// A tournament room was deleted, e.g. aborted after an error: if its pairing
+// is still undecided, the game is replayed in a fresh room
+function tournamentRoomClosed(room) {
+  const record = tournaments.get(room.tournament.code);
+  const { round, pairing } = room.tournament;
+  const undecided = record && pendingPairings(record.tournament)
+    .some((entry) => entry.round === round && entry.pairing === pairing);
+  if (undecided) {
+    tournamentChanged(record);
+  }
+}
+
+// After a result: open the next round's rooms and update the standings pages
+function tournamentChanged(record) {
+  openTournamentRooms(record);
+  broadcastTournament(record);
+  if (record.tournament.status === 'finished') {
+    console.log(`Tournament ${record.code} finished`);
+  }
+}
+
+// Leaving a tournament room keeps the seat for the tournament page to send
+// the player back; leaving a game in progress forfeits it
+function leaveTournamentRoom(room, seat) {
+  const leaving = room.players[seat];
+  leaving.ws = null;
+  leaving.arrived = false;
+  forfeitLeaver(room, seat);
+}
+
+// What the tournament page shows
+function tournamentView(record) {
+  const { tournament } = record;
+  return {
+    code: record.code,
+    name: tournament.name,
+    format: tournament.format,
+    formatLabel: TOURNAMENT_FORMATS[tournament.format].label,
+    status: tournament.status,
+    totalRounds: tournament.totalRounds,
+    champion: tournament.champion,
+    participants: tournament.participants.map((participant, index) => ({
+      name: participant.name,
+      joined: !!record.entrants[index].token,
+    })),
+    rounds: tournament.rounds.map((pairings, round) => pairings.map((pairing, index) => ({
+      ...pairing,
+      roomCode: pairingRoom(record, round, index)?.code ?? null,
+    }))),
+    standings: getStandings(tournament),
+  };
+}
+
+// A participant's game waiting to be played, with the token for their seat
+function pendingMatch(record, participant) {
+  for (const { round, pairing } of pendingPairings(record.tournament)) {
+    const seat = record.tournament.rounds[round][pairing].players.indexOf(participant);
+    const room = pairingRoom(record, round, pairing);
+    if (seat !== -1 && room) {
+      return { roomCode: room.code, token: room.players[seat].token, opponent: room.players[1 - seat].name };
+    }
+  }
+  return null;
+}
+
+// Watchers are { ws, participant }: everyone with the tournament page open,
+// and which participant they joined as (null to just follow along)
+function sendTournament(record, watcher) {
+  send(watcher.ws, 'tournament_update', {
+    tournament: tournamentView(record),
+    participant: watcher.participant,
+    yourMatch: watcher.participant === null ? null : pendingMatch(record, watcher.participant),
+  });
+}
+
+function broadcastTournament(record) {
+  record.watchers.forEach((watcher) => sendTournament(record, watcher));
+}
+
+// Reload tournaments saved before the last shutdown. Their restored rooms
+// wait for the players again; any missing rooms are opened anew.
+function restoreTournaments() {
+  for (const data of storage.loadTournaments()) {
+    const record = { ...data, watchers: new Set() };
+    tournaments.set(record.code, record);
+    for (const { round, pairing } of pendingPairings(record.tournament)) {
+      const room = pairingRoom(record, round, pairing);
+      if (room && !room.gameState) {
+        waitForPlayers(room);
+      }
+    }
+    openTournamentRooms(record);
+  }
+  if (tournaments.size > 0) {
+    console.log(`Restored ${tournaments.size} tournament(s) from storage`);
+  }
+}
+
+const OUTDATED_CLIENT = 'This page is out of date. Please reload it to keep playing.';
+
 // Handle WebSocket connections
 wss.on('connection', (ws) => {
   console.log('Client connected');
   
   let currentRoom = null;
   let playerIndex = null;
+  let isSpectator = false;
+  let greeted = false; // Whether the client has said hello with our protocol version
+  let profile = null; // The signed-in profile, if any
+  let tournamentWatch = null; // { record, watcher } for an open tournament page
+  const chatSentAt = [];
+
+  // Follow a tournament's updates, as the given participant or null
+  function watchTournament(record, participant) {
+    tournamentWatch?.record.watchers.delete(tournamentWatch.watcher);
+    const watcher = { ws, participant };
+    record.watchers.add(watcher);
+    tournamentWatch = { record, watcher };
+    sendTournament(record, watcher);
+  }
+
+  // Taking a seat ends watching a room, so the seat's moves aren't refused
+  // as a spectator's and the old room stops counting this socket
+  function stopSpectating() {
+    if (currentRoom && isSpectator) {
+      removeSpectator(currentRoom, ws);
+      isSpectator = false;
+    }
+  }
 
-  ws.on('message', (data) => {
+  function handleMessage(data) {
     let message;
     try {
       message = JSON.parse(data);
     } catch (e) {
-      send(ws, 'error', { message: 'Invalid message format' });
+      sendError(ws, 'bad_json', 'Invalid message format');
+      return;
+    }
+
+    // Clients from before the handshake, or cached from an older release,
+    // don't say hello with the current version
+    if (!greeted && message?.type !== 'hello') {
+      sendError(ws, 'protocol_mismatch', OUTDATED_CLIENT);
+      return;
+    }
+
+    const check = validateClientMessage(message);
+    if (!check.valid) {
+      sendError(ws, check.code, check.error);
+      return;
+    }
+
+    // The room may have been closed under us, e.g. aborted after an error
+    if (currentRoom && rooms.get(currentRoom.code) !== currentRoom) {
+      currentRoom = null;
+      playerIndex = null;
+      isSpectator = false;
+    }
+
+    // Seats move when a rematch rotates them or someone leaves the lobby
+    if (currentRoom && !isSpectator) {
+      const seat = currentRoom.players.findIndex(p => p.ws === ws);
+      playerIndex = seat === -1 ? null : seat;
+    }
+
+    // A room paused by an error only takes recover_game until it is resolved
+    if (currentRoom?.crashed && PAUSABLE_MESSAGES.includes(message.type)) {
+      sendError(ws, 'game_error', 'The game is paused after an error');
       return;
     }
 
     switch (message.type) {
+      case 'hello': {
+        if (message.version !== PROTOCOL_VERSION) {
+          sendError(ws, 'protocol_mismatch', OUTDATED_CLIENT);
+          return;
+        }
+        greeted = true;
+        send(ws, 'welcome', { version: PROTOCOL_VERSION });
+        break;
+      }
+
       case 'create_room': {
-        // Generate unique room code
-        let code;
-        do {
-          code = generateRoomCode();
-        } while (rooms.has(code));
-
-        const room = {
-          code,
-          players: [{ ws, name: message.name || 'Player 1' }],
-          gameState: null,
-          createdAt: Date.now(),
-        };
-        rooms.set(code, room);
+        const { name, error } = parsePlayerName(message.name, profile?.name ?? 'Player 1');
+        if (error) {
+          sendError(ws, 'invalid_name', error);
+          return;
+        }
+
+        stopSpectating();
+        const room = openRoom(createSeat(ws, name, profile?.id), roomSettings(message));
+        const { code } = room;
+        lobbyWatchers.delete(ws);
+        matchQueue.leave(ws);
         currentRoom = room;
         playerIndex = 0;
+        saveRoom(room);
 
-        send(ws, 'room_created', { roomCode: code, playerIndex: 0 });
-        console.log(`Room ${code} created by ${message.name}`);
+        send(ws, 'room_created', {
+          roomCode: code,
+          playerIndex: 0,
+          playerId: room.players[0].id,
+          reconnectToken: room.players[0].token,
+        });
+        console.log(`Room ${code} created by ${name}`);
+
+        // Computer opponents fill the other seats and the game starts right away
+        if (message.vsComputer) {
+          const level = BOT_LEVELS[message.difficulty] ? message.difficulty : DEFAULT_BOT_LEVEL;
+          const label = `Computer (${BOT_LEVELS[level].label})`;
+          while (room.players.length < room.maxPlayers) {
+            const botName = room.maxPlayers > 2 ? `${label} ${room.players.length}` : label;
+            room.players.push({ id: generatePlayerId(), ws: null, name: botName, bot: level });
+          }
+          launchGame(room);
+          console.log(`Room ${code} started against ${level} computer`);
+        } else {
+          broadcastLobby(room);
+        }
         break;
       }
 
@@ -119,142 +1325,322 @@ wss.on('connection', (ws) => {
         const room = rooms.get(code);
 
         if (!room) {
-          send(ws, 'error', { message: 'Room not found' });
+          sendError(ws, 'room_not_found', 'Room not found');
           return;
         }
 
-        if (room.players.length >= 2) {
-          send(ws, 'error', { message: 'Room is full' });
+        if (room.players.length >= room.maxPlayers) {
+          sendError(ws, 'room_full', 'Room is full (you can still watch it)');
           return;
         }
 
         if (room.gameState) {
-          send(ws, 'error', { message: 'Game already in progress' });
+          sendError(ws, 'game_in_progress', 'Game already in progress');
           return;
         }
 
-        room.players.push({ ws, name: message.name || 'Player 2' });
-        currentRoom = room;
-        playerIndex = 1;
+        const seat = room.players.length;
+        const { name, error } = parsePlayerName(message.name, profile?.name ?? `Player ${seat + 1}`);
+        if (error) {
+          sendError(ws, 'invalid_name', error);
+          return;
+        }
 
-        // Start the game
-        room.gameState = createGame(room.players[0].name, room.players[1].name);
+        stopSpectating();
+        room.players.push(createSeat(ws, name, profile?.id));
+        lobbyWatchers.delete(ws);
+        matchQueue.leave(ws);
+        currentRoom = room;
+        playerIndex = seat;
 
-        // Notify both players
-        send(room.players[0].ws, 'game_started', {
-          playerIndex: 0,
-          opponentName: room.players[1].name,
-        });
         send(ws, 'room_joined', {
           roomCode: code,
-          playerIndex: 1,
-          opponentName: room.players[0].name,
+          playerIndex: seat,
+          playerId: room.players[seat].id,
+          reconnectToken: room.players[seat].token,
+        });
+        console.log(`${name} joined room ${code}`);
+
+        // A full room starts by itself; otherwise the host starts it
+        if (room.players.length === room.maxPlayers) {
+          launchGame(room);
+        } else {
+          saveRoom(room);
+          broadcastLobby(room);
+        }
+        break;
+      }
+
+      case 'start_game': {
+        if (!currentRoom || playerIndex !== 0) {
+          sendError(ws, 'not_host', 'Only the host can start the game');
+          return;
+        }
+
+        if (currentRoom.gameState) {
+          sendError(ws, 'game_in_progress', 'Game already in progress');
+          return;
+        }
+
+        if (currentRoom.tournament) {
+          sendError(ws, 'not_host', 'Tournament games start when both players are here');
+          return;
+        }
+
+        if (currentRoom.players.length < MIN_PLAYERS) {
+          sendError(ws, 'not_enough_players', `At least ${MIN_PLAYERS} players are needed`);
+          return;
+        }
+
+        launchGame(currentRoom);
+        console.log(`Room ${currentRoom.code} started with ${currentRoom.players.length} players`);
+        break;
+      }
+
+      case 'rename': {
+        if (isSpectator || !currentRoom || playerIndex === null) {
+          sendError(ws, 'not_in_room', 'Not in a room');
+          return;
+        }
+
+        if (currentRoom.gameState) {
+          sendError(ws, 'game_in_progress', 'Names can only be changed before the game starts');
+          return;
+        }
+
+        if (currentRoom.tournament) {
+          sendError(ws, 'invalid_name', 'Tournament names are set by the organizer');
+          return;
+        }
+
+        const { name, error } = parsePlayerName(message.name, null);
+        if (error || !name) {
+          sendError(ws, 'invalid_name', error || 'Name cannot be blank');
+          return;
+        }
+
+        const player = currentRoom.players[playerIndex];
+        console.log(`${player.name} is now ${name} in room ${currentRoom.code}`);
+        player.name = name;
+        saveRoom(currentRoom);
+        broadcastLobby(currentRoom);
+        break;
+      }
+
+      case 'rejoin_room': {
+        const code = (message.roomCode || '').toUpperCase();
+        const room = rooms.get(code);
+        const seat = room ? room.players.findIndex(p => p.token && p.token === message.token) : -1;
+
+        if (seat === -1) {
+          send(ws, 'rejoin_failed', { message: 'Could not rejoin room' });
+          return;
+        }
+
+        stopSpectating();
+        // Drop any stale socket still bound to this seat
+        const player = room.players[seat];
+        if (player.ws && player.ws !== ws && player.ws.readyState === 1) {
+          player.ws.close();
+        }
+        player.ws = ws;
+        delete player.disconnectedAt;
+        lobbyWatchers.delete(ws);
+        matchQueue.leave(ws);
+        currentRoom = room;
+        playerIndex = seat;
+
+        send(ws, 'room_rejoined', {
+          roomCode: code,
+          playerIndex: seat,
+          playerId: player.id,
+          reconnectToken: player.token,
+          inGame: !!room.gameState,
         });
 
-        // Broadcast initial game state
-        broadcastGameState(room);
-        console.log(`${message.name} joined room ${code}`);
+        if (room.gameState) {
+          sendGameState(room, ws, seat);
+        } else {
+          broadcastLobby(room);
+        }
+
+        sendToOthers(room, seat, 'opponent_reconnected', { name: player.name });
+        console.log(`${player.name} rejoined room ${code}`);
+
+        if (room.tournament) {
+          player.arrived = true;
+          startTournamentGame(room);
+          waitForPlayers(room);
+        }
+        break;
+      }
+
+      case 'spectate_room': {
+        const code = (message.roomCode || '').toUpperCase();
+        const room = rooms.get(code);
+
+        if (!room) {
+          sendError(ws, 'room_not_found', 'Room not found');
+          return;
+        }
+
+        const { name, error } = parsePlayerName(message.name, 'Spectator');
+        if (error) {
+          sendError(ws, 'invalid_name', error);
+          return;
+        }
+
+        room.spectators.push({ ws, name });
+        lobbyWatchers.delete(ws);
+        matchQueue.leave(ws);
+        currentRoom = room;
+        playerIndex = null;
+        isSpectator = true;
+
+        send(ws, 'spectating', {
+          roomCode: code,
+          playerNames: room.players.map(p => p.name),
+          maxPlayers: room.maxPlayers,
+          inGame: !!room.gameState,
+        });
+        if (room.gameState) {
+          sendGameState(room, ws, null);
+        }
+        notifySpectatorCount(room);
+        console.log(`${name} is watching room ${code}`);
         break;
       }
 
       case 'action': {
+        if (isSpectator) {
+          sendError(ws, 'not_a_player', 'Spectators cannot play');
+          return;
+        }
+
         if (!currentRoom || !currentRoom.gameState) {
-          send(ws, 'error', { message: 'No active game' });
+          sendError(ws, 'no_active_game', 'No active game');
           return;
         }
 
-        // Verify it's this player's turn
-        const isPlayerTurn = currentRoom.gameState.currentPlayerIndex === playerIndex;
-        const isClaimTurn = currentRoom.gameState.phase === 'destroying' && 
-                          currentRoom.gameState.destruction?.currentClaimerIndex === playerIndex;
-        
-        if (!isPlayerTurn && !isClaimTurn) {
-          send(ws, 'error', { message: 'Not your turn' });
+        if (!isSeatToMove(currentRoom.gameState, playerIndex)) {
+          sendError(ws, 'not_your_turn', 'Not your turn');
           return;
         }
 
-        const result = performAction(currentRoom.gameState, message.action);
+        const error = applyAction(currentRoom, playerIndex, message.action);
+        if (error) {
+          sendError(ws, 'illegal_action', error);
+          return;
+        }
+        break;
+      }
 
-        if (!result.success) {
-          send(ws, 'error', { message: result.error });
+      case 'undo_request':
+      case 'undo_response': {
+        if (isSpectator) {
+          sendError(ws, 'not_a_player', 'Spectators cannot play');
           return;
         }
 
-        currentRoom.gameState = result.newState;
-        
-        // Broadcast updated state
-        broadcastGameState(currentRoom);
+        if (!currentRoom || !currentRoom.gameState) {
+          sendError(ws, 'no_active_game', 'No active game');
+          return;
+        }
 
-        // Check for game end
-        if (currentRoom.gameState.phase === 'ended') {
-          const winner = getWinner(currentRoom.gameState);
-          currentRoom.players.forEach((player, index) => {
-            send(player.ws, 'game_ended', {
-              winner: winner.winnerId,
-              scores: winner.scores,
-              yourScore: winner.scores[index],
-              opponentScore: winner.scores[1 - index],
-              youWon: winner.winnerId === currentRoom.players[index].name,
-            });
-          });
+        const error = message.type === 'undo_request'
+          ? requestUndo(currentRoom, playerIndex)
+          : answerUndo(currentRoom, playerIndex, message.accept === true);
+        if (error) {
+          sendError(ws, 'undo_unavailable', error);
+          return;
         }
         break;
       }
 
       case 'rematch': {
-        if (!currentRoom || currentRoom.players.length !== 2) {
-          send(ws, 'error', { message: 'Cannot start rematch' });
+        if (isSpectator) {
+          sendError(ws, 'not_a_player', 'Spectators cannot play');
+          return;
+        }
+
+        if (!currentRoom || playerIndex === null || currentRoom.players.length < MIN_PLAYERS) {
+          sendError(ws, 'rematch_unavailable', 'Cannot start rematch');
+          return;
+        }
+
+        if (currentRoom.tournament) {
+          sendError(ws, 'rematch_unavailable', 'Tournament games are played once');
+          return;
+        }
+
+        // Computer opponents always agree, so an early request would throw the game away
+        if (currentRoom.gameState?.phase !== 'ended') {
+          sendError(ws, 'rematch_unavailable', 'The game is not over yet');
           return;
         }
 
         // Mark this player as ready for rematch
         currentRoom.players[playerIndex].wantsRematch = true;
 
-        // Check if both players want rematch
-        if (currentRoom.players.every(p => p.wantsRematch)) {
-          // Swap player order for fairness
-          const [p1, p2] = currentRoom.players;
-          currentRoom.players = [
-            { ...p2, wantsRematch: false },
-            { ...p1, wantsRematch: false }
-          ];
-          
-          // Update playerIndex for both
-          playerIndex = playerIndex === 0 ? 1 : 0;
+        // Check if everyone wants a rematch (computer opponents always do)
+        if (currentRoom.players.every(p => p.wantsRematch || p.bot)) {
+          // Rotate seats for fairness: the first player moves to the back
+          const [first, ...rest] = currentRoom.players;
+          currentRoom.players = [...rest, first].map(p => ({ ...p, wantsRematch: false }));
+          playerIndex = currentRoom.players.findIndex(p => p.ws === ws);
           
-          // Create new game
-          currentRoom.gameState = createGame(
-            currentRoom.players[0].name,
-            currentRoom.players[1].name
-          );
+          // Create new game (with a fresh seed, so rematches get a new deal)
+          startGame(currentRoom, null);
 
           currentRoom.players.forEach((player, index) => {
             send(player.ws, 'rematch_started', { playerIndex: index });
           });
           
           broadcastGameState(currentRoom);
+          scheduleBotTurn(currentRoom);
           console.log(`Rematch started in room ${currentRoom.code}`);
         } else {
-          // Notify opponent that this player wants rematch
-          const opponentIndex = 1 - playerIndex;
-          send(currentRoom.players[opponentIndex].ws, 'rematch_requested', {});
+          // Let everyone else know this player wants a rematch
+          sendToOthers(currentRoom, playerIndex, 'rematch_requested', {
+            name: currentRoom.players[playerIndex].name,
+          });
         }
         break;
       }
 
       case 'leave_room': {
-        if (currentRoom) {
-          // Notify other player
-          const otherPlayer = currentRoom.players.find((_, i) => i !== playerIndex);
-          if (otherPlayer?.ws) {
-            send(otherPlayer.ws, 'opponent_left', {});
+        if (currentRoom && isSpectator) {
+          removeSpectator(currentRoom, ws);
+          currentRoom = null;
+          isSpectator = false;
+        } else if (currentRoom && playerIndex !== null && currentRoom.tournament) {
+          leaveTournamentRoom(currentRoom, playerIndex);
+          currentRoom = null;
+          playerIndex = null;
+        } else if (currentRoom && playerIndex !== null) {
+          const leaving = currentRoom.players[playerIndex];
+
+          // Before the game starts the seat is simply freed; during a game
+          // it stays so everyone else's seat (and the game state) still lines up.
+          // Leaving a game in progress forfeits it; after the game the others
+          // are told, since no rematch will come.
+          if (currentRoom.gameState) {
+            leaving.ws = null;
+            leaving.token = null;
+            if (!forfeitLeaver(currentRoom, playerIndex)) {
+              sendToOthers(currentRoom, playerIndex, 'opponent_left', { name: leaving.name });
+            }
+          } else {
+            currentRoom.players.splice(playerIndex, 1);
+            broadcastLobby(currentRoom);
           }
-          
-          // Clean up room if empty
-          currentRoom.players = currentRoom.players.filter((_, i) => i !== playerIndex);
-          if (currentRoom.players.length === 0) {
-            rooms.delete(currentRoom.code);
+
+          // Clean up room if no humans are left (a freed seat has no token)
+          if (!currentRoom.players.some(p => !p.bot && p.token)) {
+            deleteRoom(currentRoom.code);
             console.log(`Room ${currentRoom.code} deleted`);
+          } else {
+            saveRoom(currentRoom);
           }
           
           currentRoom = null;
@@ -263,28 +1649,262 @@ wss.on('connection', (ws) => {
         break;
       }
 
+      case 'watch_lobby': {
+        lobbyWatchers.add(ws);
+        send(ws, 'room_list', { rooms: publicRoomList(rooms.values()) });
+        break;
+      }
+
+      case 'unwatch_lobby': {
+        lobbyWatchers.delete(ws);
+        break;
+      }
+
+      case 'quick_match': {
+        if (currentRoom) {
+          sendError(ws, 'already_in_room', 'Leave your current room first');
+          return;
+        }
+
+        const { name, error } = parsePlayerName(message.name, profile?.name ?? null);
+        if (error) {
+          sendError(ws, 'invalid_name', error);
+          return;
+        }
+
+        const entry = {
+          ws,
+          name,
+          profileId: profile?.id,
+          seat: (room, index) => {
+            stopSpectating();
+            lobbyWatchers.delete(ws);
+            currentRoom = room;
+            playerIndex = index;
+          },
+        };
+        const opponent = matchQueue.join(entry);
+        if (opponent) {
+          startQuickMatch(opponent, entry);
+        } else {
+          send(ws, 'match_queued', {});
+        }
+        break;
+      }
+
+      case 'cancel_match': {
+        matchQueue.leave(ws);
+        send(ws, 'match_cancelled', {});
+        break;
+      }
+
+      case 'chat': {
+        if (isSpectator) {
+          sendError(ws, 'not_a_player', 'Spectators can read the chat but not send messages');
+          return;
+        }
+
+        if (!currentRoom || playerIndex === null) {
+          sendError(ws, 'not_in_room', 'Not in a room');
+          return;
+        }
+
+        const { text, emote, error } = parseChat(message);
+        if (error) {
+          sendError(ws, 'invalid_chat', error);
+          return;
+        }
+
+        if (!allowChat(chatSentAt)) {
+          sendError(ws, 'rate_limited', 'You are sending messages too quickly');
+          return;
+        }
+
+        const sender = currentRoom.players[playerIndex];
+        broadcastChat(currentRoom, {
+          playerId: sender.id,
+          name: sender.name,
+          text,
+          emote,
+          sentAt: Date.now(),
+        });
+        break;
+      }
+
+      case 'recover_game': {
+        if (isSpectator || !currentRoom || playerIndex === null) {
+          sendError(ws, 'not_a_player', 'Only players can recover the game');
+          return;
+        }
+
+        if (!currentRoom.crashed) {
+          sendError(ws, 'no_active_game', 'The game is not paused');
+          return;
+        }
+
+        console.log(`${currentRoom.players[playerIndex].name} chose to ${message.choice} room ${currentRoom.code}`);
+        if (message.choice === 'retry') {
+          retryRoom(currentRoom);
+        } else {
+          abortRoom(currentRoom);
+          currentRoom = null;
+          playerIndex = null;
+        }
+        break;
+      }
+
+      case 'create_profile': {
+        const { name, error } = parsePlayerName(message.name, null);
+        if (error || !name) {
+          sendError(ws, 'invalid_name', error || 'Choose a name for your profile');
+          return;
+        }
+
+        const created = profiles.create(name);
+        profile = created.profile;
+        send(ws, 'signed_in', { profile, token: created.token });
+        console.log(`Profile created for ${name}`);
+        break;
+      }
+
+      case 'sign_in': {
+        const found = profiles.signIn(message.profileId, message.token);
+        if (!found) {
+          sendError(ws, 'invalid_profile', 'That profile was not found');
+          return;
+        }
+
+        profile = found;
+        send(ws, 'signed_in', { profile });
+        break;
+      }
+
+      case 'sign_out': {
+        profile = null;
+        send(ws, 'signed_out', {});
+        break;
+      }
+
+      case 'create_tournament': {
+        const participants = [];
+        for (const entry of message.participants) {
+          const { name, error } = parsePlayerName(entry, null);
+          if (error || !name) {
+            sendError(ws, 'invalid_name', error || 'Participant names cannot be blank');
+            return;
+          }
+          participants.push(name);
+        }
+        // Participants pick themselves out of the list by name
+        if (new Set(participants.map(name => name.toLowerCase())).size !== participants.length) {
+          sendError(ws, 'invalid_tournament', 'Every participant needs a different name');
+          return;
+        }
+
+        const name = (message.name || '').trim().slice(0, 40) || 'Tournament';
+        const { rules, timer, timeoutPolicy } = message;
+        const record = openTournament(name, message.format, participants, { rules, timer, timeoutPolicy });
+        send(ws, 'tournament_created', { code: record.code });
+        console.log(`Tournament ${record.code} created for ${participants.length} players (${message.format})`);
+        break;
+      }
+
+      case 'watch_tournament': {
+        const record = tournaments.get(message.code.toUpperCase());
+        if (!record) {
+          sendError(ws, 'tournament_not_found', 'Tournament not found');
+          return;
+        }
+
+        // A token from join_tournament identifies the watcher as their participant
+        const participant = message.token ? record.entrants.findIndex(e => e.token === message.token) : -1;
+        watchTournament(record, participant === -1 ? null : participant);
+        break;
+      }
+
+      case 'join_tournament': {
+        const record = tournaments.get(message.code.toUpperCase());
+        if (!record) {
+          sendError(ws, 'tournament_not_found', 'Tournament not found');
+          return;
+        }
+
+        const entrant = record.entrants[message.participant];
+        if (!entrant) {
+          sendError(ws, 'invalid_tournament', 'No such participant');
+          return;
+        }
+        if (entrant.token) {
+          sendError(ws, 'participant_taken', 'Someone has already joined as that player');
+          return;
+        }
+
+        entrant.token = generateSeatToken();
+        entrant.profileId = profile?.id ?? null;
+        // Games already waiting for this participant count for their profile too
+        const match = pendingMatch(record, message.participant);
+        const room = match && rooms.get(match.roomCode);
+        if (room && !room.gameState) {
+          room.players.find(p => p.token === match.token).profileId = entrant.profileId;
+          saveRoom(room);
+          waitForPlayers(room);
+        }
+        saveTournament(record);
+
+        const { participant } = message;
+        send(ws, 'tournament_joined', { code: record.code, participant, token: entrant.token });
+        watchTournament(record, participant);
+        broadcastTournament(record);
+        console.log(`${record.tournament.participants[participant].name} joined tournament ${record.code}`);
+        break;
+      }
+
       case 'ping': {
         send(ws, 'pong', {});
         break;
       }
     }
+  }
+
+  // An exception must not take down the server. Game logic pauses its own
+  // room (see applyAction and guardRoom); anything else that throws while
+  // handling a message only fails that message, and the game plays on.
+  ws.on('message', (data) => {
+    try {
+      handleMessage(data);
+    } catch (error) {
+      reportError(currentRoom, error, { message: String(data).slice(0, 500), seat: playerIndex });
+      sendError(ws, 'server_error', 'Something went wrong on the server');
+    }
   });
 
   ws.on('close', () => {
     console.log('Client disconnected');
+    lobbyWatchers.delete(ws);
+    matchQueue.leave(ws);
+    tournamentWatch?.record.watchers.delete(tournamentWatch.watcher);
     
-    if (currentRoom) {
-      // Notify other player
-      const otherPlayer = currentRoom.players.find((_, i) => i !== playerIndex);
-      if (otherPlayer?.ws && otherPlayer.ws.readyState === 1) {
-        send(otherPlayer.ws, 'opponent_disconnected', {});
+    if (currentRoom && isSpectator) {
+      removeSpectator(currentRoom, ws);
+    } else if (currentRoom) {
+      // Look the seat up by socket: a rematch may have swapped seats, and a
+      // rejoin may already have bound a newer socket to this seat
+      const seat = currentRoom.players.findIndex(p => p.ws === ws);
+      if (seat === -1) {
+        return;
       }
+
+      // Notify the other players
+      sendToOthers(currentRoom, seat, 'opponent_disconnected', { name: currentRoom.players[seat].name });
       
-      // Mark this player as disconnected but don't remove yet (allow reconnect)
-      if (currentRoom.players[playerIndex]) {
-        currentRoom.players[playerIndex].ws = null;
-        currentRoom.players[playerIndex].disconnectedAt = Date.now();
+      // Mark this player as disconnected but keep the seat (rejoin_room reclaims it).
+      // A tournament player who drops before the game starts is no longer here for it.
+      currentRoom.players[seat].ws = null;
+      currentRoom.players[seat].disconnectedAt = Date.now();
+      if (currentRoom.tournament) {
+        currentRoom.players[seat].arrived = false;
       }
+      withdrawUndoApprover(currentRoom, seat);
     }
   });
 
@@ -293,13 +1913,77 @@ wss.on('connection', (ws) => {
   });
 });
 
+// Download the replay of a room's finished game
+app.get('/replay/:code', (req, res) => {
+  const room = rooms.get(req.params.code.toUpperCase());
+  if (!room || !room.gameState) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+  // Replays reveal every hand, so only hand them out once the game is over
+  if (room.gameState.phase !== 'ended') {
+    res.status(409).json({ error: 'Game is still in progress' });
+    return;
+  }
+
+  const replay = createReplayFromState(room.gameState, room.players.map(p => p.name));
+  res.attachment(`mandala-${room.code}-${room.gameState.seed}.json`);
+  res.json(replay);
+});
+
+// Build a replay file from a seed and an action list (or a recorded history)
+app.post('/replay', (req, res) => {
+  const { seed, players, rules, actions, history, forfeit } = req.body || {};
+  if (seed === undefined || (!Array.isArray(actions) && !Array.isArray(history))) {
+    res.status(400).json({ error: 'A seed and an actions or history list are required' });
+    return;
+  }
+
+  try {
+    const replay = createReplay({ seed, players, rules, actions, history, forfeit });
+    res.attachment(`mandala-${seed}.json`);
+    res.json(replay);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// A player's profile: record, rating and recent games
+app.get('/profiles/:id', (req, res) => {
+  const found = profiles.get(req.params.id);
+  if (!found) {
+    res.status(404).json({ error: 'Profile not found' });
+    return;
+  }
+  res.json(found);
+});
+
+// The rating ladder
+app.get('/ladder', (req, res) => {
+  res.json({ players: profiles.ladder() });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', rooms: rooms.size });
+  const all = [...rooms.values()];
+  res.json({
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    rooms: rooms.size,
+    activeGames: all.filter(room => room.gameState && room.gameState.phase !== 'ended' && !room.crashed).length,
+    pausedGames: all.filter(room => room.crashed).length,
+    tournaments: [...tournaments.values()].filter(record => record.tournament.status === 'running').length,
+    connections: wss.clients.size,
+    errors: errorStats,
+  });
 });
 
 // Start server
+restoreRooms();
+restoreTournaments();
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`Mandala Game Server running on port ${PORT}`);
+  // PORT=0 picks a free port; the tests read it from this line
+  console.log(`Mandala Game Server running on port ${server.address().port}`);
 });
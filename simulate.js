@@ -0,0 +1,369 @@
+// Mandala Simulation Harness
+// Plays seeded games between strategies headlessly (no server, no browser)
+// and reports balance statistics.
+//
+// Usage:
+//   node simulate.js [options]
+//
+//   --games N         Number of games to play (default 100)
+//   --seed S          Base seed; game i is dealt from seed "S-i" (default random)
+//   --p1 STRATEGY     Strategy in seat 1, which moves first (default medium)
+//   --p2 STRATEGY     Strategy in seat 2 (default medium)
+//   --p3, --p4        Strategies for seats 3 and 4 in three- and four-player games
+//   --swap            Rotate seats every game so each strategy moves first equally often
+//   --rules PRESET    House-rule preset from game.js RULE_PRESETS (default standard)
+//   --max-actions N   Give up on a game after N actions (default 2000)
+//   --json FILE       Write the full report (summary and every game) as JSON
+//   --csv FILE        Write one row per game as CSV
+//   --help            Print these usage notes
+//
+// Without --json or --csv the summary is printed to stdout as JSON.
+//
+// A strategy is a computer opponent level from bot.js (easy, medium, hard)
+// or a path to an ES module exporting chooseAction(view, playerIndex) (or a
+// default export with that signature). It receives getPlayerView output and
+// returns an action object for performAction. Seeds fix the deal and every
+// reshuffle; strategies that use Math.random still vary between runs.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  createGame,
+  performAction,
+  getValidActions,
+  getPlayerView,
+  getWinner,
+  generateSeed,
+  RULE_PRESETS,
+  DEFAULT_RULE_PRESET,
+} from './game.js';
+import { BOT_LEVELS, chooseBotAction } from './bot.js';
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+// ============================================
+// STRATEGIES
+// ============================================
+
+/**
+ * Resolve a strategy name to { name, chooseAction }.
+ */
+export async function loadStrategy(spec) {
+  if (BOT_LEVELS[spec]) {
+    return { name: spec, chooseAction: (view) => chooseBotAction(view, spec) };
+  }
+
+  const module = await import(pathToFileURL(resolve(spec)).href);
+  const chooseAction = module.chooseAction || module.default;
+  if (typeof chooseAction !== 'function') {
+    throw new Error(`Strategy module ${spec} must export chooseAction(view, playerIndex)`);
+  }
+  return { name: spec, chooseAction };
+}
+
+// ============================================
+// PLAYING GAMES
+// ============================================
+
+function hasValidAction(state) {
+  return Object.values(getValidActions(state)).some((options) => options.length > 0);
+}
+
+/**
+ * Play one game between 2-4 strategies, one per seat (seat 0 moves first).
+ * Returns a plain result row; a strategy that picks an illegal action throws.
+ */
+export function simulateGame(strategies, seed, { maxActions = 2000, rules } = {}) {
+  let state = createGame(strategies.map((_, seat) => String(seat)), { seed, rules });
+  const actionCounts = strategies.map(() => ({}));
+  let actions = 0;
+
+  while (state.phase !== 'ended' && actions < maxActions && hasValidAction(state)) {
+    const seat = state.currentPlayerIndex;
+    const action = strategies[seat].chooseAction(getPlayerView(state, seat), seat);
+    const result = action ? performAction(state, action) : { success: false, error: 'no action chosen' };
+    if (!result.success) {
+      throw new Error(
+        `Strategy ${strategies[seat].name} made an illegal move in game with seed ${seed}: ${result.error}`
+      );
+    }
+    actionCounts[seat][action.type] = (actionCounts[seat][action.type] || 0) + 1;
+    state = result.newState;
+    actions++;
+  }
+
+  const winner = getWinner(state);
+  return {
+    seed,
+    strategies: strategies.map((s) => s.name),
+    // Games that hit the action limit or run out of legal moves have no winner
+    finished: winner !== null,
+    winner: winner ? winner.winnerIndex : null,
+    scores: winner ? winner.scores : null,
+    turns: state.turnNumber,
+    actions,
+    endGameTrigger: state.endGameTrigger,
+    actionCounts,
+  };
+}
+
+/**
+ * Play a batch of games and summarize them.
+ */
+export function runSimulation({
+  strategies,
+  games = 100,
+  seed = generateSeed(),
+  swap = false,
+  maxActions = 2000,
+  rulesPreset = DEFAULT_RULE_PRESET,
+}) {
+  const preset = RULE_PRESETS[rulesPreset];
+  if (!preset) {
+    throw new Error(`Unknown rules preset: ${rulesPreset}`);
+  }
+  const results = [];
+  for (let i = 0; i < games; i++) {
+    const shift = swap ? i % strategies.length : 0;
+    const seats = strategies.map((_, seat) => strategies[(seat + shift) % strategies.length]);
+    results.push(simulateGame(seats, `${seed}-${i}`, { maxActions, rules: preset.rules }));
+  }
+  return {
+    config: {
+      games,
+      seed,
+      swap,
+      maxActions,
+      rules: rulesPreset,
+      strategies: strategies.map((s) => s.name),
+    },
+    summary: summarize(results),
+    games: results,
+  };
+}
+
+// ============================================
+// STATISTICS
+// ============================================
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const position = (sorted.length - 1) * q;
+  const low = Math.floor(position);
+  const high = Math.ceil(position);
+  return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+}
+
+function round(value, places = 3) {
+  return value === null ? null : Number(value.toFixed(places));
+}
+
+/**
+ * Mean, spread and a value -> count histogram for a list of numbers.
+ */
+export function describeDistribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = count ? sorted.reduce((sum, v) => sum + v, 0) / count : null;
+  const variance = count ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / count : null;
+  const histogram = {};
+  sorted.forEach((v) => {
+    histogram[v] = (histogram[v] || 0) + 1;
+  });
+
+  return {
+    count,
+    mean: round(mean),
+    stdDev: round(variance === null ? null : Math.sqrt(variance)),
+    min: count ? sorted[0] : null,
+    p25: round(quantile(sorted, 0.25)),
+    median: round(quantile(sorted, 0.5)),
+    p75: round(quantile(sorted, 0.75)),
+    max: count ? sorted[count - 1] : null,
+    histogram,
+  };
+}
+
+function tally(items) {
+  const counts = {};
+  items.forEach((item) => {
+    counts[item] = (counts[item] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Aggregate per-game results: win rates per strategy and per seat, score
+ * distributions, game length in turns, end-game triggers and action mix.
+ */
+export function summarize(results) {
+  const finished = results.filter((r) => r.finished);
+  const names = [...new Set(results.flatMap((r) => r.strategies))];
+
+  const byStrategy = {};
+  names.forEach((name) => {
+    const seatsPlayed = results.flatMap((r) =>
+      r.strategies.map((s, seat) => (s === name ? { r, seat } : null)).filter(Boolean)
+    );
+    const finishedSeats = seatsPlayed.filter(({ r }) => r.finished);
+    const wins = finishedSeats.filter(({ r, seat }) => r.winner === seat).length;
+    const actionCounts = {};
+    seatsPlayed.forEach(({ r, seat }) => {
+      Object.entries(r.actionCounts[seat]).forEach(([type, n]) => {
+        actionCounts[type] = (actionCounts[type] || 0) + n;
+      });
+    });
+
+    byStrategy[name] = {
+      games: seatsPlayed.length,
+      wins,
+      losses: finishedSeats.length - wins,
+      winRate: finishedSeats.length ? round(wins / finishedSeats.length) : null,
+      scores: describeDistribution(finishedSeats.map(({ r, seat }) => r.scores[seat])),
+      actionCounts,
+    };
+  });
+
+  const seats = range(results[0]?.strategies.length ?? 0);
+  const seatWins = seats.map((seat) => finished.filter((r) => r.winner === seat).length);
+  // How far the winner finished ahead of the runner-up
+  const margin = (scores) => {
+    const [first, second] = [...scores].sort((a, b) => b - a);
+    return first - second;
+  };
+  return {
+    games: results.length,
+    finished: finished.length,
+    unfinished: results.length - finished.length,
+    strategies: byStrategy,
+    seats: seats.map((seat) => ({
+      seat: seat + 1,
+      wins: seatWins[seat],
+      winRate: finished.length ? round(seatWins[seat] / finished.length) : null,
+      scores: describeDistribution(finished.map((r) => r.scores[seat])),
+    })),
+    scoreMargin: describeDistribution(finished.map((r) => margin(r.scores))),
+    turns: describeDistribution(finished.map((r) => r.turns)),
+    endGameTriggers: tally(finished.map((r) => r.endGameTrigger)),
+  };
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per game; the winner column holds the winning strategy's name.
+ */
+export function toCsv(results) {
+  const seats = range(results[0]?.strategies.length ?? 0);
+  const columns = [
+    'game',
+    'seed',
+    ...seats.map((seat) => `seat${seat + 1}`),
+    'winner',
+    ...seats.map((seat) => `score${seat + 1}`),
+    'turns',
+    'actions',
+    'endGameTrigger',
+  ];
+  const rows = results.map((r, i) => [
+    i,
+    r.seed,
+    ...r.strategies,
+    r.finished ? r.strategies[r.winner] : '',
+    ...seats.map((seat) => r.scores?.[seat]),
+    r.turns,
+    r.actions,
+    r.endGameTrigger,
+  ]);
+  return [columns, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const key = arg.slice(2);
+    if (key === 'swap' || key === 'help') {
+      options[key] = true;
+    } else if (i + 1 < argv.length) {
+      options[key] = argv[++i];
+    } else {
+      throw new Error(`Missing value for ${arg}`);
+    }
+  }
+  return options;
+}
+
+// The usage notes at the top of this file, for --help
+function usage() {
+  const lines = readFileSync(fileURLToPath(import.meta.url), 'utf8').split('\n');
+  const start = lines.findIndex((line) => line.startsWith('// Usage:'));
+  const end = lines.findIndex((line) => !line.startsWith('//'));
+  return lines.slice(start, end).map((line) => line.replace(/^\/\/ ?/, '')).join('\n').trim();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(usage());
+    return;
+  }
+  const games = Number(args.games ?? 100);
+  const maxActions = Number(args['max-actions'] ?? 2000);
+  if (!Number.isInteger(games) || games < 1 || !Number.isInteger(maxActions) || maxActions < 1) {
+    throw new Error('--games and --max-actions must be positive integers');
+  }
+
+  const specs = [args.p1 || 'medium', args.p2 || 'medium', args.p3, args.p4].filter(Boolean);
+  const strategies = [];
+  for (const spec of specs) {
+    strategies.push(await loadStrategy(spec));
+  }
+  const report = runSimulation({
+    strategies,
+    games,
+    seed: args.seed ?? generateSeed(),
+    swap: !!args.swap,
+    maxActions,
+    rulesPreset: args.rules,
+  });
+
+  if (args.json) {
+    writeFileSync(args.json, JSON.stringify(report, null, 2));
+  }
+  if (args.csv) {
+    writeFileSync(args.csv, toCsv(report.games));
+  }
+  if (!args.json && !args.csv) {
+    console.log(JSON.stringify({ config: report.config, summary: report.summary }, null, 2));
+  } else {
+    const { strategies: byStrategy } = report.summary;
+    Object.entries(byStrategy).forEach(([name, s]) => {
+      console.log(`${name}: ${s.wins}/${s.games} wins (${s.winRate})`);
+    });
+  }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,218 @@
+// Mandala Storage
+// Saves rooms so games survive server restarts, plus player profiles, the
+// history of finished matches and tournaments
+
+import { mkdirSync, readdirSync, readFileSync, writeFileSync, renameSync, rmSync } from 'fs';
+import { join } from 'path';
+
+// Every storage backend implements the same methods:
+//   saveRoom(record)       - insert or replace a room record (keyed by record.code)
+//   deleteRoom(code)       - forget a room
+//   loadRooms()            - all saved room records
+//   saveProfile(profile)   - insert or replace a player profile (keyed by profile.id)
+//   loadProfiles()         - all saved profiles
+//   saveMatch(match)       - add a finished match to the history (keyed by match.id)
+//   loadMatches()          - every recorded match
+//   saveTournament(record) - insert or replace a tournament (keyed by record.code)
+//   loadTournaments()      - all saved tournaments
+//
+// Records are plain JSON: no sockets, timers or other live objects. Profiles
+// and matches are built by profiles.js, tournaments by server.js.
+
+// ============================================
+// ROOM RECORDS
+// ============================================
+
+/**
+ * Strip a live room down to what needs to survive a restart.
+ */
+export function toRoomRecord(room) {
+  return {
+    code: room.code,
+    players: room.players.map(({ id, name, token, bot, profileId, wantsRematch }) => ({
+      id,
+      name,
+      token,
+      bot,
+      profileId,
+      wantsRematch,
+    })),
+    gameState: room.gameState,
+    gameStartedAt: room.gameStartedAt,
+    tournament: room.tournament,
+    seed: room.seed,
+    maxPlayers: room.maxPlayers,
+    memoryHelper: room.memoryHelper,
+    casual: room.casual,
+    rulesPreset: room.rulesPreset,
+    public: room.public,
+    timer: room.timer || null,
+    createdAt: room.createdAt,
+    savedAt: Date.now(),
+  };
+}
+
+/**
+ * Rebuild a live room from a saved record. Every human starts disconnected
+ * and reclaims their seat with rejoin_room.
+ */
+export function fromRoomRecord(record) {
+  const now = Date.now();
+  return {
+    code: record.code,
+    players: record.players.map((p, index) => ({
+      // Rooms saved before players had ids were keyed by name
+      id: p.id ?? record.gameState?.players[index]?.id ?? p.name,
+      ...p,
+      ws: null,
+      disconnectedAt: p.bot ? undefined : now,
+    })),
+    spectators: [],
+    // Takeback history is not saved: a restart makes earlier moves final
+    undoStack: [],
+    gameState: record.gameState,
+    gameStartedAt: record.gameStartedAt,
+    // { code, round, pairing } for a tournament game
+    tournament: record.tournament ?? null,
+    seed: record.seed,
+    maxPlayers: record.maxPlayers || 2,
+    memoryHelper: record.memoryHelper !== false,
+    casual: record.casual === true,
+    rulesPreset: record.rulesPreset,
+    public: record.public === true,
+    timer: record.timer || null,
+    createdAt: record.createdAt,
+  };
+}
+
+// ============================================
+// IN-MEMORY STORAGE (tests, throwaway servers)
+// ============================================
+
+export function createMemoryStorage() {
+  const records = new Map();
+  const profiles = new Map();
+  const matches = [];
+  const tournaments = new Map();
+  return {
+    saveRoom(record) {
+      records.set(record.code, structuredClone(record));
+    },
+    deleteRoom(code) {
+      records.delete(code);
+    },
+    loadRooms() {
+      return [...records.values()].map((r) => structuredClone(r));
+    },
+    saveProfile(profile) {
+      profiles.set(profile.id, structuredClone(profile));
+    },
+    loadProfiles() {
+      return [...profiles.values()].map((p) => structuredClone(p));
+    },
+    saveMatch(match) {
+      matches.push(structuredClone(match));
+    },
+    loadMatches() {
+      return matches.map((m) => structuredClone(m));
+    },
+    saveTournament(record) {
+      tournaments.set(record.code, structuredClone(record));
+    },
+    loadTournaments() {
+      return [...tournaments.values()].map((t) => structuredClone(t));
+    },
+  };
+}
+
+// ============================================
+// FILE STORAGE (default)
+// ============================================
+
+/**
+ * A directory of JSON files, one per record. Writes go to a temporary file
+ * first and are renamed into place, so a crash never leaves half a record.
+ */
+function createJsonDirectory(dir, kind) {
+  mkdirSync(dir, { recursive: true });
+  const fileFor = (key) => join(dir, `${key}.json`);
+
+  return {
+    save(key, record) {
+      const file = fileFor(key);
+      writeFileSync(`${file}.tmp`, JSON.stringify(record));
+      renameSync(`${file}.tmp`, file);
+    },
+    delete(key) {
+      rmSync(fileFor(key), { force: true });
+    },
+    loadAll() {
+      const records = [];
+      for (const name of readdirSync(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          records.push(JSON.parse(readFileSync(join(dir, name), 'utf8')));
+        } catch (e) {
+          console.error(`Skipping unreadable ${kind} file ${name}:`, e.message);
+        }
+      }
+      return records;
+    },
+  };
+}
+
+/**
+ * Rooms as JSON files in the given directory, with profiles, matches and
+ * tournaments in its profiles/, matches/ and tournaments/ subdirectories.
+ */
+export function createFileStorage(dir) {
+  const rooms = createJsonDirectory(dir, 'room');
+  const profiles = createJsonDirectory(join(dir, 'profiles'), 'profile');
+  const matches = createJsonDirectory(join(dir, 'matches'), 'match');
+  const tournaments = createJsonDirectory(join(dir, 'tournaments'), 'tournament');
+
+  return {
+    saveRoom(record) {
+      rooms.save(record.code, record);
+    },
+    deleteRoom(code) {
+      rooms.delete(code);
+    },
+    loadRooms() {
+      return rooms.loadAll();
+    },
+    saveProfile(profile) {
+      profiles.save(profile.id, profile);
+    },
+    loadProfiles() {
+      return profiles.loadAll();
+    },
+    saveMatch(match) {
+      matches.save(match.id, match);
+    },
+    loadMatches() {
+      return matches.loadAll();
+    },
+    saveTournament(record) {
+      tournaments.save(record.code, record);
+    },
+    loadTournaments() {
+      return tournaments.loadAll();
+    },
+  };
+}
+
+// ============================================
+// FACTORY
+// ============================================
+
+export function createStorage(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'file':
+      return createFileStorage(options.dir);
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
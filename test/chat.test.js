@@ -0,0 +1,60 @@
+// Tests for chat message checks and rate limiting in chat.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_CHAT_LENGTH,
+  CHAT_RATE_LIMIT,
+  CHAT_RATE_WINDOW,
+  QUICK_EMOTES,
+  parseChat,
+  allowChat,
+} from '../chat.js';
+
+describe('Chat messages', () => {
+  test('text is tidied onto one line', () => {
+    assert.deepEqual(parseChat({ text: '  good\n\tgame\u0007 ' }), { text: 'good game', emote: null });
+  });
+
+  test('an emote key is sent as its text', () => {
+    assert.deepEqual(parseChat({ emote: 'gg' }), { text: QUICK_EMOTES.gg, emote: 'gg' });
+    assert.ok(parseChat({ emote: 'toString' }).error);
+  });
+
+  test('empty, non-text and overlong messages are refused', () => {
+    assert.ok(parseChat({ text: ' \n ' }).error);
+    assert.ok(parseChat({ text: 7 }).error);
+    assert.ok(parseChat({}).error);
+    assert.ok(parseChat({ text: 'x'.repeat(MAX_CHAT_LENGTH + 1) }).error);
+    assert.equal(parseChat({ text: 'x'.repeat(MAX_CHAT_LENGTH) }).error, undefined);
+  });
+});
+
+describe('Chat rate limit', () => {
+  test(`allows ${CHAT_RATE_LIMIT} messages per window`, () => {
+    const sentAt = [];
+    for (let i = 0; i < CHAT_RATE_LIMIT; i++) {
+      assert.equal(allowChat(sentAt, 1000 + i), true);
+    }
+    assert.equal(allowChat(sentAt, 1000 + CHAT_RATE_LIMIT), false);
+  });
+
+  test('the window slides: each old message frees a slot as it expires', () => {
+    const sentAt = [];
+    for (let i = 0; i < CHAT_RATE_LIMIT; i++) {
+      allowChat(sentAt, i * 1000);
+    }
+    assert.equal(allowChat(sentAt, CHAT_RATE_WINDOW - 1), false);
+    assert.equal(allowChat(sentAt, CHAT_RATE_WINDOW), true);
+    assert.equal(allowChat(sentAt, CHAT_RATE_WINDOW + 1), false);
+  });
+
+  test('refused messages do not count against the limit', () => {
+    const sentAt = [];
+    for (let i = 0; i < CHAT_RATE_LIMIT * 3; i++) {
+      allowChat(sentAt, i);
+    }
+    assert.equal(sentAt.length, CHAT_RATE_LIMIT);
+    assert.equal(allowChat(sentAt, CHAT_RATE_WINDOW), true);
+  });
+});
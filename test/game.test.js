@@ -0,0 +1,683 @@
+// Golden scenarios for the rules engine: small hand-built positions played
+// action by action, checking the state after each step
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canPlayColorToMountain,
+  canPlayColorToField,
+  checkCardConservation,
+  createGame,
+  drawCards,
+  getLegalMoves,
+  getPlayerView,
+  getScoreBreakdown,
+  getSpectatorView,
+  getWinner,
+  forfeitGame,
+  isFinalRound,
+  performAction,
+} from '../game.js';
+import { scenario, notate, pick, letters, play, attempt, parseAction } from './scenario.js';
+
+// ============================================
+// RULE OF COLOR
+// ============================================
+
+describe('Rule of Color', () => {
+  const state = scenario({
+    hands: ['RROYGK', 'P'],
+    mandalas: [{ mountain: 'Y', fields: ['O', 'G'] }, {}],
+  });
+  const mandala = state.mandalas[0];
+
+  test('a color in any field keeps it out of the mountain', () => {
+    assert.equal(canPlayColorToMountain(mandala, 'orange'), false);
+    assert.equal(canPlayColorToMountain(mandala, 'green'), false);
+    assert.match(attempt(state, 'mountain 0 O').error, /Rule of Color/);
+    assert.match(attempt(state, 'mountain 0 G').error, /Rule of Color/);
+  });
+
+  test('the mountain takes new colors and colors it already holds', () => {
+    assert.equal(canPlayColorToMountain(mandala, 'red'), true);
+    assert.equal(canPlayColorToMountain(mandala, 'yellow'), true);
+    assert.deepEqual(pick(play(state, 'mountain 0 Y'), 'mandalas').mandalas[0].mountain, 'YY');
+  });
+
+  test('a color in the mountain keeps it out of every field', () => {
+    assert.equal(canPlayColorToField(mandala, 0, 'yellow'), false);
+    assert.equal(canPlayColorToField(mandala, 1, 'yellow'), false);
+    assert.match(attempt(state, 'field 0 Y').error, /Rule of Color/);
+  });
+
+  test("a color in an opponent's field keeps it out of yours", () => {
+    assert.equal(canPlayColorToField(mandala, 0, 'green'), false);
+    assert.match(attempt(state, 'field 0 G').error, /Rule of Color/);
+  });
+
+  test('your own field takes more of its colors', () => {
+    assert.equal(canPlayColorToField(mandala, 0, 'orange'), true);
+    const after = play(state, 'field 0 O');
+    assert.deepEqual(after.mandalas[0].fields.map((f) => letters(f)), ['OO', 'G']);
+  });
+
+  test('fields in another mandala are not affected', () => {
+    assert.deepEqual(pick(play(state, 'field 1 G'), 'mandalas').mandalas[1].fields, ['G', '']);
+  });
+
+  test('with three players every other field counts', () => {
+    const three = scenario({
+      hands: ['RK', 'O', 'Y'],
+      mandalas: [{ fields: ['', '', 'K'] }, {}],
+    });
+    assert.match(attempt(three, 'field 0 K').error, /Rule of Color/);
+    assert.match(attempt(three, 'mountain 0 K').error, /Rule of Color/);
+  });
+});
+
+// ============================================
+// TURN ACTIONS
+// ============================================
+
+describe('Build Mountain', () => {
+  test('draws three cards and passes the turn', () => {
+    const state = scenario({ hands: ['RO', 'K'], deck: 'GGPY' });
+    const after = play(state, 'mountain 0 R');
+    assert.deepEqual(pick(after, 'hands', 'deck', 'current'), {
+      hands: ['OGGP', 'K'],
+      deck: 'Y',
+      current: 1,
+    });
+    assert.deepEqual(after.mandalas[0].mountain.map((c) => c.color), ['red']);
+    assert.equal(after.lastMandalaPlayerIndex, 0);
+    assert.equal(after.turnNumber, 2);
+  });
+
+  test('only draws up to the hand limit of eight', () => {
+    const state = scenario({ hands: ['RRRRRRO', 'K'], deck: 'GGGG' });
+    const after = play(state, 'mountain 1 O');
+    assert.deepEqual(pick(after, 'hands', 'deck'), { hands: ['RRRRRRGG', 'K'], deck: 'GG' });
+  });
+
+  test('draws a single card from a full hand', () => {
+    const state = scenario({ hands: ['RRRRRRRO', 'K'], deck: 'GGGG' });
+    const after = play(state, 'mountain 0 R');
+    assert.deepEqual(pick(after, 'hands', 'deck'), { hands: ['RRRRRROG', 'K'], deck: 'GGG' });
+  });
+
+  test('house rules change how many cards are drawn', () => {
+    const state = scenario({ hands: ['RO', 'K'], deck: 'GGPY', rules: { mountainDraw: 2 } });
+    assert.deepEqual(pick(play(state, 'mountain 0 R'), 'hands').hands, ['OGG', 'K']);
+  });
+});
+
+describe('Grow Field', () => {
+  test('plays several cards of one color without drawing', () => {
+    const state = scenario({ hands: ['RRRO', 'K'], deck: 'GG' });
+    const after = play(state, 'field 1 RR');
+    assert.deepEqual(pick(after, 'hands', 'deck', 'current'), { hands: ['RO', 'K'], deck: 'GG', current: 1 });
+    assert.deepEqual(after.mandalas[1].fields.map((f) => letters(f)), ['RR', '']);
+  });
+
+  test('must keep at least one card in hand', () => {
+    const state = scenario({ hands: ['RR', 'K'] });
+    assert.equal(attempt(state, 'field 0 RR').error, 'Must keep at least 1 card in hand');
+  });
+
+  test('cannot mix colors', () => {
+    const state = scenario({ hands: ['RRO', 'K'] });
+    assert.equal(attempt(state, 'field 0 RO').error, 'All cards must be the same color');
+  });
+});
+
+describe('Discard and redraw', () => {
+  test('discards one color and draws as many cards', () => {
+    const state = scenario({ hands: ['RRO', 'K'], deck: 'GYP' });
+    const after = play(state, 'discard RR');
+    assert.deepEqual(pick(after, 'hands', 'deck', 'discard', 'current'), {
+      hands: ['OYG', 'K'],
+      deck: 'P',
+      discard: 'RR',
+      current: 1,
+    });
+  });
+});
+
+describe('Malformed actions', () => {
+  // Actions come off the network: bad shapes are rejected, never thrown on
+  const state = scenario({ hands: ['RRO', 'K'] });
+  const [red] = state.players[0].hand;
+  const errorFor = (action) => performAction(state, action).error;
+
+  test('a mandala that does not exist', () => {
+    for (const mandalaIndex of [5, -1, '0', undefined]) {
+      assert.equal(errorFor({ type: 'build_mountain', cardId: red.id, mandalaIndex }), 'No such mandala');
+      assert.equal(errorFor({ type: 'grow_field', cardIds: [red.id], mandalaIndex }), 'No such mandala');
+    }
+  });
+
+  test('card lists that are not lists', () => {
+    assert.equal(errorFor({ type: 'grow_field', cardIds: red.id, mandalaIndex: 0 }), 'Must play at least one card');
+    assert.equal(errorFor({ type: 'discard_redraw', cardIds: {} }), 'Must discard at least one card');
+  });
+
+  test('the same card twice', () => {
+    const twice = [red.id, red.id];
+    assert.equal(errorFor({ type: 'grow_field', cardIds: twice, mandalaIndex: 0 }), 'The same card was chosen twice');
+    assert.equal(errorFor({ type: 'discard_redraw', cardIds: twice }), 'The same card was chosen twice');
+  });
+
+  test('card ids that are not strings', () => {
+    const notText = 'Card ids must be strings';
+    assert.equal(errorFor({ type: 'grow_field', cardIds: [red.id, 7], mandalaIndex: 0 }), notText);
+    assert.equal(errorFor({ type: 'discard_redraw', cardIds: [{ id: red.id }] }), notText);
+    assert.equal(errorFor({ type: 'build_mountain', cardId: null, mandalaIndex: 0 }), 'Card not in hand');
+  });
+
+  test('no action at all', () => {
+    assert.equal(errorFor(null), 'Unknown action type');
+    assert.equal(errorFor({ type: 'pass' }), 'Unknown action type');
+  });
+});
+
+describe('Card conservation', () => {
+  const state = scenario({ hands: ['RRO', 'K'], deck: 'GY' });
+
+  test('accepts every legal move', () => {
+    for (const action of ['mountain 0 R', 'field 1 RR', 'discard O']) {
+      assert.equal(checkCardConservation(play(state, action)), null, action);
+    }
+  });
+
+  test('a claimed river marker accounts for the card that left play', () => {
+    const before = play(scenario({
+      hands: ['KK', 'KK'],
+      mandalas: [{ mountain: 'RROY', fields: ['G', 'P'] }, {}],
+      deck: 'GGGOO',
+    }), 'mountain 0 K');
+    assert.equal(checkCardConservation(play(before, 'claim R')), null);
+  });
+
+  test('a new game deals the whole box', () => {
+    assert.equal(checkCardConservation(createGame(['p1', 'p2', 'p3'], { seed: 1 })), null);
+    const short = createGame(['p1', 'p2'], { seed: 1, rules: { cardsPerColor: 10 } });
+    assert.equal(checkCardConservation(short), null);
+  });
+
+  test('catches cards that are lost, added or copied', () => {
+    const lost = structuredClone(state);
+    lost.players[0].hand.pop();
+    assert.equal(checkCardConservation(lost), 'expected 108 cards, found 107');
+
+    const added = structuredClone(state);
+    added.deck.push({ id: 'red-99', color: 'red' });
+    assert.equal(checkCardConservation(added), 'expected 108 cards, found 109');
+
+    const copied = structuredClone(state);
+    copied.discardPile.push(copied.players[0].hand[0]);
+    assert.equal(checkCardConservation(copied), 'card red-0 is in two places');
+  });
+
+  test('a game that is already missing a card takes no more moves', () => {
+    const corrupted = structuredClone(state);
+    corrupted.deck.pop();
+    const result = attempt(corrupted, 'mountain 0 R');
+    assert.equal(result.success, false);
+    assert.match(result.error, /lose track of cards: expected 108 cards, found 107/);
+    assert.equal(result.newState, corrupted);
+  });
+
+  test('hidden cards in a player view are only counted', () => {
+    const view = getPlayerView(state, 0);
+    assert.ok(performAction(view, parseAction(view, 'mountain 0 R')).success);
+  });
+});
+
+describe('getLegalMoves', () => {
+  test('groups the options by mandala with the most cards a field can take', () => {
+    // Red is in mandala 0's mountain, so it can only grow a field in mandala 1
+    const state = scenario({ hands: ['RRRO', 'K'], mandalas: [{ mountain: 'R' }, {}] });
+    const [red, , , orange] = state.players[0].hand;
+    const moves = getLegalMoves(state);
+    assert.deepEqual(moves.mandalas[0].field, { orange: 1 });
+    assert.deepEqual(moves.mandalas[1].field, { red: 3, orange: 1 });
+    assert.ok(moves.mandalas[0].mountain.includes(red.id));
+    assert.ok(moves.mandalas[1].mountain.includes(orange.id));
+    assert.deepEqual(moves.discard, ['red', 'orange']);
+    assert.deepEqual(moves.claim, []);
+  });
+
+  test('explains why a color cannot be played', () => {
+    const state = scenario({ hands: ['RO', 'K'], mandalas: [{ mountain: 'R', fields: ['', 'O'] }, {}] });
+    const { blocked } = getLegalMoves(state).mandalas[0];
+    assert.deepEqual(blocked.mountain, { orange: 'Cannot play orange to this mountain (Rule of Color)' });
+    assert.deepEqual(blocked.field, {
+      red: 'Cannot play red to this field (Rule of Color)',
+      orange: 'Cannot play orange to this field (Rule of Color)',
+    });
+  });
+
+  test('a last card can only build a mountain', () => {
+    const { blocked, field } = getLegalMoves(scenario({ hands: ['R', 'K'] })).mandalas[0];
+    assert.deepEqual(field, {});
+    assert.deepEqual(blocked.field, { red: 'Must keep at least 1 card in hand' });
+  });
+
+  test('lists the colors left to claim', () => {
+    const state = play(scenario({
+      hands: ['KK', 'KK'],
+      mandalas: [{ mountain: 'RROY', fields: ['G', 'P'] }, {}],
+      deck: 'GGGOO',
+    }), 'mountain 0 K');
+    const moves = getLegalMoves(state);
+    assert.deepEqual(moves.claim.sort(), ['black', 'orange', 'red', 'yellow']);
+    assert.deepEqual(moves.discard, []);
+  });
+});
+
+describe('getScoreBreakdown', () => {
+  test('scores each river slot by its matching cup cards', () => {
+    const [player] = scenario({ rivers: ['RO', 'K'], cups: ['RRROGG', ''] }).players;
+    assert.deepEqual(getScoreBreakdown(player), {
+      rows: [
+        { color: 'red', value: 1, cards: 3, startingCards: 0, points: 3 },
+        { color: 'orange', value: 2, cards: 1, startingCards: 0, points: 2 },
+      ],
+      unscored: 2,
+      total: 5,
+    });
+  });
+
+  test('counts the starting cards at the front of the cup', () => {
+    const [player] = scenario({ rivers: ['OR', 'K'], cups: ['RORR', ''], startingCupCount: 2 }).players;
+    const rows = getScoreBreakdown(player).rows.map((row) => [row.color, row.cards, row.startingCards]);
+    assert.deepEqual(rows, [['orange', 1, 1], ['red', 3, 1]]);
+  });
+
+  test("saves without a starting count use the game's cup size", () => {
+    const state = scenario({ rivers: ['R', 'K'], cups: ['RRRR', ''], rules: { initialCupSize: 3 } });
+    const [player] = state.players;
+    delete player.startingCupCount;
+    const { rows } = getScoreBreakdown(player, state.rules);
+    assert.equal(rows[0].startingCards, 3);
+  });
+});
+
+describe('end of game reveal', () => {
+  test('views hide opponents during play and show everything once it ends', () => {
+    const state = scenario({ hands: ['RO', 'KG'], cups: ['YY', 'PP'], startingCupCount: 2 });
+    const during = getPlayerView(state, 0).players[1];
+    assert.deepEqual([during.hand[0].color, during.cup[0].color], ['hidden', 'hidden']);
+
+    const ended = { ...state, phase: 'ended' };
+    assert.deepEqual(getPlayerView(ended, 0).players[1].hand, state.players[1].hand);
+    assert.deepEqual(getSpectatorView(ended).players.map((p) => letters(p.cup)), ['YY', 'PP']);
+  });
+});
+
+describe('Memory mode', () => {
+  // Two moves into a game with a discard pile and claimed cards in both cups
+  function game(memoryHelper) {
+    const start = scenario({ hands: ['RO', 'KG'], cups: ['YYR', 'PPO'], discard: 'YG', startingCupCount: 2 });
+    return { ...play(start, 'field 0 R', 'field 1 K'), memoryHelper };
+  }
+  const colors = (cards) => cards.map((card) => card.color);
+
+  test('with it on, the discard pile, claimed cup cards and the history stay in view', () => {
+    const view = getPlayerView(game(true), 0);
+    assert.equal(letters(view.discardPile), 'YG');
+    assert.deepEqual(colors(view.players[1].cup), ['hidden', 'hidden', 'orange']);
+    assert.equal(view.history.length, 2);
+  });
+
+  test("with it off, the discard pile and others' cups are hidden and only the last move is kept", () => {
+    const state = game(false);
+    const view = getPlayerView(state, 0);
+    assert.deepEqual(colors(view.discardPile), ['hidden', 'hidden']);
+    assert.deepEqual(colors(view.players[1].cup), ['hidden', 'hidden', 'hidden']);
+    assert.equal(letters(view.players[0].cup), letters(state.players[0].cup));
+    assert.deepEqual(view.history.map((entry) => entry.playerIndex), [1]);
+    assert.deepEqual(view.lastAction, view.history[0]);
+
+    const spectator = getSpectatorView(state);
+    assert.ok(spectator.players.every((player) => colors(player.cup).every((color) => color === 'hidden')));
+    assert.equal(spectator.history.length, 1);
+  });
+
+  test('the state itself keeps everything', () => {
+    const state = game(false);
+    getPlayerView(state, 0);
+    assert.equal(state.history.length, 2);
+    assert.equal(letters(state.discardPile), 'YG');
+  });
+});
+
+// ============================================
+// DRAWING AND RESHUFFLING
+// ============================================
+
+describe('drawCards', () => {
+  test('reshuffles the discard pile into an empty deck and flags the deck as exhausted', () => {
+    const state = scenario({ hands: ['RY', 'K'], deck: 'G', discard: 'PPK' });
+    const after = play(state, 'mountain 0 R');
+    // The reshuffle order depends on the seed; which cards moved does not
+    assert.equal(letters([...after.players[0].hand, ...after.deck]), 'YGPPK');
+    assert.equal(after.players[0].hand.length, 4);
+    assert.deepEqual(pick(after, 'discard', 'endGameTrigger', 'phase'), {
+      discard: '',
+      endGameTrigger: 'deck_exhausted',
+      phase: 'playing',
+    });
+    assert.equal(after.history[0].reshuffled, true);
+  });
+
+  test('does not reshuffle while the deck has cards', () => {
+    const state = scenario({ deck: 'GGG', discard: 'P' });
+    const { cards, newState, reshuffled } = drawCards(state, 3);
+    assert.equal(letters(cards), 'GGG');
+    assert.equal(reshuffled, false);
+    assert.equal(newState.endGameTrigger, null);
+  });
+
+  test('comes up short when the deck and discard pile are both empty', () => {
+    const state = scenario({ deck: 'G' });
+    const { cards, newState, shortfall } = drawCards(state, 3);
+    assert.equal(letters(cards), 'G');
+    assert.equal(shortfall, 2);
+    assert.equal(newState.deck.length, 0);
+    assert.equal(newState.endGameTrigger, 'deck_exhausted');
+  });
+
+  test('records a short draw in the history', () => {
+    const state = scenario({ hands: ['RO', 'K'], deck: 'G' });
+    const after = play(state, 'mountain 0 R');
+    assert.equal(after.history[0].shortfall, 2);
+    assert.equal(letters(after.history[0].drawnCards), 'G');
+  });
+
+  test('reshuffles the same way for the same seed', () => {
+    const state = scenario({ discard: 'RRRRRROOOOOOYYYYYY' });
+    const first = drawCards(state, 18).cards.map((c) => c.id);
+    const second = drawCards(state, 18).cards.map((c) => c.id);
+    assert.deepEqual(first, second);
+  });
+});
+
+// ============================================
+// MANDALA DESTRUCTION
+// ============================================
+
+describe('Destruction', () => {
+  // Mandala 0 holds five colors; whoever plays black completes it
+  const almostComplete = (overrides = {}) => scenario({
+    hands: ['KK', 'KK'],
+    mandalas: [{ mountain: 'RROY', fields: ['G', 'P'] }, {}],
+    deck: 'GGGOO',
+    ...overrides,
+  });
+
+  test('completing a mandala starts the claim with the other player on a field tie', () => {
+    const after = play(almostComplete(), 'mountain 0 K');
+    assert.equal(after.phase, 'destroying');
+    assert.deepEqual(after.destruction.claimOrder, [1, 0]);
+    assert.equal(after.currentPlayerIndex, 1);
+    assert.deepEqual(after.destruction.remainingColors.sort(), ['black', 'orange', 'red', 'yellow']);
+  });
+
+  test('the tie goes the other way when the other player completes it', () => {
+    const after = play(almostComplete({ current: 1 }), 'mountain 0 K');
+    assert.deepEqual(after.destruction.claimOrder, [0, 1]);
+    assert.equal(after.currentPlayerIndex, 0);
+  });
+
+  test('the bigger field claims first regardless of who completed it', () => {
+    const state = almostComplete({ mandalas: [{ mountain: 'RROY', fields: ['GG', 'P'] }, {}] });
+    const after = play(state, 'mountain 0 K');
+    assert.deepEqual(after.destruction.claimOrder, [0, 1]);
+  });
+
+  test('claims alternate, fill rivers and cups, then the mandala is cleared and restocked', () => {
+    let state = play(almostComplete(), 'mountain 0 K');
+
+    // Two reds: the first marks the river, the second goes to the cup
+    state = play(state, 'claim R');
+    assert.deepEqual(pick(state, 'cups', 'rivers', 'current'), { cups: ['', 'R'], rivers: ['', 'R'], current: 0 });
+
+    state = play(state, 'claim K');
+    assert.deepEqual(pick(state, 'cups', 'rivers', 'current'), { cups: ['', 'R'], rivers: ['K', 'R'], current: 1 });
+
+    state = play(state, 'claim O');
+    assert.deepEqual(pick(state, 'rivers', 'current', 'phase'), { rivers: ['K', 'RO'], current: 0, phase: 'destroying' });
+
+    state = play(state, 'claim Y');
+    assert.deepEqual(pick(state, 'cups', 'rivers', 'mandalas', 'discard', 'deck', 'current', 'phase'), {
+      cups: ['', 'R'],
+      rivers: ['KY', 'RO'],
+      mandalas: [{ mountain: 'OO', fields: ['', ''] }, { mountain: '', fields: ['', ''] }],
+      discard: 'GP',
+      deck: '',
+      // The turn passes to the player after whoever completed the mandala
+      current: 1,
+      phase: 'playing',
+    });
+    assert.equal(state.destruction, null);
+    assert.deepEqual(state.history.at(-1).newMountainCards.map((c) => c.color), ['orange', 'orange']);
+  });
+
+  test('a player with an empty field discards what they claim', () => {
+    let state = play(almostComplete({ mandalas: [{ mountain: 'RROY', fields: ['GP', ''] }, {}] }), 'mountain 0 K');
+    assert.deepEqual(state.destruction.claimOrder, [0, 1]);
+
+    state = play(state, 'claim Y', 'claim R');
+    assert.deepEqual(pick(state, 'cups', 'rivers', 'discard'), { cups: ['', ''], rivers: ['Y', ''], discard: 'RR' });
+    assert.equal(letters(state.history.at(-1).discardedCards), 'RR');
+  });
+
+  test('a color already in the river goes straight to the cup', () => {
+    let state = play(almostComplete({ rivers: ['', 'R'] }), 'mountain 0 K');
+    state = play(state, 'claim R');
+    assert.deepEqual(pick(state, 'cups', 'rivers'), { cups: ['', 'RR'], rivers: ['', 'R'] });
+    assert.equal(state.history.at(-1).riverSlot, null);
+  });
+
+  test('only colors still in the mountain can be claimed', () => {
+    const state = play(almostComplete(), 'mountain 0 K', 'claim R');
+    assert.equal(attempt(state, 'claim R').error, 'Color not available to claim');
+    assert.equal(attempt(state, 'claim G').error, 'Color not available to claim');
+    assert.equal(attempt(state, 'mountain 1 K').error, 'Cannot build mountain during this phase');
+  });
+
+  test('with three players claims go by field size, then turn order after the completer', () => {
+    let state = scenario({
+      hands: ['R', 'O', 'KK'],
+      mandalas: [{ mountain: 'RO', fields: ['Y', 'GG', 'P'] }, {}],
+      current: 2,
+      deck: 'YYYYY',
+    });
+    state = play(state, 'mountain 0 K');
+    assert.deepEqual(state.destruction.claimOrder, [1, 0, 2]);
+
+    state = play(state, 'claim R');
+    assert.equal(state.currentPlayerIndex, 0);
+    state = play(state, 'claim O');
+    assert.equal(state.currentPlayerIndex, 2);
+    state = play(state, 'claim K');
+    assert.deepEqual(pick(state, 'rivers', 'current', 'phase'), {
+      rivers: ['O', 'R', 'K'],
+      current: 0,
+      phase: 'playing',
+    });
+  });
+});
+
+// ============================================
+// GAME END AND SCORING
+// ============================================
+
+describe('Game end', () => {
+  test('a sixth river color ends the game once the destruction is over', () => {
+    let state = scenario({
+      hands: ['KK', 'R'],
+      rivers: ['ROYGP', ''],
+      mandalas: [{ mountain: 'RROY', fields: ['GG', 'P'] }, {}],
+      deck: 'GGGOO',
+    });
+    state = play(state, 'mountain 0 K', 'claim K');
+    assert.deepEqual(pick(state, 'endGameTrigger', 'phase'), {
+      endGameTrigger: 'sixth_river_color',
+      phase: 'destroying',
+    });
+
+    state = play(state, 'claim R', 'claim O', 'claim Y');
+    assert.deepEqual(pick(state, 'rivers', 'phase'), { rivers: ['ROYGPK', 'RY'], phase: 'ended' });
+    // No new mountain is dealt for a finished game
+    assert.equal(state.mandalas[0].mountain.length, 0);
+  });
+});
+
+describe('Final round', () => {
+  test('running out of deck lets the round finish, then ends the game', () => {
+    let state = scenario({ hands: ['RO', 'KK'], deck: 'G', discard: 'PP' });
+    state = play(state, 'mountain 0 R');
+    assert.equal(isFinalRound(state), true);
+    assert.deepEqual(pick(state, 'phase', 'current', 'endGameTrigger'), {
+      phase: 'playing',
+      current: 1,
+      endGameTrigger: 'deck_exhausted',
+    });
+
+    // Seat 1 gets the last turn of the round; seat 0 does not move again
+    state = play(state, 'mountain 1 K');
+    assert.deepEqual(pick(state, 'phase', 'endGameTrigger'), { phase: 'ended', endGameTrigger: 'deck_exhausted' });
+    assert.equal(isFinalRound(state), false);
+  });
+
+  test('when the last seat runs the deck out the game ends with their turn', () => {
+    const state = scenario({ hands: ['R', 'O', 'KY'], discard: 'G', current: 2 });
+    const after = play(state, 'discard K');
+    assert.deepEqual(pick(after, 'phase', 'current'), { phase: 'ended', current: 2 });
+  });
+
+  test('every seat after the one who ran the deck out plays once more', () => {
+    let state = scenario({ hands: ['R', 'OO', 'YY', 'GG'], discard: 'PP', current: 1 });
+    state = play(state, 'discard OO');
+    assert.equal(isFinalRound(state), true);
+    state = play(state, 'field 0 Y');
+    assert.equal(state.currentPlayerIndex, 3);
+    state = play(state, 'field 1 G');
+    assert.equal(state.phase, 'ended');
+  });
+
+  test('a destruction during the final round finishes before the game ends', () => {
+    let state = scenario({
+      hands: ['KK', 'KK'],
+      mandalas: [{ mountain: 'RROY', fields: ['G', 'P'] }, {}],
+      current: 1,
+    });
+    // Nothing left to draw: the final round starts as seat 1 completes the mandala
+    state = play(state, 'mountain 0 K');
+    assert.deepEqual(pick(state, 'phase', 'endGameTrigger'), { phase: 'destroying', endGameTrigger: 'deck_exhausted' });
+
+    state = play(state, 'claim R', 'claim O', 'claim Y', 'claim K');
+    // The field cards are discarded and dealt as the new mountain, then the
+    // turn would pass to seat 0, which ends the round
+    assert.deepEqual(pick(state, 'rivers', 'discard', 'phase'), { rivers: ['RY', 'OK'], discard: '', phase: 'ended' });
+    assert.equal(notate(state).mandalas[0].mountain, 'GP');
+  });
+
+  test('players with no cards are skipped', () => {
+    const state = scenario({ hands: ['RO', '', 'K'], deck: 'GGG' });
+    const after = play(state, 'field 0 R');
+    assert.deepEqual(pick(after, 'current', 'phase'), { current: 2, phase: 'playing' });
+    assert.equal(after.turnNumber, 2);
+  });
+
+  test('the game ends as a stalemate when nobody can move', () => {
+    // With a draw of zero, playing your last card leaves you empty-handed
+    const state = scenario({ hands: ['R', ''], deck: 'GGG', rules: { mountainDraw: 0 } });
+    const after = play(state, 'mountain 0 R');
+    assert.deepEqual(pick(after, 'phase', 'endGameTrigger'), { phase: 'ended', endGameTrigger: 'stalemate' });
+  });
+});
+
+describe('getWinner', () => {
+  const ended = (spec) => ({ ...scenario(spec), phase: 'ended' });
+
+  test('is null while the game is running', () => {
+    assert.equal(getWinner(scenario()), null);
+  });
+
+  test('the highest score wins', () => {
+    // Cup cards score their river slot: 2 + 2 against 1 + 1 + 1
+    const winner = getWinner(ended({ rivers: ['OR', 'R'], cups: ['RR', 'RRR'] }));
+    assert.deepEqual(winner, { winnerId: 'P1', winnerIndex: 0, scores: [4, 3], tiebreak: null });
+  });
+
+  test('cup cards without a river color score nothing', () => {
+    const winner = getWinner(ended({ rivers: ['R', 'R'], cups: ['RGGGG', 'RR'] }));
+    assert.deepEqual(winner.scores, [1, 2]);
+    assert.equal(winner.winnerIndex, 1);
+  });
+
+  test('on a tied score the smaller cup wins', () => {
+    const winner = getWinner(ended({ rivers: ['OR', 'R'], cups: ['R', 'RR'] }));
+    assert.deepEqual(winner.scores, [2, 2]);
+    assert.equal(winner.winnerIndex, 0);
+    assert.equal(winner.tiebreak, 'cup');
+  });
+
+  test('a full tie goes to the later seat', () => {
+    assert.equal(getWinner(ended({ rivers: ['R', 'R'], cups: ['R', 'R'] })).winnerIndex, 1);
+    const three = getWinner(ended({ rivers: ['R', 'R', 'R'], cups: ['R', 'R', 'R'] }));
+    assert.equal(three.winnerIndex, 2);
+    assert.equal(three.tiebreak, 'seat');
+  });
+
+  test('only the players tied on points count for the tiebreak', () => {
+    const winner = getWinner(ended({ rivers: ['R', 'R', 'R'], cups: ['RR', 'RR', 'OR'] }));
+    assert.equal(winner.winnerIndex, 1);
+    assert.equal(winner.tiebreak, 'seat');
+  });
+
+  test('a player who forfeits loses whatever the score', () => {
+    const state = forfeitGame(scenario({ rivers: ['R', 'R', 'R'], cups: ['RRR', 'R', 'RR'] }), 0);
+    const winner = getWinner(state);
+    assert.equal(winner.winnerIndex, 2);
+    assert.deepEqual(winner.scores, [3, 1, 2]);
+  });
+
+  test('a forfeit records why it happened', () => {
+    const state = scenario({ rivers: ['R', 'R'], cups: ['R', 'R'] });
+    assert.equal(forfeitGame(state, 0).forfeitReason, 'timeout');
+    assert.equal(forfeitGame(state, 1, 'left').forfeitReason, 'left');
+  });
+});
+
+// ============================================
+// SCENARIO NOTATION
+// ============================================
+
+describe('scenario notation', () => {
+  test('reads back what it builds', () => {
+    const spec = {
+      hands: ['RRO', 'K'],
+      cups: ['Y', ''],
+      rivers: ['RO', ''],
+      mandalas: [{ mountain: 'GP', fields: ['Y', ''] }, { mountain: '', fields: ['', 'KK'] }],
+      deck: 'PGR',
+      discard: 'OO',
+      current: 1,
+    };
+    assert.deepEqual(notate(scenario(spec)), {
+      ...spec,
+      phase: 'playing',
+      endGameTrigger: null,
+    });
+  });
+
+  test('gives every card a unique id', () => {
+    const state = scenario({ hands: ['RR', 'R'], deck: 'RRR', discard: 'R' });
+    const ids = [...state.players.flatMap((p) => p.hand), ...state.deck, ...state.discardPile].map((c) => c.id);
+    assert.equal(new Set(ids).size, ids.length);
+  });
+});
@@ -0,0 +1,125 @@
+// A real server for end-to-end tests
+// Runs server.js in a child process on a free port, with clients that speak
+// the WebSocket protocol like the browser does
+//
+//   const server = await startServer({ NO_SHOW_MINUTES: '0.01' });
+//   const ann = await connect(server);
+//   ann.send('create_room', { name: 'Ann' });
+//   const { roomCode } = await ann.next('room_created');
+//   ...
+//   await server.stop();
+
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { PROTOCOL_VERSION } from '../protocol.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// How long next() waits for a message before failing the test
+const MESSAGE_TIMEOUT = 5000;
+
+/**
+ * Start a server with in-memory storage (unless env says otherwise) and
+ * wait until it listens. output() is everything it has logged so far.
+ */
+export async function startServer(env = {}) {
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, STORAGE: 'memory', PORT: '0', ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stderr.on('data', (data) => {
+    output += data;
+  });
+
+  const port = await new Promise((resolve, reject) => {
+    child.stdout.on('data', (data) => {
+      output += data;
+      const match = output.match(/running on port (\d+)/);
+      if (match) {
+        resolve(Number(match[1]));
+      }
+    });
+    child.on('exit', (code) => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+  });
+
+  return {
+    url: `ws://localhost:${port}`,
+    httpUrl: `http://localhost:${port}`,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await once(child, 'exit');
+      }
+    },
+  };
+}
+
+/**
+ * Connect a client and say hello. Every message received is kept in
+ * messages; next() hands each one out once, in the order they arrived.
+ */
+export async function connect(server) {
+  const ws = new WebSocket(server.url);
+  const messages = [];
+  const unread = [];
+  const waiting = [];
+
+  ws.on('message', (data) => {
+    const message = JSON.parse(data);
+    messages.push(message);
+    const index = waiting.findIndex((waiter) => waiter.matches(message));
+    if (index === -1) {
+      unread.push(message);
+    } else {
+      waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+  await once(ws, 'open');
+
+  const client = {
+    messages,
+    send(type, data = {}) {
+      ws.send(JSON.stringify({ type, ...data }));
+    },
+    // The next message of the given type that passes test
+    next(type, test = () => true) {
+      const matches = (message) => message.type === type && test(message);
+      const index = unread.findIndex(matches);
+      if (index !== -1) {
+        return Promise.resolve(unread.splice(index, 1)[0]);
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(new Error(`Timed out waiting for ${type}`));
+        }, MESSAGE_TIMEOUT);
+        const waiter = {
+          matches,
+          resolve(message) {
+            clearTimeout(timer);
+            resolve(message);
+          },
+        };
+        waiting.push(waiter);
+      });
+    },
+    async close() {
+      ws.close();
+      await once(ws, 'close');
+    },
+  };
+
+  client.send('hello', { version: PROTOCOL_VERSION });
+  await client.next('welcome');
+  return client;
+}
+
+// Resolve after the given number of milliseconds
+export function pause(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
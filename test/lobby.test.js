@@ -0,0 +1,113 @@
+// Tests for names, the public room list and quick-match queue in lobby.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_NAME_LENGTH, parsePlayerName, publicRoomList, createMatchQueue } from '../lobby.js';
+
+describe('Player names', () => {
+  test('whitespace is tidied', () => {
+    assert.deepEqual(parsePlayerName('  Ann   Lee ', 'Player 1'), { name: 'Ann Lee' });
+  });
+
+  test('a missing name falls back to the default', () => {
+    for (const missing of [undefined, null, '']) {
+      assert.deepEqual(parsePlayerName(missing, 'Player 2'), { name: 'Player 2' });
+    }
+  });
+
+  test('letters from any alphabet and a little punctuation are allowed', () => {
+    for (const name of ['Zoë', 'Łukasz', '李雷', "O'Brien", 'J.-P. Smith_2']) {
+      assert.deepEqual(parsePlayerName(name, null), { name });
+    }
+  });
+
+  test('blank, overlong and oddly spelled names are refused', () => {
+    for (const name of ['   ', 'x'.repeat(MAX_NAME_LENGTH + 1), '<b>Ann</b>', 'Ann\u0000', 42]) {
+      assert.ok(parsePlayerName(name, 'Player 1').error, JSON.stringify(name));
+    }
+  });
+
+  test('length is counted in characters, not code units', () => {
+    // A Deseret letter takes two UTF-16 code units
+    const letter = '\u{10400}';
+    assert.equal(parsePlayerName(letter.repeat(MAX_NAME_LENGTH), null).error, undefined);
+    assert.ok(parsePlayerName(letter.repeat(MAX_NAME_LENGTH + 1), null).error);
+  });
+});
+
+// A room as server.js keeps it, with only what the lobby looks at
+function room(code, overrides = {}) {
+  return {
+    code,
+    players: [{ name: `${code} host` }],
+    maxPlayers: 2,
+    gameState: null,
+    public: true,
+    rulesPreset: 'standard',
+    timer: null,
+    memoryHelper: true,
+    casual: false,
+    createdAt: 0,
+    ...overrides,
+  };
+}
+
+describe('Public room list', () => {
+  test('lists public rooms with a free seat that have not started, oldest first', () => {
+    const rooms = [
+      room('NEWR', { createdAt: 2 }),
+      room('OLDR', { createdAt: 1 }),
+      room('PRIV', { public: false }),
+      room('FULL', { players: [{ name: 'a' }, { name: 'b' }] }),
+      room('PLAY', { gameState: { phase: 'playing' } }),
+    ];
+    assert.deepEqual(publicRoomList(rooms).map((summary) => summary.roomCode), ['OLDR', 'NEWR']);
+  });
+
+  test('summaries carry the host and settings but no sockets or state', () => {
+    const timer = { mode: 'clock', seconds: 300, remaining: [1, 2] };
+    const [summary] = publicRoomList([room('ABCD', { maxPlayers: 3, timer })]);
+    assert.deepEqual(summary, {
+      roomCode: 'ABCD',
+      host: 'ABCD host',
+      players: 1,
+      maxPlayers: 3,
+      rules: 'Standard',
+      timer: { mode: 'clock', seconds: 300 },
+      memoryHelper: true,
+      casual: false,
+    });
+  });
+});
+
+describe('Quick match queue', () => {
+  const player = (readyState = 1) => ({ ws: { readyState } });
+
+  test('pairs each arrival with whoever has waited longest', () => {
+    const queue = createMatchQueue();
+    const [first, second, third] = [player(), player(), player()];
+    assert.equal(queue.join(first), null);
+    assert.equal(queue.join(second), first);
+    assert.equal(queue.join(third), null);
+    assert.equal(queue.size, 1);
+  });
+
+  test('skips players whose connection dropped while they waited', () => {
+    const queue = createMatchQueue();
+    const [dropped, waiting] = [player(), player()];
+    queue.join(dropped);
+    dropped.ws.readyState = 3;
+    assert.equal(queue.join(waiting), null);
+    assert.equal(queue.join(player()), waiting);
+  });
+
+  test('a player waits in one place and can leave', () => {
+    const queue = createMatchQueue();
+    const ann = player();
+    queue.join(ann);
+    assert.equal(queue.join(ann), null);
+    assert.equal(queue.size, 1);
+    queue.leave(ann.ws);
+    assert.equal(queue.size, 0);
+  });
+});
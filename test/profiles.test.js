@@ -0,0 +1,151 @@
+// Tests for profiles, ratings and the match history in profiles.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RATING, expectedScore, placements, rateGame, createProfiles } from '../profiles.js';
+import { createMemoryStorage } from '../storage.js';
+
+// A finished match between the given profile ids (null for a guest seat)
+function match(profileIds, scores, winnerIndex) {
+  return {
+    roomCode: 'ABCD',
+    seed: 1,
+    rulesPreset: 'standard',
+    finishedAt: Date.now(),
+    winnerIndex,
+    tiebreak: null,
+    players: profileIds.map((profileId, index) => ({
+      profileId,
+      name: `Player ${index + 1}`,
+      bot: null,
+      score: scores[index],
+    })),
+  };
+}
+
+describe('Ratings', () => {
+  test('equal ratings expect an even result', () => {
+    assert.equal(expectedScore(1500, 1500), 0.5);
+    assert.ok(expectedScore(1700, 1500) > 0.75);
+  });
+
+  test('the winner places first and the rest are placed by score', () => {
+    assert.deepEqual(placements([10, 12], 0), [0, 1]);
+    assert.deepEqual(placements([10, 12, 8, 12], 0), [0, 1, 3, 1]);
+  });
+
+  test('a player who forfeits places last whatever their score', () => {
+    assert.deepEqual(placements([10, 30, 8], 0, 1), [0, 2, 1]);
+    assert.deepEqual(placements([10, 30, 8, 8], 2, 1), [1, 3, 0, 2]);
+    assert.deepEqual(placements([10, 30], 0, 1), [0, 1]);
+  });
+
+  test('a two-player game is plain Elo', () => {
+    assert.deepEqual(rateGame([1500, 1500], [0, 1]), [1516, 1484]);
+    assert.deepEqual(rateGame([1500, 1500], [0, 0]), [1500, 1500]);
+  });
+
+  test('beating a stronger player gains more than beating a weaker one', () => {
+    const [upset] = rateGame([1400, 1600], [0, 1]);
+    const [expected] = rateGame([1600, 1400], [0, 1]);
+    assert.ok(upset - 1400 > expected - 1600);
+  });
+
+  test('ratings in a bigger game still add up', () => {
+    const before = [1500, 1550, 1450, 1500];
+    const after = rateGame(before, [0, 1, 2, 2]);
+    const sum = (list) => list.reduce((a, b) => a + b, 0);
+    assert.ok(Math.abs(sum(after) - sum(before)) <= 2);
+    assert.ok(after[0] > before[0]);
+  });
+});
+
+describe('Profiles', () => {
+  test('a profile signs in with its token only', () => {
+    const profiles = createProfiles(createMemoryStorage());
+    const { profile, token } = profiles.create('Ann');
+    assert.equal(profile.name, 'Ann');
+    assert.equal(profile.rating, DEFAULT_RATING);
+    assert.equal(profile.tokenHash, undefined);
+
+    assert.equal(profiles.signIn(profile.id, token).id, profile.id);
+    assert.equal(profiles.signIn(profile.id, 'wrong'), null);
+    assert.equal(profiles.signIn('nobody', token), null);
+  });
+
+  test('a match updates ratings, records and recent games', () => {
+    const profiles = createProfiles(createMemoryStorage());
+    const ann = profiles.create('Ann').profile;
+    const bob = profiles.create('Bob').profile;
+
+    const record = profiles.recordMatch(match([ann.id, bob.id], [20, 14], 0));
+    assert.deepEqual(record.players[0].rating, { before: 1500, after: 1516 });
+    assert.deepEqual(record.players[1].rating, { before: 1500, after: 1484 });
+
+    const annNow = profiles.get(ann.id);
+    assert.equal(annNow.rating, 1516);
+    assert.equal(annNow.games, 1);
+    assert.equal(annNow.wins, 1);
+    assert.equal(annNow.averageScore, 20);
+    assert.equal(annNow.recentGames.length, 1);
+    assert.equal(annNow.recentGames[0].won, true);
+    assert.equal(annNow.recentGames[0].ratingChange, 16);
+
+    const bobNow = profiles.get(bob.id);
+    assert.equal(bobNow.losses, 1);
+    assert.equal(bobNow.recentGames[0].ratingChange, -16);
+  });
+
+  test('leaving a three-player game places the leaver behind everyone who stayed', () => {
+    const profiles = createProfiles(createMemoryStorage());
+    const [ann, bob, cat] = ['Ann', 'Bob', 'Cat'].map((name) => profiles.create(name).profile);
+
+    // Bob was ahead on points when he left; Cat stayed and finished last on points
+    const record = profiles.recordMatch({ ...match([ann.id, bob.id, cat.id], [20, 30, 5], 0), forfeitedBy: 1 });
+    assert.deepEqual(record.players.map((p) => p.rating.after), [1516, 1484, 1500]);
+    assert.equal(profiles.get(bob.id).losses, 1);
+  });
+
+  test('games against guests count toward the record but not the rating', () => {
+    const profiles = createProfiles(createMemoryStorage());
+    const ann = profiles.create('Ann').profile;
+
+    const record = profiles.recordMatch(match([ann.id, null], [20, 14], 0));
+    assert.deepEqual(record.players[0].rating, { before: 1500, after: 1500 });
+    assert.equal(record.players[1].rating, null);
+    assert.equal(profiles.get(ann.id).wins, 1);
+    assert.equal(profiles.get(ann.id).rating, DEFAULT_RATING);
+  });
+
+  test('a profile in two seats is not rated', () => {
+    const profiles = createProfiles(createMemoryStorage());
+    const ann = profiles.create('Ann').profile;
+    const bob = profiles.create('Bob').profile;
+
+    const record = profiles.recordMatch(match([ann.id, ann.id, bob.id], [20, 14, 10], 0));
+    assert.deepEqual(record.players.map((p) => p.rating), [null, null, { before: 1500, after: 1500 }]);
+    assert.equal(profiles.get(ann.id).games, 0);
+  });
+
+  test('the ladder lists rated players best first', () => {
+    const profiles = createProfiles(createMemoryStorage());
+    const ann = profiles.create('Ann').profile;
+    const bob = profiles.create('Bob').profile;
+    profiles.create('Cat');
+    profiles.recordMatch(match([ann.id, bob.id], [10, 14], 1));
+
+    assert.deepEqual(profiles.ladder().map((p) => p.name), ['Bob', 'Ann']);
+  });
+
+  test('profiles and matches are reloaded from storage', () => {
+    const storage = createMemoryStorage();
+    const first = createProfiles(storage);
+    const { profile: ann, token } = first.create('Ann');
+    const bob = first.create('Bob').profile;
+    first.recordMatch(match([ann.id, bob.id], [20, 14], 0));
+
+    const second = createProfiles(storage);
+    assert.equal(second.signIn(ann.id, token).rating, 1516);
+    assert.equal(second.get(bob.id).recentGames.length, 1);
+  });
+});
@@ -0,0 +1,186 @@
+// Property tests for the rules engine: seeded random games checked for
+// invariants after every action
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  COLORS,
+  CARDS_PER_COLOR,
+  createGame,
+  createRandom,
+  normalizeSeed,
+  getRules,
+  performAction,
+  getValidActions,
+  validateBuildMountain,
+  validateGrowField,
+  validateDiscardRedraw,
+  validateClaimColor,
+} from '../game.js';
+
+const GAMES_PER_TABLE = 12;
+const MAX_ACTIONS = 400;
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Every card still in play, wherever it is
+function cardsInPlay(state) {
+  return [
+    ...state.deck,
+    ...state.discardPile,
+    ...state.players.flatMap((p) => [...p.hand, ...p.cup]),
+    ...state.mandalas.flatMap((m) => [...m.mountain, ...m.fields.flat()]),
+  ];
+}
+
+// The first card of each newly claimed color marks the river and leaves play
+function riverMarkers(state) {
+  return state.players.reduce((sum, p) => sum + p.river.filter(Boolean).length, 0);
+}
+
+// getValidActions as a flat list of performAction actions
+function listActions(valid) {
+  return [
+    ...valid.buildMountain.map((a) => ({ type: 'build_mountain', ...a })),
+    ...valid.growField.map((a) => ({ type: 'grow_field', ...a })),
+    ...valid.discardRedraw.map((a) => ({ type: 'discard_redraw', ...a })),
+    ...valid.claimColor.map((color) => ({ type: 'claim_color', color })),
+  ];
+}
+
+/**
+ * Play a seeded game of uniformly random legal moves, calling check(state)
+ * before every action and once more at the end. Stops at MAX_ACTIONS.
+ */
+function playRandomGame(players, seed, check) {
+  const random = createRandom(normalizeSeed(`moves-${seed}`));
+  let state = createGame(Array.from({ length: players }, (_, i) => `P${i + 1}`), { seed });
+
+  for (let i = 0; i < MAX_ACTIONS && state.phase !== 'ended'; i++) {
+    check(state);
+    const actions = listActions(getValidActions(state));
+    if (actions.length === 0) {
+      break;
+    }
+    const result = performAction(state, actions[Math.floor(random() * actions.length)]);
+    assert.ok(result.success, result.error);
+    state = result.newState;
+  }
+  check(state);
+  return state;
+}
+
+// Every seat count, each with a few seeds
+const tables = [2, 3, 4].flatMap((players) =>
+  Array.from({ length: GAMES_PER_TABLE }, (_, i) => ({ players, seed: `prop-${players}-${i}` }))
+);
+
+// ============================================
+// PROPERTIES
+// ============================================
+
+describe('card conservation', () => {
+  test('a standard deck has 108 cards', () => {
+    assert.equal(COLORS.length * CARDS_PER_COLOR, 108);
+  });
+
+  for (const { players, seed } of tables) {
+    test(`every card is accounted for (${players} players, seed ${seed})`, () => {
+      playRandomGame(players, seed, (state) => {
+        const cards = cardsInPlay(state);
+        const { colors, cardsPerColor } = getRules(state);
+        assert.equal(cards.length + riverMarkers(state), colors.length * cardsPerColor);
+        assert.equal(new Set(cards.map((c) => c.id)).size, cards.length, 'a card is in two places');
+      });
+    });
+  }
+});
+
+describe('immutability', () => {
+  for (const { players, seed } of tables.filter((_, i) => i % 3 === 0)) {
+    test(`actions never modify the state they are given (${players} players, seed ${seed})`, () => {
+      playRandomGame(players, seed, (state) => {
+        const before = structuredClone(state);
+        for (const action of listActions(getValidActions(state)).slice(0, 5)) {
+          performAction(state, action);
+        }
+        // Rejected actions must not leave a mark either
+        performAction(state, { type: 'build_mountain', cardId: 'no-such-card', mandalaIndex: 0 });
+        performAction(state, { type: 'claim_color', color: 'red' });
+        assert.deepEqual(state, before);
+      });
+    });
+  }
+});
+
+describe('getValidActions', () => {
+  // Compare every single-color choice the current player could make against
+  // the validators, so both missing and extra options are caught
+  function checkAgreement(state) {
+    const valid = getValidActions(state);
+    const key = (action) => JSON.stringify(action);
+    const listed = {
+      buildMountain: new Set(valid.buildMountain.map(key)),
+      growField: new Set(valid.growField.map(key)),
+      discardRedraw: new Set(valid.discardRedraw.map(key)),
+    };
+
+    if (state.phase === 'playing') {
+      const hand = state.players[state.currentPlayerIndex].hand;
+      for (const color of COLORS) {
+        const ids = hand.filter((c) => c.color === color).map((c) => c.id);
+        for (let count = 1; count <= ids.length; count++) {
+          const cardIds = ids.slice(0, count);
+          assert.equal(validateDiscardRedraw(state, cardIds).valid, listed.discardRedraw.has(key({ cardIds })));
+          state.mandalas.forEach((_, mandalaIndex) => {
+            assert.equal(
+              validateGrowField(state, cardIds, mandalaIndex).valid,
+              listed.growField.has(key({ cardIds, mandalaIndex }))
+            );
+          });
+        }
+      }
+      for (const card of hand) {
+        state.mandalas.forEach((_, mandalaIndex) => {
+          assert.equal(
+            validateBuildMountain(state, card.id, mandalaIndex).valid,
+            listed.buildMountain.has(key({ cardId: card.id, mandalaIndex }))
+          );
+        });
+      }
+    }
+
+    for (const color of COLORS) {
+      assert.equal(validateClaimColor(state, color).valid, valid.claimColor.includes(color));
+    }
+
+    // And everything listed is accepted
+    for (const action of listActions(valid)) {
+      assert.ok(performAction(state, action).success, `${key(action)} was listed but rejected`);
+    }
+  }
+
+  for (const { players, seed } of tables.filter((_, i) => i % 2 === 0)) {
+    test(`agrees with the validators (${players} players, seed ${seed})`, () => {
+      playRandomGame(players, seed, checkAgreement);
+    });
+  }
+});
+
+describe('termination', () => {
+  for (const { players, seed } of tables) {
+    test(`random play reaches the end of the game (${players} players, seed ${seed})`, () => {
+      assert.equal(playRandomGame(players, seed, () => {}).phase, 'ended');
+    });
+  }
+});
+
+describe('seeded games', () => {
+  test('the same seed and moves give the same game', () => {
+    const first = playRandomGame(3, 'replayable', () => {});
+    const second = playRandomGame(3, 'replayable', () => {});
+    assert.deepEqual(first, second);
+  });
+});
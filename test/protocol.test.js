@@ -0,0 +1,123 @@
+// Tests for the WebSocket message schemas in protocol.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ERROR_CODES,
+  validateClientMessage,
+  validateServerMessage,
+} from '../protocol.js';
+
+function rejection(message) {
+  const { valid, code } = validateClientMessage(message);
+  assert.equal(valid, false);
+  return code;
+}
+
+describe('client messages', () => {
+  test('well-formed messages pass', () => {
+    const messages = [
+      { type: 'hello', version: 1 },
+      { type: 'create_room', name: 'Ann', players: 3, seed: 42, public: true, rules: 'short' },
+      { type: 'create_room', seed: 'abc' },
+      { type: 'join_room', roomCode: 'ABCD' },
+      { type: 'action', action: { type: 'build_mountain', cardId: 'red-1', mandalaIndex: 1 } },
+      { type: 'action', action: { type: 'grow_field', cardIds: ['red-1', 'red-2'], mandalaIndex: 0 } },
+      { type: 'action', action: { type: 'discard_redraw', cardIds: ['red-1'] } },
+      { type: 'action', action: { type: 'claim_color', color: 'red' } },
+      { type: 'undo_response', accept: false },
+      { type: 'chat', emote: 'gg' },
+      { type: 'recover_game', choice: 'retry' },
+      { type: 'sign_in', profileId: 'abc', token: 'def' },
+      { type: 'create_tournament', format: 'swiss', participants: ['Ann', 'Bob', 'Cy'] },
+      { type: 'join_tournament', code: 'ABCD', participant: 2 },
+      { type: 'ping' },
+    ];
+    for (const message of messages) {
+      assert.deepEqual(validateClientMessage(message), { valid: true }, JSON.stringify(message));
+    }
+  });
+
+  test('anything but an object with a string type is bad JSON', () => {
+    for (const message of [null, 'hello', 42, [], {}, { type: 7 }]) {
+      assert.equal(rejection(message), 'bad_json');
+    }
+  });
+
+  test('unknown types are named as such', () => {
+    assert.equal(rejection({ type: 'teleport' }), 'unknown_type');
+    assert.equal(rejection({ type: 'toString' }), 'unknown_type');
+  });
+
+  test('a mandala index out of range is rejected before it reaches the engine', () => {
+    const message = { type: 'action', action: { type: 'build_mountain', cardId: 'red-1', mandalaIndex: 5 } };
+    assert.deepEqual(validateClientMessage(message), {
+      valid: false,
+      code: 'invalid_message',
+      error: 'action.action.mandalaIndex must be at most 1',
+    });
+  });
+
+  test('card ids must be a non-empty array of strings', () => {
+    const grow = (cardIds) => ({ type: 'action', action: { type: 'grow_field', cardIds, mandalaIndex: 0 } });
+    assert.equal(rejection(grow('red-1')), 'invalid_message');
+    assert.equal(rejection(grow([])), 'invalid_message');
+    assert.equal(rejection(grow([1, 2])), 'invalid_message');
+    assert.equal(validateClientMessage(grow({ length: 1 })).error, 'action.action.cardIds must be an array');
+  });
+
+  test('missing, mistyped and unexpected fields', () => {
+    assert.equal(validateClientMessage({ type: 'join_room' }).error, 'join_room.roomCode is required');
+    assert.equal(
+      validateClientMessage({ type: 'undo_response', accept: 'yes' }).error,
+      'undo_response.accept must be boolean'
+    );
+    assert.equal(validateClientMessage({ type: 'ping', extra: 1 }).error, 'Unexpected field ping.extra');
+    assert.equal(rejection({ type: 'action', action: { type: 'pass' } }), 'invalid_message');
+    assert.equal(rejection({ type: 'hello', version: 1.5 }), 'invalid_message');
+    assert.equal(rejection({ type: 'recover_game', choice: 'restart' }), 'invalid_message');
+    assert.equal(rejection({ type: 'sign_in', profileId: 'abc' }), 'invalid_message');
+    assert.equal(rejection({ type: 'create_tournament', format: 'knockout', participants: ['A', 'B'] }), 'invalid_message');
+    assert.equal(rejection({ type: 'create_tournament', format: 'swiss', participants: ['A'] }), 'invalid_message');
+  });
+});
+
+describe('server messages', () => {
+  test('errors carry a known code', () => {
+    assert.equal(validateServerMessage({ type: 'error', code: 'room_full', message: 'Room is full' }).valid, true);
+    assert.equal(validateServerMessage({ type: 'error', message: 'Room is full' }).valid, false);
+    assert.equal(validateServerMessage({ type: 'error', code: 'oops', message: 'Room is full' }).valid, false);
+  });
+
+  test('nullable and optional fields', () => {
+    const state = {
+      type: 'game_state',
+      state: {},
+      playerIndex: null,
+      playerId: null,
+      spectator: true,
+      roomCode: 'ABCD',
+      playerNames: ['Ann', 'Bea'],
+      spectatorCount: 1,
+      timer: null,
+      undoable: false,
+      legalMoves: null,
+    };
+    assert.deepEqual(validateServerMessage(state), { valid: true });
+    assert.equal(validateServerMessage({ ...state, spectator: undefined }).valid, false);
+    const lobby = { type: 'lobby_update', playerIds: [], playerNames: [], maxPlayers: 2 };
+    assert.equal(validateServerMessage(lobby).valid, true);
+  });
+
+  test('both directions declare every type with a field map', () => {
+    for (const schema of [CLIENT_MESSAGES, SERVER_MESSAGES]) {
+      for (const [type, fields] of Object.entries(schema)) {
+        assert.match(type, /^[a-z_]+$/);
+        assert.equal(typeof fields, 'object');
+      }
+    }
+    assert.equal(new Set(ERROR_CODES).size, ERROR_CODES.length);
+  });
+});
@@ -0,0 +1,49 @@
+// Tests for building and playing back replay files in replay.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, performAction, forfeitGame } from '../game.js';
+import { listActions } from '../bot.js';
+import { createReplay, createReplayFromState, replayStates, validateReplay } from '../replay.js';
+
+// A game a few moves in, each move the first legal one
+function playMoves(count) {
+  let state = createGame(['p1', 'p2', 'p3'], { seed: 7 });
+  for (let i = 0; i < count; i++) {
+    state = performAction(state, listActions(state)[0]).newState;
+  }
+  return state;
+}
+
+describe('Replays', () => {
+  test('playing a replay back ends on the game it was made from', () => {
+    const state = playMoves(6);
+    const replay = createReplayFromState(state, ['Ann', 'Bob', 'Cy']);
+    assert.equal(replay.actions.length, 6);
+    assert.equal(replay.forfeit, undefined);
+    assert.equal(replay.result, null);
+    assert.deepEqual(replayStates(replay).at(-1).players.map((p) => p.cup), state.players.map((p) => p.cup));
+  });
+
+  test('a forfeited game replays to its forfeit and result', () => {
+    const state = forfeitGame(playMoves(6), 1, 'left');
+    const replay = createReplayFromState(state, ['Ann', 'Bob', 'Cy']);
+    assert.deepEqual(replay.forfeit, { seat: 1, reason: 'left' });
+    assert.notEqual(replay.result.winnerIndex, 1);
+
+    const states = replayStates(replay);
+    assert.equal(states.length, 7);
+    const last = states.at(-1);
+    assert.equal(last.phase, 'ended');
+    assert.equal(last.forfeitedBy, 1);
+    assert.equal(last.forfeitReason, 'left');
+  });
+
+  test('a forfeit must name a seat in the game and a known reason', () => {
+    const replay = createReplay({ seed: 7, players: ['Ann', 'Bob'], actions: [] });
+    for (const forfeit of [null, { seat: 2, reason: 'timeout' }, { seat: 0, reason: 'bored' }]) {
+      assert.equal(validateReplay({ ...replay, forfeit }).valid, false, JSON.stringify(forfeit));
+    }
+    assert.equal(validateReplay({ ...replay, forfeit: { seat: 1, reason: 'timeout' } }).valid, true);
+  });
+});
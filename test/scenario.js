@@ -0,0 +1,212 @@
+// Scenario notation for engine tests
+// Builds game states from a compact description and reads them back the same way
+//
+// Cards are written one letter per card, spaces ignored:
+//   R red, O orange, Y yellow, G green, P purple, K black
+// so 'RR Y' is two reds and a yellow. Rivers fill from the left; '.' marks
+// an empty slot, and trailing empty slots may be left out.
+//
+// Actions are written from the point of view of whoever is to move:
+//   'mountain 0 R'   build mountain in mandala 0 with a red from hand
+//   'field 1 YY'     grow your field in mandala 1 with two yellows
+//   'discard KK'     discard two blacks and redraw
+//   'claim G'        claim green from the mandala being destroyed
+
+import { COLORS, createRules, performAction } from '../game.js';
+
+const LETTERS = { R: 'red', O: 'orange', Y: 'yellow', G: 'green', P: 'purple', K: 'black' };
+const LETTER_FOR = Object.fromEntries(Object.entries(LETTERS).map(([letter, color]) => [color, letter]));
+
+function colorOf(letter) {
+  const color = LETTERS[letter];
+  if (!color) {
+    throw new Error(`Unknown card letter: ${letter}`);
+  }
+  return color;
+}
+
+// ============================================
+// BUILDING STATES
+// ============================================
+
+/**
+ * Build a game state. Every field is optional:
+ *   players     number of seats (default: as many as hands, cups or rivers list, at least 2)
+ *   hands, cups, rivers   one string per seat
+ *   mandalas    [{ mountain, fields: [one string per seat] }] (default: two empty)
+ *   deck        cards in draw order (first letter is drawn first)
+ *   discard     discard pile
+ *   current     seat to move (default 0)
+ *   lastMandalaPlayer   lastMandalaPlayerIndex (default null)
+ *   rules       rule overrides, as for createGame
+ *   endGameTrigger
+ * Card ids are unique across the state ('red-0', 'red-1', ...). The rest of
+ * the box is set aside, so the engine's card count adds up.
+ */
+export function scenario(spec = {}) {
+  const count = spec.players ?? Math.max(2, ...[spec.hands, spec.cups, spec.rivers].map((seats) => seats?.length ?? 0));
+  const rules = createRules(spec.rules, count);
+  const used = {};
+  const cards = (text = '') => [...text.replace(/\s/g, '')].map((letter) => {
+    const color = colorOf(letter);
+    used[color] = (used[color] ?? -1) + 1;
+    return { id: `${color}-${used[color]}`, color };
+  });
+  const seats = Array.from({ length: count }, (_, index) => index);
+
+  const players = seats.map((index) => ({
+    id: `P${index + 1}`,
+    hand: cards(spec.hands?.[index]),
+    cup: cards(spec.cups?.[index]),
+    river: river(spec.rivers?.[index], rules.riverSize),
+    // Scenario cups have no hidden starting cards unless asked for
+    startingCupCount: spec.startingCupCount ?? 0,
+  }));
+
+  const mandalas = (spec.mandalas ?? [{}, {}]).map((mandala) => ({
+    mountain: cards(mandala.mountain),
+    fields: seats.map((index) => cards(mandala.fields?.[index])),
+  }));
+
+  const deck = cards(spec.deck);
+  const discardPile = cards(spec.discard);
+  return {
+    deck,
+    discardPile,
+    players,
+    mandalas,
+    setAside: setAside(rules, used, players),
+    currentPlayerIndex: spec.current ?? 0,
+    phase: 'playing',
+    endGameTrigger: spec.endGameTrigger ?? null,
+    destruction: null,
+    lastMandalaPlayerIndex: spec.lastMandalaPlayer ?? null,
+    turnNumber: 1,
+    seed: 'scenario',
+    rngState: 1,
+    history: [],
+    rules,
+    memoryHelper: true,
+  };
+}
+
+// The cards of each color the scenario doesn't use. A filled river slot
+// stands for a card of its color.
+function setAside(rules, used, players) {
+  return rules.colors.flatMap((color) => {
+    const markers = players.filter((p) => p.river.includes(color)).length;
+    const missing = rules.cardsPerColor - (used[color] ?? -1) - 1 - markers;
+    if (missing < 0) {
+      throw new Error(`Scenario uses more ${color} cards than the rules deal`);
+    }
+    const first = (used[color] ?? -1) + 1;
+    return Array.from({ length: missing }, (_, i) => ({ id: `${color}-${first + i}`, color }));
+  });
+}
+
+function river(text = '', size) {
+  const slots = [...text.replace(/\s/g, '')].map((letter) => (letter === '.' ? null : colorOf(letter)));
+  if (slots.length > size) {
+    throw new Error(`River ${text} is longer than ${size} slots`);
+  }
+  return [...slots, ...Array(size - slots.length).fill(null)];
+}
+
+// ============================================
+// READING STATES
+// ============================================
+
+/**
+ * Cards as letters. Unordered piles (hands, cups, fields, mountains and the
+ * discard pile) are sorted into color order so comparisons ignore play order.
+ */
+export function letters(cards, { ordered = false } = {}) {
+  const sorted = ordered ? cards : [...cards].sort((a, b) => COLORS.indexOf(a.color) - COLORS.indexOf(b.color));
+  return sorted.map((card) => LETTER_FOR[card.color]).join('');
+}
+
+/**
+ * The state in scenario notation, for assert.deepEqual against what a test
+ * expects. Rivers list filled slots only.
+ */
+export function notate(state) {
+  return {
+    hands: state.players.map((p) => letters(p.hand)),
+    cups: state.players.map((p) => letters(p.cup)),
+    rivers: state.players.map((p) => p.river.filter(Boolean).map((color) => LETTER_FOR[color]).join('')),
+    mandalas: state.mandalas.map((m) => ({
+      mountain: letters(m.mountain),
+      fields: m.fields.map((field) => letters(field)),
+    })),
+    deck: letters(state.deck, { ordered: true }),
+    discard: letters(state.discardPile),
+    current: state.currentPlayerIndex,
+    phase: state.phase,
+    endGameTrigger: state.endGameTrigger,
+  };
+}
+
+/**
+ * Only the keys of the notation a test cares about.
+ */
+export function pick(state, ...keys) {
+  const all = notate(state);
+  return Object.fromEntries(keys.map((key) => [key, all[key]]));
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+function takeFromHand(state, text) {
+  const hand = state.players[state.currentPlayerIndex].hand;
+  const ids = [];
+  for (const letter of text) {
+    const card = hand.find((c) => c.color === colorOf(letter) && !ids.includes(c.id));
+    if (!card) {
+      throw new Error(`Seat ${state.currentPlayerIndex} has no more ${colorOf(letter)} cards in hand`);
+    }
+    ids.push(card.id);
+  }
+  return ids;
+}
+
+/**
+ * Turn an action written in notation into an action for performAction.
+ */
+export function parseAction(state, text) {
+  const [verb, ...args] = text.trim().split(/\s+/);
+  switch (verb) {
+    case 'mountain':
+      return { type: 'build_mountain', mandalaIndex: Number(args[0]), cardId: takeFromHand(state, args[1])[0] };
+    case 'field':
+      return { type: 'grow_field', mandalaIndex: Number(args[0]), cardIds: takeFromHand(state, args[1]) };
+    case 'discard':
+      return { type: 'discard_redraw', cardIds: takeFromHand(state, args[0]) };
+    case 'claim':
+      return { type: 'claim_color', color: colorOf(args[0]) };
+    default:
+      throw new Error(`Unknown action: ${text}`);
+  }
+}
+
+/**
+ * Play one or more actions in order and return the final state. Throws with
+ * the engine's error if any of them is rejected.
+ */
+export function play(state, ...actions) {
+  return actions.reduce((current, text) => {
+    const result = performAction(current, parseAction(current, text));
+    if (!result.success) {
+      throw new Error(`${text}: ${result.error}`);
+    }
+    return result.newState;
+  }, state);
+}
+
+/**
+ * Try an action and return the engine's { success, error, newState }.
+ */
+export function attempt(state, text) {
+  return performAction(state, parseAction(state, text));
+}
@@ -0,0 +1,431 @@
+// End-to-end tests: real games played against server.js over WebSockets
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createGame } from '../game.js';
+import { listActions } from '../bot.js';
+import { CHAT_RATE_LIMIT } from '../chat.js';
+import { startServer, connect, pause } from './live-server.js';
+
+// Seat count players in a new room; it starts by itself once the last one joins
+async function startTable(server, count) {
+  const players = [];
+  for (let i = 0; i < count; i++) {
+    players.push(await connect(server));
+  }
+  const [host, ...guests] = players;
+  host.send('create_room', { name: 'P1', players: count, seed: 1 });
+  const { roomCode } = await host.next('room_created');
+  for (const guest of guests) {
+    guest.send('join_room', { roomCode });
+    await guest.next('room_joined');
+  }
+  await Promise.all(players.map((player) => player.next('game_state')));
+  return { roomCode, players };
+}
+
+// A saved two-player game for a server to restore at startup, with Ann and
+// Bob seated under the tokens rejoin() uses
+function saveRoom(dataDir, code, gameState, settings = {}) {
+  writeFileSync(join(dataDir, `${code}.json`), JSON.stringify({
+    code,
+    players: [{ id: 'p1', name: 'Ann', token: 'ann-token' }, { id: 'p2', name: 'Bob', token: 'bob-token' }],
+    gameState,
+    maxPlayers: 2,
+    rulesPreset: 'standard',
+    createdAt: Date.now(),
+    ...settings,
+  }));
+}
+
+// Both players back in their seats of a saved game
+async function rejoin(server, roomCode) {
+  const players = [await connect(server), await connect(server)];
+  for (const [player, token] of [[players[0], 'ann-token'], [players[1], 'bob-token']]) {
+    player.send('rejoin_room', { roomCode, token });
+    await player.next('game_state');
+  }
+  return players;
+}
+
+// Send a move that can be taken back (growing a field reveals no new cards)
+function sendGrowField(player) {
+  const { state } = player.messages.findLast((m) => m.type === 'game_state');
+  player.send('action', { action: listActions(state).find((action) => action.type === 'grow_field') });
+}
+
+// Play it as the first move of the game
+async function growField(player) {
+  sendGrowField(player);
+  return player.next('game_state', (m) => m.state.history.length === 1);
+}
+
+describe('Undo', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  test('players who lost their connection are not asked to approve', async () => {
+    const { players: [ann, bob, cy] } = await startTable(server, 3);
+    await cy.close();
+    await growField(ann);
+
+    ann.send('undo_request');
+    await bob.next('undo_requested');
+    bob.send('undo_response', { accept: true });
+    assert.equal((await ann.next('undo_answered')).accepted, true);
+    assert.equal((await ann.next('game_state')).state.history.length, 0);
+    assert.ok(!cy.messages.some((m) => m.type === 'undo_requested'));
+  });
+
+  test('a takeback nobody is left to answer goes through', async () => {
+    const { players: [ann, bob, cy] } = await startTable(server, 3);
+    await growField(ann);
+
+    ann.send('undo_request');
+    await Promise.all([bob.next('undo_requested'), cy.next('undo_requested')]);
+    cy.send('undo_response', { accept: true });
+    await bob.close();
+    assert.equal((await ann.next('undo_answered')).accepted, true);
+    assert.equal((await ann.next('game_state')).state.history.length, 0);
+  });
+});
+
+describe('Leaving', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  test('leaving a three-player game forfeits it instead of stalling the turn order', async () => {
+    const { players: [ann, bob, cy] } = await startTable(server, 3);
+    await growField(ann);
+    await bob.next('game_state', (m) => m.state.currentPlayerIndex === 1);
+
+    bob.send('leave_room');
+    const ended = await Promise.all([ann.next('game_ended'), cy.next('game_ended')]);
+    for (const result of ended) {
+      assert.equal(result.endGameTrigger, 'forfeit');
+      assert.equal(result.forfeitedBy, 1);
+      assert.equal(result.forfeitReason, 'left');
+      assert.notEqual(result.winnerIndex, 1);
+    }
+  });
+});
+
+describe('Spectators', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  test('a spectator who takes a seat plays as that seat', async () => {
+    const [host, fan] = [await connect(server), await connect(server)];
+    host.send('create_room', { name: 'Ann', players: 3 });
+    const { roomCode } = await host.next('room_created');
+    fan.send('spectate_room', { roomCode });
+    await fan.next('spectating');
+    await host.next('spectators_changed', (m) => m.count === 1);
+
+    fan.send('join_room', { roomCode, name: 'Fan' });
+    assert.equal((await fan.next('room_joined')).playerIndex, 1);
+    await host.next('spectators_changed', (m) => m.count === 0);
+    fan.send('chat', { text: 'hi' });
+    assert.equal((await host.next('chat')).text, 'hi');
+  });
+});
+
+describe('Chat', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  test('messages reach the table and spectators, within the rate limit', async () => {
+    const { roomCode, players: [ann, bob] } = await startTable(server, 2);
+    const watcher = await connect(server);
+    watcher.send('spectate_room', { roomCode });
+    await watcher.next('spectating');
+
+    ann.send('chat', { text: 'hello\nthere' });
+    for (const member of [ann, bob, watcher]) {
+      assert.equal((await member.next('chat')).text, 'hello there');
+    }
+
+    watcher.send('chat', { text: 'hi' });
+    assert.equal((await watcher.next('error')).code, 'not_a_player');
+
+    for (let i = 0; i <= CHAT_RATE_LIMIT; i++) {
+      bob.send('chat', { emote: 'gg' });
+    }
+    assert.equal((await bob.next('error')).code, 'rate_limited');
+  });
+});
+
+describe('Public lobby', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  test('the open games list updates as public rooms open and fill', async () => {
+    const [watcher, host, guest] = [await connect(server), await connect(server), await connect(server)];
+    watcher.send('watch_lobby');
+    assert.deepEqual((await watcher.next('room_list')).rooms, []);
+
+    host.send('create_room', { name: 'Ann', public: true });
+    const { roomCode } = await host.next('room_created');
+    const listed = await watcher.next('room_list', (m) => m.rooms.length === 1);
+    assert.equal(listed.rooms[0].roomCode, roomCode);
+    assert.equal(listed.rooms[0].host, 'Ann');
+
+    guest.send('join_room', { roomCode });
+    await watcher.next('room_list', (m) => m.rooms.length === 0);
+  });
+
+  test('quick match pairs two waiting players in a new game', async () => {
+    const [ann, bob] = [await connect(server), await connect(server)];
+    ann.send('quick_match', { name: 'Ann' });
+    await ann.next('match_queued');
+    bob.send('quick_match', { name: 'Bob' });
+
+    const [annMatch, bobMatch] = await Promise.all([ann.next('match_found'), bob.next('match_found')]);
+    assert.equal(annMatch.roomCode, bobMatch.roomCode);
+    assert.deepEqual([annMatch.playerIndex, bobMatch.playerIndex], [0, 1]);
+    const { playerNames } = await bob.next('game_started');
+    assert.deepEqual(playerNames, ['Ann', 'Bob']);
+  });
+});
+
+describe('Tournament no-shows', () => {
+  // Tournament games wait a second for their players
+  const NO_SHOW_MS = 1000;
+  let server;
+  before(async () => {
+    server = await startServer({ NO_SHOW_MINUTES: String(NO_SHOW_MS / 60000) });
+  });
+  after(() => server.stop());
+
+  async function createCup() {
+    const organizer = await connect(server);
+    organizer.send('create_tournament', { name: 'Cup', format: 'single_elimination', participants: ['Ann', 'Bob'] });
+    return (await organizer.next('tournament_created')).code;
+  }
+
+  // Join the tournament as the given participant and take the seat of their game
+  async function takeSeat(code, participant) {
+    const player = await connect(server);
+    player.send('join_tournament', { code, participant });
+    await player.next('tournament_joined');
+    const { yourMatch } = await player.next('tournament_update');
+    assert.ok(yourMatch, 'the first game is still waiting to be played');
+    player.send('rejoin_room', { roomCode: yourMatch.roomCode, token: yourMatch.token });
+    await player.next('room_rejoined');
+    return player;
+  }
+
+  test('the clock starts when a participant turns up, and the absent one loses', async () => {
+    const code = await createCup();
+
+    // Nobody has joined yet, so nobody is out of time
+    await pause(NO_SHOW_MS * 1.5);
+    const ann = await takeSeat(code, 0);
+    const { tournament } = await ann.next('tournament_update', (m) => m.tournament.status === 'finished');
+    const [game] = tournament.rounds[0];
+    assert.deepEqual(game.noShow, [1]);
+    assert.equal(game.winner, 0);
+    assert.equal(tournament.champion, 0);
+  });
+
+  test('a player who drops before the game starts is no longer there for it', async () => {
+    const code = await createCup();
+    const ann = await takeSeat(code, 0);
+    await ann.close();
+
+    const bob = await takeSeat(code, 1);
+    const { tournament } = await bob.next('tournament_update', (m) => m.tournament.status === 'finished');
+    const [game] = tournament.rounds[0];
+    assert.deepEqual(game.noShow, [0]);
+    assert.equal(game.winner, 1);
+    assert.ok(!bob.messages.some((m) => m.type === 'game_started'));
+  });
+});
+
+describe('Shared modules', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  test('the protocol module and everything it imports are served to the pages', async () => {
+    const pending = ['protocol.js'];
+    const served = new Set();
+    while (pending.length > 0) {
+      const file = pending.pop();
+      served.add(file);
+      const response = await fetch(`${server.httpUrl}/engine/${file}`);
+      assert.equal(response.status, 200, file);
+      assert.match(response.headers.get('content-type'), /javascript/);
+      for (const [, imported] of (await response.text()).matchAll(/^import .* from '\.\/(.+)';$/gm)) {
+        if (!served.has(imported)) {
+          pending.push(imported);
+        }
+      }
+    }
+    assert.deepEqual([...served].sort(), ['game.js', 'protocol.js', 'tournaments.js']);
+  });
+});
+
+describe('Turn timers', () => {
+  let server;
+  let dataDir;
+
+  // Saved games whose first turn has well under a second left. A restored
+  // game's timer starts over with the time it was saved with.
+  before(async () => {
+    dataDir = mkdtempSync(join(tmpdir(), 'mandala-test-'));
+    const timer = (mode, policy, remaining = null) => ({
+      mode, seconds: mode === 'move' ? 0.2 : 300, policy, remaining, seat: null, turnStartedAt: null,
+    });
+    const game = () => createGame(['p1', 'p2'], { seed: 3 });
+    saveRoom(dataDir, 'MOVE', game(), { timer: timer('move', 'auto') });
+    saveRoom(dataDir, 'AUTO', game(), { timer: timer('clock', 'auto', [200, 300000]) });
+    saveRoom(dataDir, 'LOSE', game(), { timer: timer('clock', 'forfeit', [200, 300000]) });
+    server = await startServer({ STORAGE: 'file', DATA_DIR: dataDir });
+  });
+  after(async () => {
+    await server.stop();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Time may run out before the players are back, so the state asked for
+  // may already be the one they were sent on rejoining
+  function gameStateWhere(player, test) {
+    return player.messages.find((m) => m.type === 'game_state' && test(m)) ?? player.next('game_state', test);
+  }
+
+  test('a move timer plays a move for whoever runs out of time', async () => {
+    const [ann] = await rejoin(server, 'MOVE');
+    const { state, timer } = await gameStateWhere(ann, (m) => m.state.history.length >= 2);
+    assert.deepEqual(state.history.slice(0, 2).map((entry) => entry.playerIndex), [0, 1]);
+    assert.equal(timer.mode, 'move');
+    assert.equal(timer.remainingMs, null);
+  });
+
+  test('a chess clock only runs on its own turns, and an empty one keeps moving at once', async () => {
+    const [ann] = await rejoin(server, 'AUTO');
+    const { state, timer } = await gameStateWhere(ann, (m) => m.state.history.length === 1);
+    assert.equal(state.history[0].playerIndex, 0);
+    assert.equal(timer.seat, 1);
+    assert.equal(timer.remainingMs[0], 0);
+    assert.ok(timer.remainingMs[1] > 290000);
+  });
+
+  test('with the forfeit policy, running out of time loses the game', async () => {
+    const [ann, bob] = await rejoin(server, 'LOSE');
+    const ended = await gameStateWhere(bob, (m) => m.state.phase === 'ended');
+    assert.equal(ended.state.endGameTrigger, 'forfeit');
+    assert.equal(ended.state.forfeitedBy, 0);
+    assert.equal(ended.state.forfeitReason, 'timeout');
+    assert.equal(ended.state.history.length, 0);
+    assert.equal(ended.timer.seat, null);
+    await Promise.all([ann.close(), bob.close()]);
+  });
+});
+
+describe('Errors and recovery', () => {
+  let server;
+  let dataDir;
+
+  // A saved game whose state makes every move throw inside the engine (it
+  // has no action history to add to), and a saved tournament whose unknown
+  // format makes showing it throw
+  before(async () => {
+    dataDir = mkdtempSync(join(tmpdir(), 'mandala-test-'));
+    saveRoom(dataDir, 'BUGS', { ...createGame(['p1', 'p2'], { seed: 1 }), history: null });
+    mkdirSync(join(dataDir, 'tournaments'));
+    writeFileSync(join(dataDir, 'tournaments', 'ODDT.json'), JSON.stringify({
+      code: 'ODDT',
+      tournament: {
+        name: 'Odd',
+        format: 'unknown',
+        participants: [{ name: 'Ann' }, { name: 'Bob' }],
+        rounds: [],
+        totalRounds: 1,
+        status: 'finished',
+        champion: null,
+      },
+      settings: {},
+      entrants: [{ token: null, profileId: null }, { token: null, profileId: null }],
+      rooms: {},
+      createdAt: Date.now(),
+    }));
+    server = await startServer({ STORAGE: 'file', DATA_DIR: dataDir });
+  });
+  after(async () => {
+    await server.stop();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const health = async () => (await fetch(`${server.httpUrl}/health`)).json();
+
+  test('an error outside the game logic only fails that message', async () => {
+    const [ann, bob] = await rejoin(server, 'BUGS');
+    ann.send('watch_tournament', { code: 'ODDT' });
+    assert.equal((await ann.next('error')).code, 'server_error');
+
+    const report = await health();
+    assert.equal(report.errors.total, 1);
+    assert.equal(report.pausedGames, 0);
+    assert.equal(report.activeGames, 1);
+    assert.ok(!bob.messages.some((m) => m.type === 'game_error'));
+    await Promise.all([ann.close(), bob.close()]);
+  });
+
+  test('an engine error pauses the room until a player retries', async () => {
+    const [ann, bob] = await rejoin(server, 'BUGS');
+    sendGrowField(ann);
+    await Promise.all([ann.next('game_error'), bob.next('game_error')]);
+
+    let report = await health();
+    assert.equal(report.pausedGames, 1);
+    assert.equal(report.activeGames, 0);
+    assert.equal(report.errors.total, 2);
+    assert.equal(report.errors.last.room, 'BUGS');
+
+    // Nothing moves while the game is paused
+    bob.send('undo_request');
+    assert.equal((await bob.next('error')).code, 'game_error');
+
+    bob.send('recover_game', { choice: 'retry' });
+    const resumed = await ann.next('game_state');
+    assert.equal(resumed.state.currentPlayerIndex, 0);
+    report = await health();
+    assert.equal(report.pausedGames, 0);
+    assert.equal(report.activeGames, 1);
+    await Promise.all([ann.close(), bob.close()]);
+  });
+
+  test('aborting a paused game sends everyone back to the lobby', async () => {
+    const [ann, bob] = await rejoin(server, 'BUGS');
+    sendGrowField(ann);
+    await ann.next('game_error');
+
+    ann.send('recover_game', { choice: 'abort' });
+    await Promise.all([ann.next('game_aborted'), bob.next('game_aborted')]);
+    const report = await health();
+    assert.equal(report.rooms, 0);
+    assert.equal(report.pausedGames, 0);
+    assert.equal(report.errors.total, 3);
+  });
+});
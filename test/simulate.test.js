@@ -0,0 +1,62 @@
+// Tests for the headless simulation harness in simulate.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { listActions } from '../bot.js';
+import { simulateGame, runSimulation } from '../simulate.js';
+
+// Strategies that don't use Math.random, so a seed fixes the whole game
+const first = { name: 'first', chooseAction: (view) => listActions(view)[0] };
+const last = { name: 'last', chooseAction: (view) => listActions(view).at(-1) };
+
+describe('simulateGame', () => {
+  test('the same seed and strategies play the same game', () => {
+    const game = simulateGame([first, last], 'same');
+    assert.deepEqual(simulateGame([first, last], 'same'), game);
+    assert.equal(game.finished, true);
+    assert.equal(game.scores.length, 2);
+    assert.deepEqual(game.strategies, ['first', 'last']);
+  });
+
+  test('an illegal move names the strategy and the seed', () => {
+    const cheat = { name: 'cheat', chooseAction: () => ({ type: 'claim_color', color: 'gold' }) };
+    assert.throws(() => simulateGame([cheat, first], 'bad'), /Strategy cheat made an illegal move in game with seed bad/);
+  });
+
+  test('a game that reaches the action limit has no winner', () => {
+    const game = simulateGame([first, last], 'short', { maxActions: 3 });
+    assert.equal(game.actions, 3);
+    assert.equal(game.finished, false);
+    assert.equal(game.winner, null);
+  });
+});
+
+describe('runSimulation', () => {
+  test('a seeded batch is reproducible, with seats rotated by --swap', () => {
+    const options = { strategies: [first, last], games: 4, seed: 'batch', swap: true };
+    const report = runSimulation(options);
+    assert.deepEqual(runSimulation(options), report);
+
+    assert.deepEqual(report.games.map((game) => game.seed), ['batch-0', 'batch-1', 'batch-2', 'batch-3']);
+    assert.deepEqual(report.games.map((game) => game.strategies[0]), ['first', 'last', 'first', 'last']);
+    assert.equal(report.summary.games, 4);
+    assert.equal(report.summary.strategies.first.games, 4);
+    const { wins, losses } = report.summary.strategies.first;
+    assert.equal(wins + losses, report.summary.finished);
+  });
+
+  test('an unknown rules preset is refused', () => {
+    assert.throws(() => runSimulation({ strategies: [first, last], games: 1, rulesPreset: 'nope' }), /Unknown rules preset/);
+  });
+});
+
+describe('Command line', () => {
+  test('--help prints the usage notes', () => {
+    const script = fileURLToPath(new URL('../simulate.js', import.meta.url));
+    const output = execFileSync(process.execPath, [script, '--help'], { encoding: 'utf8' });
+    assert.match(output, /^Usage:/);
+    assert.match(output, /--games N/);
+  });
+});
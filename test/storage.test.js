@@ -0,0 +1,96 @@
+// Tests for saving rooms and restoring them with storage.js
+
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createGame } from '../game.js';
+import { createStorage, toRoomRecord, fromRoomRecord } from '../storage.js';
+
+// A live room as server.js keeps it: a clock game in progress with a
+// computer opponent, a spectator and live sockets
+function liveRoom() {
+  const socket = { readyState: 1 };
+  return {
+    code: 'SAVE',
+    players: [
+      { id: 'p1', ws: socket, name: 'Ann', token: 'ann-token', profileId: 'ann-profile', wantsRematch: false },
+      { id: 'p2', ws: null, name: 'Computer (Hard)', bot: 'hard' },
+    ],
+    spectators: [{ ws: socket, name: 'Spectator' }],
+    gameState: createGame(['p1', 'p2'], { seed: 5 }),
+    gameStartedAt: 1000,
+    undoStack: [{ earlier: true }],
+    tournament: null,
+    seed: 5,
+    maxPlayers: 2,
+    memoryHelper: false,
+    casual: true,
+    rulesPreset: 'standard',
+    public: false,
+    timer: {
+      mode: 'clock',
+      seconds: 300,
+      policy: 'forfeit',
+      remaining: [241500, 288000],
+      seat: 0,
+      turnStartedAt: 5000,
+    },
+    createdAt: 500,
+  };
+}
+
+const dirs = [];
+after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+const backends = {
+  memory: () => createStorage('memory'),
+  file: () => {
+    const dir = mkdtempSync(join(tmpdir(), 'mandala-storage-'));
+    dirs.push(dir);
+    return createStorage('file', { dir });
+  },
+};
+
+for (const [kind, open] of Object.entries(backends)) {
+  describe(`Room records in ${kind} storage`, () => {
+    test('a saved room comes back with its game, settings and clock', () => {
+      const room = liveRoom();
+      const storage = open();
+      storage.saveRoom(toRoomRecord(room));
+      const [record] = storage.loadRooms();
+      const restored = fromRoomRecord(record);
+
+      assert.deepEqual(restored.gameState, room.gameState);
+      assert.deepEqual(restored.timer, room.timer);
+      for (const key of ['code', 'gameStartedAt', 'seed', 'maxPlayers', 'memoryHelper', 'casual',
+        'rulesPreset', 'public', 'tournament', 'createdAt']) {
+        assert.deepEqual(restored[key], room[key], key);
+      }
+    });
+
+    test('live connections and takebacks are not saved', () => {
+      const storage = open();
+      storage.saveRoom(toRoomRecord(liveRoom()));
+      const restored = fromRoomRecord(storage.loadRooms()[0]);
+
+      const [ann, bot] = restored.players;
+      assert.equal(ann.ws, null);
+      assert.equal(typeof ann.disconnectedAt, 'number');
+      assert.deepEqual([ann.id, ann.name, ann.token, ann.profileId], ['p1', 'Ann', 'ann-token', 'ann-profile']);
+      assert.equal(bot.bot, 'hard');
+      assert.equal(bot.disconnectedAt, undefined);
+      assert.deepEqual(restored.spectators, []);
+      assert.deepEqual(restored.undoStack, []);
+    });
+
+    test('a deleted room is gone', () => {
+      const storage = open();
+      const room = liveRoom();
+      storage.saveRoom(toRoomRecord(room));
+      storage.deleteRoom(room.code);
+      assert.deepEqual(storage.loadRooms(), []);
+    });
+  });
+}
@@ -0,0 +1,146 @@
+// Tests for pairing, results and standings in tournaments.js
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createTournament,
+  pendingPairings,
+  recordResult,
+  recordNoShow,
+  getStandings,
+} from '../tournaments.js';
+
+function start(format, count) {
+  const participants = Array.from({ length: count }, (_, i) => `P${i + 1}`);
+  return createTournament({ name: 'Test', format, participants });
+}
+
+// Play every pending game until the tournament is over, letting the lower
+// participant index (the higher seed) win
+function playOut(tournament) {
+  while (tournament.status === 'running') {
+    for (const { round, pairing } of pendingPairings(tournament)) {
+      const [a, b] = tournament.rounds[round][pairing].players;
+      recordResult(tournament, round, pairing, { winnerSeat: a < b ? 0 : 1, scores: [10, 5] });
+    }
+  }
+  return tournament;
+}
+
+// Every two-player pairing as a sorted "a-b" key
+function matchups(tournament) {
+  return tournament.rounds.flat().filter((p) => !p.bye).map((p) => [...p.players].sort().join('-'));
+}
+
+describe('Single elimination', () => {
+  test('the top seeds get the byes and meet as late as possible', () => {
+    const tournament = start('single_elimination', 6);
+    assert.equal(tournament.totalRounds, 3);
+    const [first] = tournament.rounds;
+    assert.deepEqual(first.filter((p) => p.bye).map((p) => p.players[0]), [0, 1]);
+    assert.deepEqual(first.filter((p) => !p.bye).map((p) => [...p.players].sort()), [[3, 4], [2, 5]]);
+  });
+
+  test('winners advance until there is a champion', () => {
+    const tournament = playOut(start('single_elimination', 8));
+    assert.equal(tournament.rounds.length, 3);
+    assert.deepEqual(tournament.rounds[2][0].players.sort(), [0, 1]);
+    assert.equal(tournament.champion, 0);
+    const standings = getStandings(tournament);
+    assert.equal(standings[0].participant, 0);
+    assert.equal(standings.filter((row) => !row.eliminated).length, 1);
+  });
+
+  test('when nobody shows up the higher seed goes through', () => {
+    const tournament = start('single_elimination', 2);
+    assert.equal(recordNoShow(tournament, 0, 0, [0, 1]), true);
+    assert.equal(tournament.status, 'finished');
+    assert.equal(tournament.champion, 0);
+  });
+});
+
+describe('Round-robin', () => {
+  test('everyone meets everyone exactly once', () => {
+    for (const count of [4, 5]) {
+      const tournament = playOut(start('round_robin', count));
+      const games = matchups(tournament);
+      assert.equal(games.length, (count * (count - 1)) / 2);
+      assert.equal(new Set(games).size, games.length);
+    }
+  });
+
+  test('an odd number of players gives everyone one bye', () => {
+    const tournament = playOut(start('round_robin', 5));
+    assert.deepEqual(getStandings(tournament).map((row) => row.byes), [1, 1, 1, 1, 1]);
+  });
+
+  test('moving first is shared out evenly', () => {
+    const tournament = playOut(start('round_robin', 6));
+    const games = tournament.rounds.flat();
+    const firsts = [0, 1, 2, 3, 4, 5].map((player) => games.filter((p) => p.players[0] === player).length);
+    assert.ok(Math.max(...firsts) - Math.min(...firsts) <= 1, `first moves: ${firsts}`);
+  });
+});
+
+describe('Swiss', () => {
+  test('round one pairs the top half against the bottom half', () => {
+    const tournament = start('swiss', 8);
+    assert.equal(tournament.totalRounds, 3);
+    assert.deepEqual(matchups(tournament), ['0-4', '1-5', '2-6', '3-7']);
+  });
+
+  test('later rounds pair players on equal points without rematches', () => {
+    const tournament = playOut(start('swiss', 8));
+    const games = matchups(tournament);
+    assert.equal(new Set(games).size, games.length);
+    // Round two: 0 beat 1 and 2 beat 3, so the two unbeaten players meet last
+    const final = tournament.rounds[2].find((p) => p.players.includes(0));
+    assert.deepEqual([...final.players].sort(), [0, 2]);
+    assert.equal(getStandings(tournament)[0].points, 3);
+  });
+
+  test('the bye goes to the lowest-placed player without one', () => {
+    const tournament = playOut(start('swiss', 5));
+    const byes = tournament.rounds.map((round) => round.find((p) => p.bye).players[0]);
+    assert.equal(new Set(byes).size, byes.length);
+    assert.equal(byes[0], 4);
+  });
+
+  test('a double no-show is a loss for both', () => {
+    const tournament = start('swiss', 4);
+    recordNoShow(tournament, 0, 0, tournament.rounds[0][0].players);
+    const [a, b] = tournament.rounds[0][0].players;
+    const standings = getStandings(tournament);
+    assert.equal(tournament.rounds[0][0].winner, null);
+    assert.equal(standings.find((row) => row.participant === a).losses, 1);
+    assert.equal(standings.find((row) => row.participant === b).losses, 1);
+  });
+});
+
+describe('Results', () => {
+  test('a pairing is only decided once', () => {
+    const tournament = start('round_robin', 4);
+    assert.equal(recordResult(tournament, 0, 0, { winnerSeat: 0, scores: [10, 5] }), true);
+    assert.equal(recordResult(tournament, 0, 0, { winnerSeat: 1, scores: [5, 10] }), false);
+    assert.equal(recordNoShow(tournament, 0, 0, [0]), false);
+  });
+
+  test('the next round is paired once the current one is decided', () => {
+    const tournament = start('round_robin', 4);
+    recordResult(tournament, 0, 0, { winnerSeat: 0, scores: [10, 5] });
+    assert.equal(tournament.rounds.length, 1);
+    recordNoShow(tournament, 0, 1, [tournament.rounds[0][1].players[1]]);
+    assert.equal(tournament.rounds.length, 2);
+    assert.equal(pendingPairings(tournament).length, 2);
+  });
+
+  test('scores count toward the standings tiebreak', () => {
+    const tournament = start('round_robin', 2);
+    recordResult(tournament, 0, 0, { winnerSeat: 0, scores: [12, 7] });
+    const winner = tournament.rounds[0][0].players[0];
+    const standings = getStandings(tournament);
+    assert.equal(standings[0].participant, winner);
+    assert.equal(standings[0].score, 12);
+    assert.equal(tournament.champion, winner);
+  });
+});
@@ -0,0 +1,349 @@
+// Mandala Tournaments
+// Pairings, results and standings for single elimination, Swiss and round-robin
+//
+// A tournament is plain JSON, so it can be saved and restored like a room.
+// Participants are listed in seed order: index 0 is the top seed. Each round
+// is a list of pairings:
+//
+//   { players: [a, b], winner, scores, noShow, bye }
+//
+// players holds participant indices in seat order (players[0] moves first);
+// a bye has a single player who wins it without a game. winner is null until
+// the pairing is decided, and stays null if neither player showed up in a
+// format that can score a double loss. The functions below update the
+// tournament in place; the server runs the games and reports the results.
+
+export const TOURNAMENT_FORMATS = {
+  single_elimination: { label: 'Single elimination' },
+  swiss: { label: 'Swiss' },
+  round_robin: { label: 'Round-robin' },
+};
+
+export const MIN_PARTICIPANTS = 2;
+export const MAX_PARTICIPANTS = 32;
+
+// ============================================
+// SETUP
+// ============================================
+
+// How many rounds a format needs for the given number of participants
+function roundCount(format, count) {
+  const log2 = Math.ceil(Math.log2(count));
+  switch (format) {
+    case 'single_elimination':
+      return log2;
+    case 'swiss':
+      // Enough rounds to separate a single winner, without running out of opponents
+      return Math.min(log2, count % 2 === 0 ? count - 1 : count);
+    default:
+      return count % 2 === 0 ? count - 1 : count;
+  }
+}
+
+/**
+ * Start a tournament for the given participant names (in seed order) and
+ * pair its first round.
+ */
+export function createTournament({ name, format, participants }) {
+  if (!TOURNAMENT_FORMATS[format]) {
+    throw new Error(`Unknown tournament format: ${format}`);
+  }
+  if (participants.length < MIN_PARTICIPANTS || participants.length > MAX_PARTICIPANTS) {
+    throw new Error(`A tournament needs ${MIN_PARTICIPANTS} to ${MAX_PARTICIPANTS} participants`);
+  }
+
+  const tournament = {
+    name,
+    format,
+    participants: participants.map((participantName) => ({ name: participantName })),
+    rounds: [],
+    totalRounds: roundCount(format, participants.length),
+    status: 'running',
+    champion: null,
+  };
+  tournament.rounds.push(pairRound(tournament));
+  return tournament;
+}
+
+// ============================================
+// PAIRING
+// ============================================
+
+function bye(player) {
+  return { players: [player], winner: player, scores: null, noShow: [], bye: true };
+}
+
+// How many games a participant has started as the first player so far
+function firstMoves(tournament, player) {
+  return tournament.rounds.flat().filter((p) => p.players.length === 2 && p.players[0] === player).length;
+}
+
+/**
+ * A game between two participants, seated fairly: whoever has moved first
+ * less often moves first. On a tie the lower seed does, as a small edge
+ * against the stronger player.
+ */
+function game(tournament, a, b) {
+  const difference = firstMoves(tournament, a) - firstMoves(tournament, b);
+  const aFirst = difference < 0 || (difference === 0 && a > b);
+  return { players: aFirst ? [a, b] : [b, a], winner: null, scores: null, noShow: [], bye: false };
+}
+
+// Bracket positions by seed, so the top seeds meet as late as possible:
+// for 8 players 1v8, 4v5, 2v7, 3v6
+function bracketOrder(size) {
+  let order = [0];
+  while (order.length < size) {
+    const next = order.length * 2;
+    order = order.flatMap((seed) => [seed, next - 1 - seed]);
+  }
+  return order;
+}
+
+function pairElimination(tournament) {
+  const previous = tournament.rounds.at(-1);
+  if (!previous) {
+    // Round one fills a power-of-two bracket; the missing seeds are byes for the top seeds
+    const count = tournament.participants.length;
+    const order = bracketOrder(2 ** tournament.totalRounds);
+    const pairings = [];
+    for (let i = 0; i < order.length; i += 2) {
+      const [a, b] = [order[i], order[i + 1]];
+      pairings.push(b < count ? game(tournament, a, b) : bye(a));
+    }
+    return pairings;
+  }
+
+  // Winners of neighbouring pairings meet next
+  const pairings = [];
+  for (let i = 0; i < previous.length; i += 2) {
+    pairings.push(game(tournament, previous[i].winner, previous[i + 1].winner));
+  }
+  return pairings;
+}
+
+// Circle method: the first player stays put while the others rotate one
+// place per round, so everyone meets everyone once
+function pairRoundRobin(tournament) {
+  const round = tournament.rounds.length;
+  const players = tournament.participants.map((_, index) => index);
+  if (players.length % 2 === 1) {
+    players.push(null);
+  }
+  const [fixed, ...rest] = players;
+  const rotated = rest.map((_, i) => rest[(i + round) % rest.length]);
+  const circle = [fixed, ...rotated];
+
+  const pairings = [];
+  for (let i = 0; i < circle.length / 2; i++) {
+    const [a, b] = [circle[i], circle[circle.length - 1 - i]];
+    if (a === null || b === null) {
+      pairings.push(bye(a ?? b));
+    } else {
+      pairings.push(game(tournament, a, b));
+    }
+  }
+  return pairings;
+}
+
+// Pair players in order, each with the best-placed opponent they haven't met.
+// Returns null if that can't be done without a rematch.
+function pairWithoutRematches(order, met) {
+  if (order.length === 0) {
+    return [];
+  }
+  const [first, ...rest] = order;
+  for (let i = 0; i < rest.length; i++) {
+    if (met.has(`${first}-${rest[i]}`)) {
+      continue;
+    }
+    const pairs = pairWithoutRematches(rest.filter((_, j) => j !== i), met);
+    if (pairs) {
+      return [[first, rest[i]], ...pairs];
+    }
+  }
+  return null;
+}
+
+function pairSwiss(tournament) {
+  const standings = getStandings(tournament);
+  let order = standings.map((row) => row.participant);
+  if (tournament.rounds.length === 0) {
+    // Round one (where standings are in seed order): the top half plays the bottom half
+    const half = Math.floor(order.length / 2);
+    order = order.slice(0, half).flatMap((player, i) => [player, order[half + i]]).concat(order.slice(half * 2));
+  }
+
+  const pairings = [];
+  if (order.length % 2 === 1) {
+    // The bye goes to the lowest-placed player who hasn't had one
+    const byes = new Set(tournament.rounds.flat().filter((p) => p.bye).map((p) => p.players[0]));
+    const player = order.findLast((p) => !byes.has(p)) ?? order.at(-1);
+    order = order.filter((p) => p !== player);
+    pairings.push(bye(player));
+  }
+
+  const met = new Set();
+  tournament.rounds.flat().forEach(({ players: [a, b] }) => {
+    met.add(`${a}-${b}`).add(`${b}-${a}`);
+  });
+  // Late in a small tournament everyone may have met; then rematches are allowed
+  const pairs = pairWithoutRematches(order, met)
+    ?? Array.from({ length: order.length / 2 }, (_, i) => [order[i * 2], order[i * 2 + 1]]);
+  return [...pairs.map(([a, b]) => game(tournament, a, b)), ...pairings];
+}
+
+// The pairings for the tournament's next round
+function pairRound(tournament) {
+  switch (tournament.format) {
+    case 'single_elimination':
+      return pairElimination(tournament);
+    case 'swiss':
+      return pairSwiss(tournament);
+    default:
+      return pairRoundRobin(tournament);
+  }
+}
+
+// ============================================
+// RESULTS
+// ============================================
+
+function isDecided(pairing) {
+  return pairing.bye || pairing.winner !== null || pairing.noShow.length === pairing.players.length;
+}
+
+// Pairings of the current round still waiting for a result, as
+// { round, pairing } indices
+export function pendingPairings(tournament) {
+  if (tournament.status !== 'running') {
+    return [];
+  }
+  const round = tournament.rounds.length - 1;
+  return tournament.rounds[round]
+    .map((pairing, index) => ({ round, pairing: index, decided: isDecided(pairing) }))
+    .filter((entry) => !entry.decided)
+    .map(({ round, pairing }) => ({ round, pairing }));
+}
+
+// Once every pairing of the round is decided, pair the next one or finish
+function advance(tournament) {
+  if (tournament.rounds.at(-1).some((pairing) => !isDecided(pairing))) {
+    return;
+  }
+  if (tournament.rounds.length < tournament.totalRounds) {
+    tournament.rounds.push(pairRound(tournament));
+    // A round made only of byes is decided as soon as it is paired
+    advance(tournament);
+    return;
+  }
+  tournament.status = 'finished';
+  tournament.champion = getStandings(tournament)[0].participant;
+}
+
+function pendingPairing(tournament, round, index) {
+  const pairing = tournament.rounds[round]?.[index];
+  if (!pairing || isDecided(pairing) || tournament.status !== 'running') {
+    return null;
+  }
+  return pairing;
+}
+
+/**
+ * Record a finished game. winnerSeat is the winning seat from getWinner and
+ * scores are per seat. Returns false if the pairing was already decided.
+ */
+export function recordResult(tournament, round, index, { winnerSeat, scores }) {
+  const pairing = pendingPairing(tournament, round, index);
+  if (!pairing) {
+    return false;
+  }
+  pairing.winner = pairing.players[winnerSeat];
+  pairing.scores = scores;
+  advance(tournament);
+  return true;
+}
+
+/**
+ * Decide a pairing whose game never started because some of its players
+ * didn't show up. Anyone who did show up wins. If nobody did, both lose;
+ * in an elimination bracket someone has to go through, so the higher seed
+ * does. Returns false if the pairing was already decided.
+ */
+export function recordNoShow(tournament, round, index, absent) {
+  const pairing = pendingPairing(tournament, round, index);
+  if (!pairing || absent.length === 0) {
+    return false;
+  }
+  const present = pairing.players.filter((player) => !absent.includes(player));
+  pairing.noShow = [...absent];
+  if (present.length > 0) {
+    pairing.winner = present[0];
+  } else if (tournament.format === 'single_elimination') {
+    pairing.winner = Math.min(...pairing.players);
+  }
+  advance(tournament);
+  return true;
+}
+
+// ============================================
+// STANDINGS
+// ============================================
+
+/**
+ * Every participant's record, best first. A win or a bye is worth a point.
+ * Ties are broken by the points of the opponents played (Swiss only), then
+ * the total of the player's game scores, then seed.
+ */
+export function getStandings(tournament) {
+  const rows = tournament.participants.map((participant, index) => ({
+    participant: index,
+    name: participant.name,
+    played: 0,
+    wins: 0,
+    losses: 0,
+    byes: 0,
+    points: 0,
+    score: 0,
+    opponentPoints: 0,
+    eliminated: false,
+  }));
+  const opponents = rows.map(() => []);
+
+  tournament.rounds.flat().forEach((pairing) => {
+    if (pairing.bye) {
+      rows[pairing.players[0]].byes++;
+      rows[pairing.players[0]].points++;
+      return;
+    }
+    if (!isDecided(pairing)) {
+      return;
+    }
+    pairing.players.forEach((player, seat) => {
+      const row = rows[player];
+      row.played++;
+      row.score += pairing.scores?.[seat] ?? 0;
+      opponents[player].push(pairing.players[1 - seat]);
+      if (pairing.winner === player) {
+        row.wins++;
+        row.points++;
+      } else {
+        row.losses++;
+        row.eliminated = tournament.format === 'single_elimination';
+      }
+    });
+  });
+
+  if (tournament.format === 'swiss') {
+    rows.forEach((row) => {
+      row.opponentPoints = opponents[row.participant].reduce((sum, other) => sum + rows[other].points, 0);
+    });
+  }
+
+  return rows
+    .sort((a, b) => b.points - a.points
+      || b.opponentPoints - a.opponentPoints
+      || b.score - a.score
+      || a.participant - b.participant)
+    .map((row, index) => ({ rank: index + 1, ...row }));
+}